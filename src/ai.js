@@ -1,88 +1,98 @@
 /**
  * AI Engine for Checkers
- * Implements Minimax algorithm with alpha-beta pruning
+ * Implements Minimax algorithm with alpha-beta pruning, searched by
+ * iterative deepening within a time budget. Positions are Zobrist-hashed
+ * so a transposition table can reuse results across transpositions.
+ * Positions covered by the endgame database are scored from it exactly.
  */
 
-import { PIECE, PLAYER, isKing, getPieceOwner } from './rules.js';
+import { PIECE, isKing, getOpponent, generateAllMoves, applyMove } from './rules.js';
+import { computeHash, updateHash } from './zobrist.js';
+import { TranspositionTable, TT_FLAG } from './transpositionTable.js';
+import { getBookMove } from './openingBook.js';
+import { ENDGAME_DATABASE_VARIANT, ENDGAME_RESULT, probeEndgameDatabase } from './endgameDatabase.js';
+import { evaluateBoard, getEvaluationConfig } from './evaluation.js';
+import { getStrengthConfig, chooseHumanMove } from './strength.js';
+
+export { evaluateBoard, evaluateGiveawayBoard, getEvaluationConfig, EVALUATION_PROFILES } from './evaluation.js';
+export { MIN_STRENGTH, MAX_STRENGTH, getStrengthConfig, getStrengthElo } from './strength.js';
 
 /**
  * Difficulty level configurations
+ * The search deepens until it reaches maxDepth or runs out of time (timeMs)
  */
 const DIFFICULTY_CONFIG = {
-  easy: { depth: 3, name: 'Easy' },
-  medium: { depth: 5, name: 'Medium' },
-  hard: { depth: 7, name: 'Hard' }
+  easy: { maxDepth: 3, timeMs: 150, name: 'Easy' },
+  medium: { maxDepth: 6, timeMs: 750, name: 'Medium' },
+  hard: { maxDepth: 12, timeMs: 2000, name: 'Hard' }
 };
 
 /**
- * Get search depth for difficulty level
+ * Depth cap for searches limited only by time
  */
-export function getDifficultyDepth(difficulty) {
-  const normalizedDifficulty = difficulty.toLowerCase();
-  return DIFFICULTY_CONFIG[normalizedDifficulty]?.depth || 5;
+const MAX_SEARCH_DEPTH = 64;
+
+/**
+ * Depth analyze searches to when given no time budget
+ */
+const DEFAULT_ANALYSIS_DEPTH = 8;
+
+/**
+ * Scores at or beyond this value are forced wins or losses
+ */
+const WIN_SCORE = 10000;
+
+/**
+ * The clock is checked every 1024 nodes
+ */
+const DEADLINE_CHECK_MASK = 1023;
+
+/**
+ * Score of a drawn position (repetition, move limit)
+ */
+const DRAW_SCORE = 0;
+
+/**
+ * Opening book consulted before searching (null for none)
+ */
+let openingBook = null;
+
+/**
+ * Set the opening book getBestMove plays from
+ * @param {Object|null} book - Book from loadOpeningBook, or null to always search
+ */
+export function setOpeningBook(book) {
+  openingBook = book;
 }
 
 /**
- * Evaluate the board position for a given player
- * Returns positive score if player is winning, negative if losing
- */
-export function evaluateBoard(board, player) {
-  let score = 0;
-
-  // Piece values
-  const PIECE_VALUE = 10;
-  const KING_VALUE = 30;
-  const BACK_ROW_BONUS = 2;
-  const CENTER_BONUS = 1;
-  const ADVANCEMENT_BONUS = 0.5;
-
-  // Count center squares (rows 2-5, cols 2-5)
-  const isCenterSquare = (row, col) => row >= 2 && row <= 5 && col >= 2 && col <= 5;
-
-  for (let row = 0; row < 8; row++) {
-    for (let col = 0; col < 8; col++) {
-      const piece = board[row][col];
-      if (piece === PIECE.EMPTY) continue;
-
-      const pieceOwner = getPieceOwner(piece);
-      const pieceIsKing = isKing(piece);
-
-      // Base piece value
-      let pieceScore = pieceIsKing ? KING_VALUE : PIECE_VALUE;
-
-      // Positional bonuses
-      if (!pieceIsKing) {
-        // Back row protection bonus
-        if ((pieceOwner === PLAYER.RED && row === 7) ||
-            (pieceOwner === PLAYER.BLACK && row === 0)) {
-          pieceScore += BACK_ROW_BONUS;
-        }
-
-        // Advancement bonus (closer to promotion)
-        if (pieceOwner === PLAYER.RED) {
-          // RED moves up (toward row 0)
-          pieceScore += (7 - row) * ADVANCEMENT_BONUS;
-        } else {
-          // BLACK moves down (toward row 7)
-          pieceScore += row * ADVANCEMENT_BONUS;
-        }
-      }
-
-      // Center control bonus
-      if (isCenterSquare(row, col)) {
-        pieceScore += CENTER_BONUS;
-      }
-
-      // Add or subtract based on ownership
-      if (pieceOwner === player) {
-        score += pieceScore;
-      } else {
-        score -= pieceScore;
-      }
-    }
-  }
+ * Endgame database probed by the search (null for none)
+ */
+let endgameDatabase = null;
+
+/**
+ * Set the endgame database the search probes
+ * @param {Object|null} database - Database from loadEndgameDatabase, or null to search without one
+ */
+export function setEndgameDatabase(database) {
+  endgameDatabase = database;
+}
+
+/**
+ * Get the search limits for a difficulty level
+ * Unknown difficulties use the medium settings
+ * @returns {Object} - { maxDepth, timeMs }
+ */
+export function getDifficultyConfig(difficulty) {
+  const config = DIFFICULTY_CONFIG[difficulty.toLowerCase()] || DIFFICULTY_CONFIG.medium;
+  return { maxDepth: config.maxDepth, timeMs: config.timeMs };
+}
 
-  return score;
+/**
+ * Get the maximum search depth for difficulty level
+ */
+export function getDifficultyDepth(difficulty) {
+  return getDifficultyConfig(difficulty).maxDepth;
 }
 
 /**
@@ -113,6 +123,226 @@ export function orderMoves(moves) {
   });
 }
 
+/**
+ * Create the search's view of a game position
+ * Hashes of earlier positions are kept so the search can spot repetitions
+ */
+function createRootNode(gameState) {
+  const board = gameState.getBoard();
+  const player = gameState.getCurrentPlayer();
+  const hash = computeHash(board, player);
+  const path = gameState.getPastPositions().map(position => computeHash(position.board, position.currentPlayer));
+  path.push(hash);
+  const pieces = board.flat().filter(piece => piece !== PIECE.EMPTY).length;
+
+  return { board, player, hash, kingMoves: gameState.getKingMovesWithoutCapture(), path, pieces };
+}
+
+/**
+ * Play a move on a search node
+ * The child shares its parent's path; callers push and pop the child's hash
+ */
+function createChildNode(node, move, variant) {
+  const board = applyMove(node.board, move, variant);
+  const movedKing = isKing(node.board[move.from.row][move.from.col]);
+
+  return {
+    board,
+    player: getOpponent(node.player),
+    hash: updateHash(node.hash, node.board, board, move),
+    kingMoves: (movedKing && !move.isJump) ? node.kingMoves + 1 : 0,
+    path: node.path,
+    pieces: move.isJump ? node.pieces - move.captured.length : node.pieces
+  };
+}
+
+/**
+ * Count how many times a node's position has occurred
+ * Only king moves are reversible, so repeats lie within the last kingMoves plies
+ */
+function countRepetitions(node) {
+  const { path, hash } = node;
+  const start = Math.max(0, path.length - 1 - node.kingMoves);
+  let count = 0;
+
+  for (let i = path.length - 1; i >= start; i -= 2) {
+    if (path[i] === hash) count++;
+  }
+  return count;
+}
+
+let sharedTable = null;
+
+/**
+ * Get the table searches use unless given one, emptied for a new search
+ * One table is reused rather than allocating its 65536 slots per search
+ */
+function getSharedTable() {
+  if (sharedTable) {
+    sharedTable.clear();
+  } else {
+    sharedTable = new TranspositionTable();
+  }
+  return sharedTable;
+}
+
+/**
+ * Create the shared state for one search
+ * @param {Object} options - { aiPlayer, table, quiescence, evaluation } where table may be false
+ *   to search without one (the module's shared table is used if omitted), quiescence false to
+ *   stop dead at the depth limit and evaluation is a profile name or weights for getEvaluationConfig
+ */
+function createSearch(gameState, options = {}) {
+  const {
+    aiPlayer = gameState.getCurrentPlayer(),
+    table = getSharedTable(),
+    quiescence = true,
+    evaluation
+  } = options;
+
+  return {
+    aiPlayer,
+    variant: gameState.getVariant(),
+    drawMoveLimit: gameState.drawMoveLimit,
+    table: table || null,
+    endgameDatabase: gameState.getVariant().id === ENDGAME_DATABASE_VARIANT ? endgameDatabase : null,
+    quiescence,
+    evaluation: getEvaluationConfig(evaluation),
+    deadline: null,
+    aborted: false,
+    nodes: 0
+  };
+}
+
+/**
+ * Score a result from the endgame database as the search would have found it
+ * A result d plies away scores like a game ending d plies below this node
+ */
+function scoreEndgameResult(known, node, depth, aiPlayer) {
+  if (known.result === ENDGAME_RESULT.DRAW) {
+    return DRAW_SCORE;
+  }
+
+  const winner = known.result === ENDGAME_RESULT.WIN ? node.player : getOpponent(node.player);
+  const score = WIN_SCORE + depth - known.distance;
+  return winner === aiPlayer ? score : -score;
+}
+
+/**
+ * Minimax search of a search node, using the transposition table for
+ * cutoffs and to try the previous best move first
+ * Scores are from the AI player's point of view
+ */
+function searchNode(node, depth, alpha, beta, isMaximizing, search) {
+  search.nodes++;
+
+  // Checking the clock on every node would cost more than it saves
+  if (search.deadline && (search.nodes & DEADLINE_CHECK_MASK) === 0 && Date.now() >= search.deadline) {
+    search.aborted = true;
+  }
+  if (search.aborted) {
+    return 0;
+  }
+
+  const { variant, aiPlayer, table } = search;
+  const moves = generateAllMoves(node.board, node.player, variant);
+
+  if (moves.length === 0) {
+    // No legal moves - game over (the stuck player wins in giveaway)
+    const winner = variant.giveaway ? node.player : getOpponent(node.player);
+    return winner === aiPlayer ? WIN_SCORE + depth : -WIN_SCORE - depth;
+  }
+
+  if (countRepetitions(node) >= 3 || node.kingMoves >= search.drawMoveLimit * 2) {
+    return DRAW_SCORE;
+  }
+
+  // Endgame database positions need no search, at the horizon or above it
+  const database = search.endgameDatabase;
+  if (database && node.pieces <= database.maxPieces) {
+    const known = probeEndgameDatabase(database, node.board, node.player);
+    if (known) {
+      return scoreEndgameResult(known, node, depth, aiPlayer);
+    }
+  }
+
+  // Past the horizon, keep playing out captures (quiescence search) so an
+  // exchange is never scored halfway; each capture is a whole multi-jump
+  if (depth <= 0 && (!search.quiescence || !moves[0].isJump)) {
+    return evaluateBoard(node.board, aiPlayer, variant, search.evaluation);
+  }
+
+  // Quiescence nodes are not stored: they are cheap and only make sense below the horizon
+  const useTable = table && depth > 0;
+  const originalAlpha = alpha;
+  const originalBeta = beta;
+  const entry = useTable ? table.probe(node.hash) : null;
+
+  if (entry && entry.depth >= depth) {
+    if (entry.flag === TT_FLAG.EXACT) {
+      return entry.score;
+    }
+    if (entry.flag === TT_FLAG.LOWER) {
+      alpha = Math.max(alpha, entry.score);
+    } else {
+      beta = Math.min(beta, entry.score);
+    }
+    if (beta <= alpha) {
+      return entry.score;
+    }
+  }
+
+  // The stored best move goes first (a hash collision can only spoil the ordering)
+  const orderedMoves = orderMoves([...moves]);
+  const hashMove = entry ? moves[entry.bestMove] : undefined;
+  if (hashMove) {
+    orderedMoves.splice(orderedMoves.indexOf(hashMove), 1);
+    orderedMoves.unshift(hashMove);
+  }
+
+  let bestScore = isMaximizing ? -Infinity : Infinity;
+  let bestMove = null;
+
+  for (const move of orderedMoves) {
+    const child = createChildNode(node, move, variant);
+    node.path.push(child.hash);
+    const score = searchNode(child, depth - 1, alpha, beta, !isMaximizing, search);
+    node.path.pop();
+
+    if (search.aborted) {
+      return 0;
+    }
+
+    if (isMaximizing ? score > bestScore : score < bestScore) {
+      bestScore = score;
+      bestMove = move;
+    }
+
+    if (isMaximizing) {
+      alpha = Math.max(alpha, score);
+    } else {
+      beta = Math.min(beta, score);
+    }
+
+    // Alpha-beta pruning
+    if (beta <= alpha) {
+      break;
+    }
+  }
+
+  let flag = TT_FLAG.EXACT;
+  if (bestScore <= originalAlpha) {
+    flag = TT_FLAG.UPPER;
+  } else if (bestScore >= originalBeta) {
+    flag = TT_FLAG.LOWER;
+  }
+  if (useTable) {
+    table.store(node.hash, depth, bestScore, flag, moves.indexOf(bestMove));
+  }
+
+  return bestScore;
+}
+
 /**
  * Minimax algorithm with alpha-beta pruning
  *
@@ -125,126 +355,373 @@ export function orderMoves(moves) {
  * @returns {number} - Evaluated score of the position
  */
 export function minimax(gameState, depth, alpha, beta, isMaximizing, aiPlayer) {
-  // Terminal state or max depth reached
-  if (depth === 0 || isTerminalState(gameState)) {
-    if (gameState.isGameOver()) {
-      const winner = gameState.getWinner();
-      if (winner === aiPlayer) {
-        return 10000 + depth; // Prefer faster wins
-      } else if (winner === null) {
-        return 0; // Draw
-      } else {
-        return -10000 - depth; // Prefer slower losses
-      }
+  if (isTerminalState(gameState)) {
+    const winner = gameState.getWinner();
+    if (gameState.isDraw()) {
+      return DRAW_SCORE;
+    } else if (winner === aiPlayer) {
+      return WIN_SCORE + depth; // Prefer faster wins
+    } else {
+      return -WIN_SCORE - depth; // Prefer slower losses
+    }
+  }
+
+  const search = createSearch(gameState, { aiPlayer });
+  return searchNode(createRootNode(gameState), depth, alpha, beta, isMaximizing, search);
+}
+
+/**
+ * Search every root move to a fixed depth, keeping the best few
+ * Only moves that could make the list are given an exact score; the rest
+ * are only shown to be no better than the last move kept
+ *
+ * @returns {Array|null} - Up to count { move, score }, best first, or null if the
+ *   search ran out of time before finishing
+ */
+function searchRootLines(root, moves, depth, search, count) {
+  const lines = [];
+
+  for (const move of moves) {
+    const alpha = lines.length === count ? lines[count - 1].score : -Infinity;
+    const child = createChildNode(root, move, search.variant);
+    root.path.push(child.hash);
+    const score = searchNode(child, depth - 1, alpha, Infinity, false, search);
+    root.path.pop();
+
+    if (search.aborted) {
+      return null;
+    }
+
+    if (lines.length < count || score > alpha) {
+      // Ties keep the earlier move ahead
+      const index = lines.findIndex(line => score > line.score);
+      lines.splice(index === -1 ? lines.length : index, 0, { move, score });
+      lines.length = Math.min(lines.length, count);
     }
-    return evaluateBoard(gameState.getBoard(), aiPlayer);
   }
 
-  const currentPlayer = gameState.getCurrentPlayer();
+  return lines;
+}
+
+/**
+ * Search every root move to a fixed depth
+ * Returns null if the search ran out of time before finishing
+ */
+function searchRoot(root, moves, depth, search) {
+  const lines = searchRootLines(root, moves, depth, search, 1);
+  if (!lines) {
+    return null;
+  }
+
+  const [{ move, score }] = lines;
+  return { from: move.from, to: move.to, path: move.path, score };
+}
+
+/**
+ * Get the best move for the AI player using minimax
+ *
+ * @param {GameState} gameState - Current game state
+ * @param {number} depth - Search depth
+ * @returns {Object|null} - Best move { from, to, path, score } or null if no moves
+ */
+export function getMiniMaxMove(gameState, depth) {
   const moves = orderMoves(gameState.getAllLegalMoves());
 
   if (moves.length === 0) {
-    // No legal moves - game over
-    const opponent = currentPlayer === PLAYER.RED ? PLAYER.BLACK : PLAYER.RED;
-    return opponent === aiPlayer ? 10000 + depth : -10000 - depth;
+    return null;
   }
 
-  if (isMaximizing) {
-    let maxScore = -Infinity;
+  return searchRoot(createRootNode(gameState), moves, depth, createSearch(gameState));
+}
 
-    for (const move of moves) {
-      const clonedState = gameState.clone();
-      clonedState.makeMove(move.from, move.to);
+/**
+ * Score every legal move with a fixed-depth minimax search
+ * Each move is searched with a full window, so its score is exact rather
+ * than a bound, and the moves can be compared with one another
+ *
+ * @param {GameState} gameState - Current game state
+ * @param {number} depth - Search depth
+ * @param {Object} options - { quiescence, evaluation } as for iterativeDeepening
+ * @returns {Array} - Legal moves with their scores, best first
+ */
+export function getMiniMaxMoves(gameState, depth, options = {}) {
+  return runSteps(getMiniMaxMovesSteps(gameState, depth, options));
+}
 
-      const score = minimax(clonedState, depth - 1, alpha, beta, false, aiPlayer);
-      maxScore = Math.max(maxScore, score);
-      alpha = Math.max(alpha, score);
+/**
+ * getMiniMaxMoves, pausing after each move is scored
+ */
+function* getMiniMaxMovesSteps(gameState, depth, options) {
+  const moves = orderMoves(gameState.getAllLegalMoves());
+  const root = createRootNode(gameState);
+  const search = createSearch(gameState, { quiescence: options.quiescence, evaluation: options.evaluation });
+  const scored = [];
 
-      // Alpha-beta pruning
-      if (beta <= alpha) {
-        break;
-      }
-    }
+  for (const move of moves) {
+    const child = createChildNode(root, move, search.variant);
+    root.path.push(child.hash);
+    const score = searchNode(child, depth - 1, -Infinity, Infinity, false, search);
+    root.path.pop();
+    scored.push({ ...move, score });
+    yield;
+  }
 
-    return maxScore;
-  } else {
-    let minScore = Infinity;
+  return scored.sort((a, b) => b.score - a.score);
+}
 
-    for (const move of moves) {
-      const clonedState = gameState.clone();
-      clonedState.makeMove(move.from, move.to);
+/**
+ * Follow the transposition table's best moves from a root move
+ * @returns {Array} - Moves of the expected line, starting with the root move
+ */
+function getPrincipalVariation(root, rootMove, search, maxLength) {
+  const line = [rootMove];
+  let node = createChildNode(root, rootMove, search.variant);
+  const seen = new Set([root.hash, node.hash]);
+
+  while (search.table && line.length < maxLength) {
+    const entry = search.table.peek(node.hash);
+    const move = entry ? generateAllMoves(node.board, node.player, search.variant)[entry.bestMove] : undefined;
+    if (!move) {
+      break;
+    }
 
-      const score = minimax(clonedState, depth - 1, alpha, beta, true, aiPlayer);
-      minScore = Math.min(minScore, score);
-      beta = Math.min(beta, score);
+    line.push(move);
+    node = createChildNode(node, move, search.variant);
 
-      // Alpha-beta pruning
-      if (beta <= alpha) {
-        break;
-      }
+    // Stop at a repetition rather than looping
+    if (seen.has(node.hash)) {
+      break;
     }
+    seen.add(node.hash);
+  }
+
+  return line;
+}
 
-    return minScore;
+/**
+ * Run a search's steps (see getBestMoveSteps) to the end without pausing
+ * @returns {*} - What the search returns
+ */
+export function runSteps(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
   }
+  return step.value;
 }
 
 /**
- * Get the best move for the AI player using minimax
+ * Search one depth deeper at a time until the depth cap or time budget is reached
+ * Depth 1 always completes; after that, an unfinished depth is discarded and
+ * the best move of the last completed depth is returned
  *
  * @param {GameState} gameState - Current game state
- * @param {number} depth - Search depth
- * @returns {Object|null} - Best move { from, to, score } or null if no moves
+ * @param {Object} options - Search limits
+ * @param {number} options.maxDepth - Deepest search to attempt
+ * @param {number} options.timeMs - Time budget in milliseconds (unlimited if omitted)
+ * @param {TranspositionTable|boolean} options.transpositionTable - Table to use, or false to search without one
+ * @param {boolean} options.quiescence - Play out pending captures beyond maxDepth (default true)
+ * @param {string|Object} options.evaluation - Evaluation profile name or weights (see evaluation.js)
+ * @param {Function} options.onProgress - Called after each completed depth with { depth, score, pv, nodes, timeMs }
+ * @returns {Object|null} - { from, to, path, score, depth, pv, timeMs, nodes, ttHitRate } or null if no moves
  */
-export function getMiniMaxMove(gameState, depth) {
-  const aiPlayer = gameState.getCurrentPlayer();
-  const moves = orderMoves(gameState.getAllLegalMoves());
+export function iterativeDeepening(gameState, options = {}) {
+  return runSteps(iterativeDeepeningSteps(gameState, options));
+}
+
+/**
+ * iterativeDeepening, pausing after each completed depth
+ */
+function* iterativeDeepeningSteps(gameState, options) {
+  const { maxDepth = MAX_SEARCH_DEPTH, timeMs = null, transpositionTable, quiescence, evaluation, onProgress = null } = options;
+  let moves = orderMoves(gameState.getAllLegalMoves());
 
   if (moves.length === 0) {
     return null;
   }
 
+  const startTime = Date.now();
+  const root = createRootNode(gameState);
+  const search = createSearch(gameState, { table: transpositionTable, quiescence, evaluation });
   let bestMove = null;
-  let bestScore = -Infinity;
 
-  for (const move of moves) {
-    const clonedState = gameState.clone();
-    clonedState.makeMove(move.from, move.to);
+  for (let depth = 1; depth <= maxDepth; depth++) {
+    search.deadline = depth > 1 && timeMs != null ? startTime + timeMs : null;
+    if (search.deadline && Date.now() >= search.deadline) {
+      break;
+    }
+
+    const result = searchRoot(root, moves, depth, search);
+    if (!result) {
+      break;
+    }
 
-    const score = minimax(clonedState, depth - 1, -Infinity, Infinity, false, aiPlayer);
+    const best = moves.find(move => move.from === result.from && move.to === result.to);
+    const pv = getPrincipalVariation(root, best, search, depth);
+    bestMove = { ...result, depth, pv };
 
-    if (score > bestScore) {
-      bestScore = score;
-      bestMove = {
-        from: move.from,
-        to: move.to,
-        score: score
-      };
+    if (onProgress) {
+      onProgress({ depth, score: result.score, pv, nodes: search.nodes, timeMs: Date.now() - startTime });
     }
+    yield;
+
+    // A forced move needs no search, and a forced result will not change with depth
+    if (moves.length === 1 || Math.abs(result.score) >= WIN_SCORE) {
+      break;
+    }
+
+    // Search the best move first next time so alpha-beta cuts more
+    moves = [best, ...moves.filter(move => move !== best)];
   }
 
+  bestMove.timeMs = Date.now() - startTime;
+  bestMove.nodes = search.nodes;
+  bestMove.ttHitRate = search.table ? search.table.getHitRate() : 0;
   return bestMove;
 }
 
+/**
+ * Analyse a position: the best few moves, each with its score and the
+ * line the search expects to follow
+ * The search deepens one ply at a time like iterativeDeepening; the lines
+ * of the last completed depth are returned
+ *
+ * @param {GameState} gameState - Position to analyse
+ * @param {Object} options - Analysis settings
+ * @param {number} options.multiPV - Moves to return (default 3)
+ * @param {number} options.depth - Deepest search (default DEFAULT_ANALYSIS_DEPTH without a time budget)
+ * @param {number} options.timeMs - Time budget in milliseconds (unlimited if omitted)
+ * @param {string|Object} options.evaluation - Evaluation profile name or weights
+ * @param {Function} options.onProgress - Called with the lines after each completed depth
+ * @returns {Array} - Up to multiPV { from, to, path, score, depth, pv }, best first, with scores
+ *   from the side to move's point of view; empty if there are no moves
+ */
+export function analyze(gameState, options = {}) {
+  return runSteps(analyzeSteps(gameState, options));
+}
+
+/**
+ * analyze, pausing after each completed depth
+ * @returns {Generator} - Steps to pass to runSteps, or to run one at a time
+ */
+export function* analyzeSteps(gameState, options = {}) {
+  const {
+    multiPV = 3,
+    timeMs = null,
+    depth: maxDepth = timeMs == null ? DEFAULT_ANALYSIS_DEPTH : MAX_SEARCH_DEPTH,
+    evaluation,
+    onProgress = null
+  } = options;
+  let moves = orderMoves(gameState.getAllLegalMoves());
+  let lines = [];
+
+  const startTime = Date.now();
+  const root = createRootNode(gameState);
+  const search = createSearch(gameState, { evaluation });
+
+  for (let depth = 1; depth <= maxDepth && moves.length > 0; depth++) {
+    search.deadline = depth > 1 && timeMs != null ? startTime + timeMs : null;
+    if (search.deadline && Date.now() >= search.deadline) {
+      break;
+    }
+
+    const result = searchRootLines(root, moves, depth, search, Math.max(1, multiPV));
+    if (!result) {
+      break;
+    }
+
+    lines = result.map(({ move, score }) => ({
+      from: move.from,
+      to: move.to,
+      path: move.path,
+      score,
+      depth,
+      pv: getPrincipalVariation(root, move, search, depth)
+    }));
+    onProgress?.(lines);
+    yield;
+
+    // Results will not change with depth once every line is forced
+    if (moves.length === 1 || result.every(line => Math.abs(line.score) >= WIN_SCORE)) {
+      break;
+    }
+
+    // Search the best lines first next time so alpha-beta cuts more
+    const best = result.map(line => line.move);
+    moves = [...best, ...moves.filter(move => !best.includes(move))];
+  }
+
+  return lines;
+}
+
+/**
+ * Play a move at a human-like strength level: one of the best few moves,
+ * chosen at random with the better ones more likely
+ * Pauses after each move is scored
+ */
+function* getHumanMoveSteps(gameState, strength, options) {
+  const { evaluation, random = Math.random } = options;
+  const scoredMoves = yield* getMiniMaxMovesSteps(gameState, strength.depth, { quiescence: strength.quiescence, evaluation });
+  const move = chooseHumanMove(scoredMoves, strength, random);
+
+  return move && { from: move.from, to: move.to, path: move.path, depth: strength.depth };
+}
+
 /**
  * Get the best move for the AI at a given difficulty level
- * Main entry point for AI move selection
+ * Main entry point for AI move selection; positions in the opening book
+ * are played from the book without searching
  *
  * @param {GameState} gameState - Current game state
- * @param {string} difficulty - Difficulty level: 'easy', 'medium', or 'hard'
- * @returns {Object|null} - Best move { from, to } or null if no moves
+ * @param {string|Object} difficulty - Difficulty level ('easy', 'medium' or 'hard')
+ *   or search options { maxDepth, timeMs, evaluation, onProgress, useBook } as for iterativeDeepening;
+ *   options with a strength level (see strength.js) and an optional random source
+ *   play like a human of that strength, and only the strongest levels use the book
+ * @returns {Object|null} - Best move { from, to, path, depth } or null if no moves;
+ *   book moves have depth 0 and fromBook set
  */
 export function getBestMove(gameState, difficulty = 'medium') {
-  const depth = getDifficultyDepth(difficulty);
-  const moveWithScore = getMiniMaxMove(gameState, depth);
+  return runSteps(getBestMoveSteps(gameState, difficulty));
+}
+
+/**
+ * getBestMove, pausing after each completed depth (after each move scored,
+ * at human-like strength levels) so the caller can do other work, such as
+ * reading a stop request, between them
+ * @returns {Generator} - Steps to pass to runSteps, or to run one at a time
+ */
+export function* getBestMoveSteps(gameState, difficulty = 'medium') {
+  let options = typeof difficulty === 'string' ? getDifficultyConfig(difficulty) : difficulty;
+  const strength = options.strength != null ? getStrengthConfig(options.strength) : null;
+  const humanLike = strength && strength.topK > 1;
+
+  if (strength && !humanLike) {
+    options = { ...options, maxDepth: strength.depth, timeMs: strength.timeMs, quiescence: strength.quiescence };
+  }
+
+  if (options.useBook !== false && !humanLike) {
+    const bookMove = getBookMove(openingBook, gameState);
+    if (bookMove) {
+      return { ...bookMove, depth: 0, fromBook: true };
+    }
+  }
+
+  if (humanLike) {
+    return yield* getHumanMoveSteps(gameState, strength, options);
+  }
+
+  const moveWithScore = yield* iterativeDeepeningSteps(gameState, options);
 
   if (!moveWithScore) {
     return null;
   }
 
-  // Return move without score for cleaner API
+  // Return move without score for cleaner API; depth is the deepest completed search
   return {
     from: moveWithScore.from,
-    to: moveWithScore.to
+    to: moveWithScore.to,
+    path: moveWithScore.path,
+    depth: moveWithScore.depth
   };
 }
 
@@ -254,7 +731,7 @@ export function getBestMove(gameState, difficulty = 'medium') {
  *
  * @param {GameState} gameState - Current game state
  * @param {string} player - Player to get hint for (optional, defaults to current player)
- * @returns {Object|null} - Best move { from, to, score } or null if no moves
+ * @returns {Object|null} - Best move { from, to, path, score } or null if no moves
  */
 export function getHint(gameState, player = null) {
   const targetPlayer = player || gameState.getCurrentPlayer();
@@ -0,0 +1,273 @@
+/**
+ * AI Client - Main-thread interface to the AI worker
+ *
+ * Searches run in a Web Worker (aiWorker.js) so rendering and input stay
+ * responsive while the AI thinks. Where workers are unavailable, or the
+ * worker fails to load, the search runs on the main thread instead.
+ * Move searches, analyses and game reviews share the worker, one at a time.
+ */
+
+import {
+  getBestMove,
+  analyze,
+  getDifficultyConfig,
+  setOpeningBook as setEngineOpeningBook,
+  setEndgameDatabase as setEngineEndgameDatabase
+} from './ai.js';
+import { reviewGame } from './analysis.js';
+import { loadOpeningBook } from './openingBook.js';
+import { loadEndgameDatabase } from './endgameDatabase.js';
+
+let worker = null;
+let openingBookData = null; // Book JSON, sent to each new worker
+let endgameData = null; // Endgame database file, sent to each new worker
+let workerFailed = false;
+let nextSearchId = 1;
+let currentSearch = null; // { id, type, gameState, options, onProgress, message, resolve }
+let stopTimer = null; // Replaces the worker if it does not answer a stop message
+let stoppingId = null;
+
+/**
+ * How long a worker has to answer a stop message before it is terminated
+ * A search reads messages between depths, so only a very long one misses this
+ */
+const STOP_TIMEOUT_MS = 2000;
+
+/**
+ * Check if searches can run in a worker
+ */
+export function isWorkerSupported() {
+  return typeof Worker !== 'undefined' && !workerFailed;
+}
+
+/**
+ * Run a search on the main thread
+ * @param {string} type - 'move' for getBestMove, 'analysis' for analyze or 'review' for reviewGame
+ */
+function searchOnMainThread(type, gameState, options, onProgress) {
+  if (type === 'analysis') {
+    return analyze(gameState, { ...options, onProgress });
+  }
+  if (type === 'review') {
+    return reviewGame(gameState, { ...options, onProgress });
+  }
+
+  const limits = typeof options === 'string' ? getDifficultyConfig(options) : options;
+  return getBestMove(gameState, { ...limits, onProgress });
+}
+
+/**
+ * Finish the current search, resolving its promise with the move, lines or review found
+ */
+function finishSearch(result) {
+  const search = currentSearch;
+  currentSearch = null;
+  search?.resolve(result);
+}
+
+/**
+ * Handle progress and results from the worker
+ * Messages from stopped searches are ignored
+ */
+function handleWorkerMessage(event) {
+  const message = event.data;
+  if (message.type === 'stopped') {
+    if (message.id === stoppingId) {
+      clearStopTimer();
+    }
+    return;
+  }
+  if (!currentSearch || message.id !== currentSearch.id) return;
+
+  if (message.type === 'progress') {
+    currentSearch.onProgress?.(message);
+  } else if (message.type === 'lines') {
+    currentSearch.onProgress?.(message.lines);
+  } else if (message.type === 'reviewprogress') {
+    currentSearch.onProgress?.({ ply: message.ply, plies: message.plies });
+  } else if (message.type === 'bestmove') {
+    finishSearch(message.move);
+  } else if (message.type === 'analysis') {
+    finishSearch(message.lines);
+  } else if (message.type === 'reviewed') {
+    finishSearch(message.review);
+  }
+}
+
+/**
+ * Fall back to main-thread searches if the worker cannot run
+ */
+function handleWorkerError(event) {
+  console.warn('AI worker failed, searching on the main thread:', event.message);
+  event.preventDefault?.();
+  workerFailed = true;
+  clearStopTimer();
+  worker?.terminate();
+  worker = null;
+
+  if (currentSearch) {
+    const { type, gameState, options, onProgress } = currentSearch;
+    finishSearch(searchOnMainThread(type, gameState, options, onProgress));
+  }
+}
+
+/**
+ * Get the worker, starting one if needed
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./aiWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = handleWorkerError;
+    if (openingBookData) {
+      worker.postMessage({ type: 'book', data: openingBookData });
+    }
+    if (endgameData) {
+      worker.postMessage({ type: 'endgame', data: endgameData });
+    }
+  }
+  return worker;
+}
+
+/**
+ * Set the opening book the AI plays from, wherever its search runs
+ * @param {Object|null} data - Book JSON (see openingBook.js), or null to play without a book
+ * @returns {boolean} - True if the book was loaded
+ */
+export function setOpeningBook(data) {
+  const book = data ? loadOpeningBook(data) : null;
+  if (data && !book) {
+    return false;
+  }
+
+  openingBookData = data;
+  setEngineOpeningBook(book);
+  worker?.postMessage({ type: 'book', data });
+  return true;
+}
+
+/**
+ * Set the endgame database the AI's search probes, wherever it runs
+ * @param {ArrayBuffer|null} data - Database file contents (see endgameDatabase.js), or null to search without one
+ * @returns {boolean} - True if the database was loaded
+ */
+export function setEndgameDatabase(data) {
+  const database = data ? loadEndgameDatabase(data) : null;
+  if (data && !database) {
+    return false;
+  }
+
+  endgameData = data;
+  setEngineEndgameDatabase(database);
+  worker?.postMessage({ type: 'endgame', data });
+  return true;
+}
+
+/**
+ * Search for the best move without blocking the page
+ * Any search already running is stopped first
+ *
+ * @param {GameState} gameState - Game to search
+ * @param {string|Object} difficulty - Difficulty level or search limits, as for getBestMove
+ *   (sent to the worker, so it cannot contain functions)
+ * @param {Function} onProgress - Optional callback for each completed depth { depth, score, pv, nodes, timeMs }
+ * @returns {Promise<Object|null>} - Resolves with { from, to, path, depth }, or null if there is no move or the search was stopped
+ */
+export function requestBestMove(gameState, difficulty = 'medium', onProgress = null) {
+  return startSearch('move', gameState, difficulty, onProgress);
+}
+
+/**
+ * Analyse a position without blocking the page
+ * Any search already running is stopped first
+ *
+ * @param {GameState} gameState - Position to analyse
+ * @param {Object} options - Analysis settings { multiPV, depth, timeMs, evaluation }, as for analyze
+ * @param {Function} onProgress - Optional callback with the lines after each completed depth
+ * @returns {Promise<Array|null>} - Resolves with the lines (see analyze), or null if the analysis was stopped
+ */
+export function requestAnalysis(gameState, options = {}, onProgress = null) {
+  return startSearch('analysis', gameState, options, onProgress);
+}
+
+/**
+ * Review a game move by move without blocking the page
+ * Any search already running is stopped first
+ *
+ * @param {GameState} gameState - Game to review
+ * @param {Object} options - Review settings { depth, evaluation }, as for reviewGame
+ * @param {Function} onProgress - Optional callback with { ply, plies } as each position is searched
+ * @returns {Promise<Object|null>} - Resolves with the review (see reviewGame), or null if it was stopped
+ */
+export function requestReview(gameState, options = {}, onProgress = null) {
+  return startSearch('review', gameState, options, onProgress);
+}
+
+/**
+ * Start a move search, analysis or review, in the worker if possible
+ */
+function startSearch(type, gameState, options, onProgress) {
+  stopSearch();
+
+  if (!isWorkerSupported()) {
+    return Promise.resolve(searchOnMainThread(type, gameState, options, onProgress));
+  }
+
+  return new Promise(resolve => {
+    const id = nextSearchId++;
+    const game = gameState.toJSON();
+    const message = type === 'move'
+      ? { type: 'start', id, game, difficulty: options }
+      : { type: type === 'analysis' ? 'analyze' : 'review', id, game, options };
+    currentSearch = { id, type, gameState: gameState.clone(), options, onProgress, message, resolve };
+    getWorker().postMessage(message);
+  });
+}
+
+/**
+ * Stop the current search; its promise resolves with null
+ * The worker is asked to stop and kept for the next search, unless it
+ * fails to answer within STOP_TIMEOUT_MS
+ */
+export function stopSearch() {
+  if (!currentSearch) return;
+
+  if (worker) {
+    clearStopTimer();
+    stoppingId = currentSearch.id;
+    stopTimer = setTimeout(replaceWorker, STOP_TIMEOUT_MS);
+    worker.postMessage({ type: 'stop', id: stoppingId });
+  }
+  finishSearch(null);
+}
+
+/**
+ * Stop waiting for the worker to answer a stop message
+ */
+function clearStopTimer() {
+  clearTimeout(stopTimer);
+  stopTimer = null;
+  stoppingId = null;
+}
+
+/**
+ * Terminate a worker that did not answer a stop message, and restart the
+ * search waiting behind the stopped one in a new worker
+ */
+function replaceWorker() {
+  clearStopTimer();
+  worker?.terminate();
+  worker = null;
+
+  if (currentSearch) {
+    getWorker().postMessage(currentSearch.message);
+  }
+}
+
+/**
+ * Check if a search is running
+ * @param {string} type - Optional: only count a 'move' search, an 'analysis' or a 'review'
+ */
+export function isSearching(type = null) {
+  return currentSearch !== null && (!type || currentSearch.type === type);
+}
@@ -0,0 +1,124 @@
+/**
+ * AI Worker - Runs the engine's search off the main thread
+ *
+ * Messages received:
+ *   { type: 'start', id, game, difficulty } - game as produced by GameState.toJSON(),
+ *     difficulty as accepted by getBestMove
+ *   { type: 'analyze', id, game, options } - options as accepted by analyze
+ *   { type: 'review', id, game, options } - options as accepted by reviewGame
+ *   { type: 'stop', id } - abandon that search; no result is sent for it
+ *   { type: 'book', data } - opening book JSON (null to play without a book)
+ *   { type: 'endgame', data } - endgame database file contents (null to search without one)
+ *
+ * Messages sent:
+ *   { type: 'progress', id, depth, score, pv, nodes, timeMs } - after each completed depth
+ *   { type: 'bestmove', id, move } - move is { from, to, path, depth }, or null if there is none
+ *   { type: 'lines', id, lines } - an analysis's lines after each completed depth
+ *   { type: 'analysis', id, lines } - an analysis's final lines (empty if there are no moves)
+ *   { type: 'reviewprogress', id, ply, plies } - as each position of a review is searched
+ *   { type: 'reviewed', id, review } - a finished review, or null if the game could not be replayed
+ *   { type: 'stopped', id } - once a stop message has been read
+ *
+ * Searches pause after each depth (each root move at human-like strength
+ * levels, each position for reviews) so that stop messages are read
+ * between them. A new search also stops the one running. The book and
+ * endgame database stay loaded across searches.
+ */
+
+import { GameState } from './gameState.js';
+import { getBestMoveSteps, analyzeSteps, getDifficultyConfig, setOpeningBook, setEndgameDatabase } from './ai.js';
+import { reviewGameSteps } from './analysis.js';
+import { loadOpeningBook } from './openingBook.js';
+import { loadEndgameDatabase } from './endgameDatabase.js';
+
+let running = null; // { id, stopped }
+
+/**
+ * Run a search one step at a time, reading messages between steps,
+ * and send its result unless it is stopped first
+ */
+function runSearch(id, steps, finish) {
+  const search = { id, stopped: false };
+  running = search;
+
+  const step = () => {
+    if (search.stopped) return;
+
+    const next = steps.next();
+    if (!next.done) {
+      setTimeout(step, 0);
+      return;
+    }
+
+    running = null;
+    finish(next.value);
+  };
+  step();
+}
+
+self.onmessage = (event) => {
+  const { type, id, game, difficulty, options, data } = event.data;
+
+  if (type === 'stop') {
+    if (running?.id === id) {
+      running.stopped = true;
+      running = null;
+    }
+    self.postMessage({ type: 'stopped', id });
+    return;
+  }
+
+  if (type === 'book') {
+    setOpeningBook(data ? loadOpeningBook(data) : null);
+    return;
+  }
+
+  if (type === 'endgame') {
+    setEndgameDatabase(data ? loadEndgameDatabase(data) : null);
+    return;
+  }
+
+  if (type !== 'start' && type !== 'analyze' && type !== 'review') {
+    console.warn('Unknown AI worker message:', type);
+    return;
+  }
+
+  // A new search replaces the one running
+  if (running) {
+    running.stopped = true;
+    running = null;
+  }
+
+  const gameState = GameState.fromJSON(game);
+  if (type === 'analyze') {
+    if (!gameState) {
+      self.postMessage({ type: 'analysis', id, lines: [] });
+      return;
+    }
+    const steps = analyzeSteps(gameState, { ...options, onProgress: update => self.postMessage({ type: 'lines', id, lines: update }) });
+    runSearch(id, steps, lines => self.postMessage({ type: 'analysis', id, lines }));
+    return;
+  }
+
+  if (type === 'review') {
+    if (!gameState) {
+      self.postMessage({ type: 'reviewed', id, review: null });
+      return;
+    }
+    const steps = reviewGameSteps(gameState, { ...options, onProgress: progress => self.postMessage({ type: 'reviewprogress', id, ...progress }) });
+    runSearch(id, steps, review => self.postMessage({ type: 'reviewed', id, review }));
+    return;
+  }
+
+  if (!gameState) {
+    self.postMessage({ type: 'bestmove', id, move: null });
+    return;
+  }
+
+  const limits = typeof difficulty === 'string' ? getDifficultyConfig(difficulty) : difficulty;
+  const steps = getBestMoveSteps(gameState, {
+    ...limits,
+    onProgress: progress => self.postMessage({ type: 'progress', id, ...progress })
+  });
+  runSearch(id, steps, move => self.postMessage({ type: 'bestmove', id, move }));
+};
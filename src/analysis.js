@@ -0,0 +1,200 @@
+/**
+ * Analysis - Post-game review of every move played
+ *
+ * Every legal move of each position in the game is searched to the same
+ * depth, and the move played is judged by how much it lowers its
+ * player's winning chances compared with the best. Winning chances are a
+ * logistic curve of the engine's score, so a dropped man costs more in a
+ * level game than in one already won.
+ */
+
+import { GameState } from './gameState.js';
+import { analyze, runSteps } from './ai.js';
+import { PLAYER, getMovePath, isMoveOnPath } from './rules.js';
+import { moveToPDN } from './pdn.js';
+
+/**
+ * How each move is judged
+ */
+export const MOVE_CLASS = {
+  BEST: 'best',
+  GOOD: 'good',
+  INACCURACY: 'inaccuracy',
+  MISTAKE: 'mistake',
+  BLUNDER: 'blunder'
+};
+
+/**
+ * Search depth for each position of a review
+ */
+export const DEFAULT_REVIEW_DEPTH = 6;
+
+/**
+ * Smallest loss of winning chances (in percentage points) for each class;
+ * anything less is good, and the engine's own choice is best
+ */
+const CLASS_THRESHOLDS = [
+  [MOVE_CLASS.BLUNDER, 20],
+  [MOVE_CLASS.MISTAKE, 10],
+  [MOVE_CLASS.INACCURACY, 5]
+];
+
+/**
+ * PDN move suffixes for the classes worth flagging
+ */
+const CLASS_GLYPHS = {
+  [MOVE_CLASS.INACCURACY]: '?!',
+  [MOVE_CLASS.MISTAKE]: '?',
+  [MOVE_CLASS.BLUNDER]: '??'
+};
+
+// Score (a man is 10) at which a side's winning chance is 1 / (1 + e^-1), about 73%
+const WIN_CHANCE_SCALE = 10;
+
+/**
+ * Convert a score for the side to move into its winning chance, 0 to 100
+ */
+export function getWinChance(score) {
+  return 100 / (1 + Math.exp(-score / WIN_CHANCE_SCALE));
+}
+
+/**
+ * Classify a move by the winning chances it gives away
+ * @param {number} loss - Drop in winning chance, in percentage points
+ * @param {boolean} isBest - Whether it is the move the engine prefers
+ */
+export function classifyMove(loss, isBest = false) {
+  if (isBest) {
+    return MOVE_CLASS.BEST;
+  }
+  const match = CLASS_THRESHOLDS.find(([, threshold]) => loss >= threshold);
+  return match ? match[0] : MOVE_CLASS.GOOD;
+}
+
+/**
+ * Score a move out of 100 by the winning chances it gives away
+ * The curve is the one Lichess uses for its accuracy figures
+ */
+export function getMoveAccuracy(loss) {
+  const accuracy = 103.1668 * Math.exp(-0.04354 * loss) - 3.1669;
+  return Math.min(100, Math.max(0, accuracy));
+}
+
+/**
+ * Review a game move by move
+ *
+ * @param {GameState} gameState - Game to review (its moves so far)
+ * @param {Object} options - Optional settings
+ * @param {number} options.depth - Search depth for each position (default DEFAULT_REVIEW_DEPTH)
+ * @param {string|Object} options.evaluation - Evaluation profile or weights, as for analyze
+ * @param {Function} options.onProgress - Called with { ply, plies } as each position is searched
+ * @returns {Object} - { moves, accuracy } where each move is
+ *   { ply, player, move, classification, chanceBefore, chanceAfter, loss, best, refutation }:
+ *   chances are the mover's with the best move and with the move played; best is the
+ *   engine's line (see analyze) and refutation the opponent's expected reply and the
+ *   rest of the line after the move played. accuracy holds each player's average
+ *   move accuracy (null for a player with no moves)
+ */
+export function reviewGame(gameState, options = {}) {
+  return runSteps(reviewGameSteps(gameState, options));
+}
+
+/**
+ * reviewGame, pausing after each position is searched
+ * @returns {Generator} - Steps to pass to runSteps, or to run one at a time
+ */
+export function* reviewGameSteps(gameState, options = {}) {
+  const { depth = DEFAULT_REVIEW_DEPTH, evaluation, onProgress = null } = options;
+  const history = gameState.getMoveHistory();
+  const position = GameState.fromJSON({ ...gameState.toJSON(), moves: [] });
+  const moves = [];
+
+  for (const [ply, move] of history.entries()) {
+    onProgress?.({ ply, plies: history.length });
+
+    // A line for every legal move, so the move played is scored in the same search as the best
+    const lines = analyze(position, { multiPV: position.getAllLegalMoves().length, depth, evaluation });
+    const best = lines[0];
+    const played = lines.find(line => isMoveOnPath(line, getMovePath(move)));
+    const isBest = played === best;
+
+    const chanceBefore = getWinChance(best.score);
+    const chanceAfter = getWinChance(played.score);
+    const loss = Math.max(0, chanceBefore - chanceAfter);
+
+    moves.push({
+      ply,
+      player: move.player,
+      move,
+      classification: classifyMove(loss, isBest),
+      chanceBefore,
+      chanceAfter,
+      loss,
+      best,
+      refutation: played.pv.slice(1)
+    });
+
+    position.makeMove(move);
+    yield;
+  }
+  onProgress?.({ ply: history.length, plies: history.length });
+
+  const accuracy = {};
+  for (const player of [PLAYER.RED, PLAYER.BLACK]) {
+    const own = moves.filter(entry => entry.player === player);
+    accuracy[player] = own.length === 0
+      ? null
+      : own.reduce((total, entry) => total + getMoveAccuracy(entry.loss), 0) / own.length;
+  }
+
+  return { moves, accuracy };
+}
+
+/**
+ * Check if a reviewed move deserves a comment: one that gave away enough to
+ * be an inaccuracy or worse
+ */
+export function isBadMove(entry) {
+  return entry.classification in CLASS_GLYPHS;
+}
+
+/**
+ * Describe a bad move: what it cost, what was better and how it is punished
+ */
+export function describeMove(entry) {
+  const label = entry.classification[0].toUpperCase() + entry.classification.slice(1);
+  const parts = [`${label} (-${Math.round(entry.loss)}%)`, `better ${entry.best.pv.map(moveToPDN).join(' ')}`];
+  if (entry.refutation.length > 0) {
+    parts.push(`refuted by ${entry.refutation.map(moveToPDN).join(' ')}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Get a review as PDN annotations, to pass to toPDN with the game
+ * The accuracies open the move text, and bad moves are marked (?!, ? or ??)
+ * and followed by a description
+ *
+ * @param {Object} review - From reviewGame
+ * @returns {Object} - { comments, annotations } as accepted by toPDN
+ */
+export function getReviewAnnotations(review) {
+  const comments = {};
+  const annotations = {};
+
+  const accuracy = [[PLAYER.RED, 'Red'], [PLAYER.BLACK, 'Black']]
+    .filter(([player]) => review.accuracy[player] != null)
+    .map(([player, name]) => `${name} ${review.accuracy[player].toFixed(1)}%`);
+  if (accuracy.length > 0) {
+    comments[0] = `Accuracy: ${accuracy.join(', ')}`;
+  }
+
+  for (const entry of review.moves) {
+    if (isBadMove(entry)) {
+      annotations[entry.ply] = CLASS_GLYPHS[entry.classification];
+      comments[entry.ply + 1] = describeMove(entry);
+    }
+  }
+
+  return { comments, annotations };
+}
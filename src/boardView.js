@@ -2,13 +2,53 @@
  * Board View Module - Handles rendering and user interaction
  */
 
-import { PIECE, PLAYER } from './rules.js';
+import { PIECE, PLAYER, getMovePath, isPlayerPiece } from './rules.js';
+import { DRAW_REASON, initializeBoard } from './gameState.js';
+import { positionToSquare } from './notation.js';
 
 // Internal state
 let currentGameState = null;
 let selectedSquare = null;
 let validMoves = [];
+let routeChoices = null; // Capture routes to the clicked square while the player picks one
+let jumpPath = null; // Squares of a capture entered hop by hop so far, from the origin
+let isAnimating = false; // Clicks are ignored while a move is animated
+let drag = null; // Piece pressed or being dragged: { pointerId, square, element, startX, startY, moved }
+let suppressClick = false; // A drag has just ended: the click the browser fires after it is not a move
+
+// Distance (px) the pointer must travel before a press becomes a drag
+const DRAG_THRESHOLD_PX = 5;
+
+// Keyboard focus moves between squares with the arrow keys
+const ARROW_STEPS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1]
+};
+
+// Animation timings (ms); a single move matches the .piece.animating transition
+const MOVE_DURATION_MS = 600;
+const HOP_DURATION_MS = 350;
 let onMoveCompleteCallback = null;
+let humanPlayers = [PLAYER.RED, PLAYER.BLACK]; // Players who move pieces by clicking
+
+// Orientation and edge labels
+let isFlipped = false; // Drawn with Black at the bottom
+let boardLabels = 'none';
+
+/**
+ * Labels that can be drawn on the squares
+ */
+export const BOARD_LABELS = {
+  NONE: 'none',
+  NUMBERS: 'numbers', // Standard square numbers (1-32) on the dark squares
+  COORDINATES: 'coordinates' // Algebraic files and ranks along the bottom and left edges
+};
+
+// Setup mode state (board editor)
+let setupBoard = null; // Board being edited, null when not in setup mode
+let setupPiece = PIECE.RED; // Piece placed by clicking a square (EMPTY erases)
 
 /**
  * Create a piece DOM element
@@ -48,6 +88,7 @@ export function clearHighlights() {
   squares.forEach(square => {
     square.classList.remove('selected', 'highlighted', 'hint-from', 'hint-to');
   });
+  updateSquareLabels();
 }
 
 /**
@@ -64,8 +105,8 @@ export function clearBoard() {
 export function renderPieces(boardState) {
   clearPieces();
 
-  for (let row = 0; row < 8; row++) {
-    for (let col = 0; col < 8; col++) {
+  for (let row = 0; row < boardState.length; row++) {
+    for (let col = 0; col < boardState[row].length; col++) {
       const piece = boardState[row][col];
       if (piece !== PIECE.EMPTY) {
         const square = document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
@@ -76,6 +117,44 @@ export function renderPieces(boardState) {
       }
     }
   }
+  updateSquareLabels();
+}
+
+/**
+ * Describe a square for screen readers ("square 22, red king, selected")
+ * Dark squares go by their standard number (1-32)
+ */
+function getSquareLabel(square) {
+  const number = positionToSquare({ row: parseInt(square.dataset.row), col: parseInt(square.dataset.col) });
+  if (number === null) {
+    return 'light square';
+  }
+
+  // A piece fading out has already been captured
+  const piece = square.querySelector('.piece:not(.taken)');
+  const parts = [`square ${number}`];
+  if (piece) {
+    const color = piece.classList.contains('red') ? 'red' : 'black';
+    parts.push(`${color} ${piece.classList.contains('king') ? 'king' : 'man'}`);
+  } else {
+    parts.push('empty');
+  }
+
+  if (square.classList.contains('selected')) parts.push('selected');
+  if (square.classList.contains('highlighted')) parts.push('legal move');
+  if (square.classList.contains('hint-from')) parts.push('hint: move this piece');
+  if (square.classList.contains('hint-to')) parts.push('hint: move here');
+  return parts.join(', ');
+}
+
+/**
+ * Label every square with what is on it and how it is highlighted
+ */
+function updateSquareLabels() {
+  document.querySelectorAll('.square').forEach(square => {
+    square.setAttribute('aria-label', getSquareLabel(square));
+    square.setAttribute('aria-selected', String(square.classList.contains('selected')));
+  });
 }
 
 /**
@@ -90,6 +169,7 @@ export function highlightValidMoves(moves) {
       square.classList.add('highlighted');
     }
   });
+  updateSquareLabels();
 }
 
 /**
@@ -107,33 +187,28 @@ export function highlightHint(from, to) {
   if (toSquare) {
     toSquare.classList.add('hint-to');
   }
+  updateSquareLabels();
 }
 
 /**
  * Select a square and show valid moves
  */
 export function selectSquare(row, col, gameState) {
-  // Clear previous selection
-  clearHighlights();
-
-  // Mark square as selected
-  const square = document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
-  if (square) {
-    square.classList.add('selected');
-  }
+  cancelMoveEntry();
 
   // Store selected square
   selectedSquare = { row, col };
 
   // Get and highlight valid moves
   validMoves = gameState.getLegalMoves({ row, col });
-  highlightValidMoves(validMoves);
+  highlightTargets();
 }
 
 /**
  * Deselect current square
  */
 export function deselectSquare() {
+  cancelMoveEntry();
   clearHighlights();
   selectedSquare = null;
   validMoves = [];
@@ -161,13 +236,202 @@ export function isSquareHighlighted(row, col) {
   return square && square.classList.contains('highlighted');
 }
 
+/**
+ * Find a square element
+ */
+function getSquareElement(position) {
+  return document.querySelector(`[data-row="${position.row}"][data-col="${position.col}"]`);
+}
+
+/**
+ * Check if two positions are the same square
+ */
+function samePosition(a, b) {
+  return a.row === b.row && a.col === b.col;
+}
+
+/**
+ * Get the square the selected piece stands on, after any hops entered so far
+ */
+function getCurrentSquare() {
+  return jumpPath ? jumpPath[jumpPath.length - 1] : selectedSquare;
+}
+
+/**
+ * Get the moves still open to the selected piece: those that follow the hops
+ * entered so far, narrowed to the routes being chosen between
+ */
+function getOpenMoves() {
+  const moves = routeChoices || validMoves;
+  if (!jumpPath) {
+    return moves;
+  }
+  return moves.filter(move => jumpPath.every((position, i) => samePosition(move.path[i], position)));
+}
+
+/**
+ * Highlight where the selected piece can go: each open move's destination,
+ * and for captures the next landing square, so they can be entered hop by hop
+ * While choosing between routes to one square, only the landing squares are shown
+ */
+function highlightTargets() {
+  clearHighlights();
+  getSquareElement(getCurrentSquare())?.classList.add('selected');
+
+  const hop = jumpPath ? jumpPath.length : 1;
+  for (const move of getOpenMoves()) {
+    const targets = routeChoices ? [move.path[hop]] : [move.path[hop], move.to];
+    for (const target of targets) {
+      getSquareElement(target)?.classList.add('highlighted');
+    }
+  }
+  updateSquareLabels();
+}
+
+/**
+ * Abandon a capture entered part of the way or a choice between routes,
+ * putting the pieces and game status back
+ */
+function cancelMoveEntry() {
+  if (jumpPath && currentGameState) {
+    renderPieces(currentGameState.getBoard());
+  }
+  if (routeChoices && currentGameState) {
+    updateGameInfo(currentGameState);
+  }
+  jumpPath = null;
+  routeChoices = null;
+}
+
+/**
+ * Ask the player which of several capture routes to take
+ */
+function chooseRoute(moves) {
+  routeChoices = moves;
+  highlightTargets();
+
+  const message = 'More than one capture ends there: click a square to jump through';
+  const gameStatusElement = document.getElementById('game-status');
+  if (gameStatusElement) {
+    gameStatusElement.textContent = message;
+    gameStatusElement.className = 'status-message active';
+  }
+  announce(message);
+}
+
+/**
+ * Run an animation with clicks on the board ignored, then check that the
+ * game was not changed meanwhile (new game, undo)
+ * @returns {Promise<boolean>} - True if the game is as it was
+ */
+async function runAnimation(animation) {
+  const gameState = currentGameState;
+  const plies = gameState.getMoveHistory().length;
+
+  isAnimating = true;
+  try {
+    await animation();
+  } finally {
+    isAnimating = false;
+  }
+  return currentGameState === gameState && gameState.getMoveHistory().length === plies;
+}
+
+/**
+ * Jump the selected piece to the next landing square of a capture
+ * The capture is played once its last hop is entered
+ */
+async function playHop(row, col, moves, dropped = false) {
+  const from = getCurrentSquare();
+  const hop = jumpPath ? jumpPath.length : 1;
+  const fromSquare = getSquareElement(from);
+  const pieceElement = fromSquare?.querySelector('.piece');
+  const piece = currentGameState.getBoard()[selectedSquare.row][selectedSquare.col];
+  const captured = moves[0].captured[hop - 1];
+  clearHighlights();
+
+  if (dropped) {
+    // The piece was dragged there, so only the jumped piece is left to go
+    getSquareElement(captured)?.querySelector('.piece')?.classList.add('taken');
+  } else {
+    const current = await runAnimation(() => animateMove({ path: [from, { row, col }], captured: [captured] }, piece));
+    if (!current) return;
+  }
+
+  // Leave the piece where it landed until the capture is finished
+  if (pieceElement) {
+    getSquareElement({ row, col })?.appendChild(pieceElement);
+    pieceElement.style.visibility = '';
+  }
+
+  jumpPath = [...(jumpPath || [selectedSquare]), { row, col }];
+  const finished = moves.find(move => move.path.length === jumpPath.length);
+  if (finished) {
+    executeMove(finished, currentGameState);
+  } else {
+    highlightTargets();
+  }
+}
+
+/**
+ * Play a move chosen by its destination, animating the hops of a capture
+ * not yet entered
+ */
+async function playMove(move) {
+  if (move.isJump) {
+    const hopsDone = jumpPath ? jumpPath.length - 1 : 0;
+    const piece = currentGameState.getBoard()[move.from.row][move.from.col];
+    clearHighlights();
+
+    const current = await runAnimation(() => animateMove({
+      path: move.path.slice(hopsDone),
+      captured: move.captured.slice(hopsDone)
+    }, piece));
+    if (!current) return;
+  }
+
+  executeMove(move, currentGameState);
+}
+
+/**
+ * Handle a click on a highlighted square: the next hop of a capture, or a
+ * move's destination (several routes to it are narrowed down hop by hop)
+ * @param {boolean} dropped - The piece was dragged to the square, so is not animated there
+ */
+function handleTargetClick(row, col, dropped = false) {
+  const hop = jumpPath ? jumpPath.length : 1;
+  const moves = getOpenMoves();
+
+  const hopping = moves.filter(move => move.isJump && samePosition(move.path[hop], { row, col }));
+  if (hopping.length > 0) {
+    playHop(row, col, hopping, dropped);
+    return;
+  }
+
+  const ending = moves.filter(move => samePosition(move.to, { row, col }));
+  if (ending.length === 1) {
+    if (dropped) {
+      executeMove(ending[0], currentGameState);
+    } else {
+      playMove(ending[0]);
+    }
+  } else if (ending.length > 1) {
+    chooseRoute(ending);
+  }
+}
+
 /**
  * Execute a move
+ * @param {Object|Array} move - Move object or path, as accepted by GameState.makeMove
  */
-export function executeMove(from, to, gameState) {
-  const success = gameState.makeMove(from, to);
+export function executeMove(move, gameState) {
+  const success = gameState.makeMove(move);
 
   if (success) {
+    // The pieces are drawn afresh from the new position
+    jumpPath = null;
+    routeChoices = null;
+
     // Clear selection and highlights
     deselectSquare();
 
@@ -176,6 +440,7 @@ export function executeMove(from, to, gameState) {
 
     // Update game info
     updateGameInfo(gameState);
+    announceMove(gameState);
 
     // Trigger callback if set (for AI moves, etc.)
     if (onMoveCompleteCallback) {
@@ -205,7 +470,7 @@ export function updateGameInfo(gameState) {
   if (gameStatusElement) {
     if (gameState.isGameOver()) {
       const winner = gameState.getWinner();
-      gameStatusElement.textContent = winner ? `${winner === PLAYER.RED ? 'Red' : 'Black'} Wins!` : 'Draw';
+      gameStatusElement.textContent = winner ? `${winner === PLAYER.RED ? 'Red' : 'Black'} Wins!` : getDrawMessage(gameState.getDrawReason());
       gameStatusElement.className = 'status-message winner';
     } else {
       gameStatusElement.textContent = 'Game in progress';
@@ -226,18 +491,88 @@ export function updateGameInfo(gameState) {
   }
 }
 
+/**
+ * Read a message out to screen readers through the board's live region
+ */
+export function announce(message) {
+  const announcer = document.getElementById('board-announcer');
+  if (announcer) {
+    announcer.textContent = message;
+  }
+}
+
+/**
+ * Announce the last move played: who moved where, what was captured, any
+ * promotion and, once the game is over, the result
+ */
+export function announceMove(gameState) {
+  const history = gameState.getMoveHistory();
+  const move = history[history.length - 1];
+  if (!move) return;
+
+  const name = move.player === PLAYER.RED ? 'Red' : 'Black';
+  const squares = move.path.map(positionToSquare).join(' to ');
+  const sentences = [];
+
+  if (move.isJump) {
+    const count = move.captured.length;
+    sentences.push(`${name} jumps ${squares}, capturing ${count === 1 ? 'a piece' : `${count} pieces`}.`);
+  } else {
+    sentences.push(`${name} moves ${squares}.`);
+  }
+  if (move.promoted) {
+    sentences.push(`${name} is crowned king.`);
+  }
+
+  if (gameState.isGameOver()) {
+    const winner = gameState.getWinner();
+    const result = winner ? `${winner === PLAYER.RED ? 'Red' : 'Black'} wins` : getDrawMessage(gameState.getDrawReason());
+    sentences.push(`Game over: ${result}.`);
+  }
+
+  announce(sentences.join(' '));
+}
+
+/**
+ * Get the status text for a drawn game
+ */
+function getDrawMessage(drawReason) {
+  if (drawReason === DRAW_REASON.THREEFOLD_REPETITION) {
+    return 'Draw by threefold repetition';
+  }
+  if (drawReason === DRAW_REASON.MOVE_LIMIT) {
+    return 'Draw by move limit';
+  }
+  return 'Draw';
+}
+
 /**
  * Handle square click event
  */
 export function handleSquareClick(event) {
-  if (!currentGameState) return;
+  if (suppressClick) {
+    suppressClick = false;
+    return;
+  }
 
   // Find the clicked square
   const square = event.target.closest('.square');
   if (!square) return;
 
-  const row = parseInt(square.dataset.row);
-  const col = parseInt(square.dataset.col);
+  activateSquare(parseInt(square.dataset.row), parseInt(square.dataset.col));
+}
+
+/**
+ * Act on a square clicked or chosen from the keyboard: select a piece, move
+ * or hop it, or deselect it
+ */
+function activateSquare(row, col) {
+  if (setupBoard) {
+    handleSetupClick(row, col);
+    return;
+  }
+
+  if (!currentGameState || isAnimating) return;
 
   // Get piece at clicked square
   const board = currentGameState.getBoard();
@@ -250,15 +585,22 @@ export function handleSquareClick(event) {
     return;
   }
 
-  // Case 1: Clicking on currently selected square - deselect
-  if (selectedSquare && selectedSquare.row === row && selectedSquare.col === col) {
+  // Ignore clicks while the AI is to move
+  if (!humanPlayers.includes(currentPlayer)) {
+    return;
+  }
+
+  // Case 1: Clicking on currently selected square (where a capture entered
+  // hop by hop has got to) - deselect
+  if (selectedSquare && samePosition(getCurrentSquare(), { row, col })) {
     deselectSquare();
     return;
   }
 
-  // Case 2: Clicking on a highlighted square (valid move destination) - execute move
+  // Case 2: Clicking on a highlighted square (valid move destination, or the
+  // next landing square of a capture) - execute move or hop
   if (selectedSquare && isSquareHighlighted(row, col)) {
-    executeMove(selectedSquare, { row, col }, currentGameState);
+    handleTargetClick(row, col);
     return;
   }
 
@@ -276,6 +618,190 @@ export function handleSquareClick(event) {
   deselectSquare();
 }
 
+/**
+ * Make a square the board's one stop in the tab order
+ */
+function setTabStop(square) {
+  document.querySelectorAll('.square[tabindex="0"]').forEach(other => {
+    other.setAttribute('tabindex', '-1');
+  });
+  square.setAttribute('tabindex', '0');
+}
+
+/**
+ * Move keyboard focus to a square, if it is on the board
+ */
+function focusSquare(row, col) {
+  const square = getSquareElement({ row, col });
+  if (square) {
+    setTabStop(square);
+    square.focus();
+  }
+}
+
+/**
+ * Keep the tab stop on the square last focused, however it got focus
+ */
+export function handleBoardFocus(event) {
+  const square = event.target.closest('.square');
+  if (square) {
+    setTabStop(square);
+  }
+}
+
+/**
+ * Handle a key pressed on a square: the arrow keys, Home and End move
+ * between squares, Enter or Space acts as a click and Escape deselects
+ */
+export function handleBoardKeydown(event) {
+  const square = event.target.closest('.square');
+  if (!square) return;
+
+  const row = parseInt(square.dataset.row);
+  const col = parseInt(square.dataset.col);
+
+  if (ARROW_STEPS[event.key]) {
+    // The arrows follow the board as drawn
+    const direction = isFlipped ? -1 : 1;
+    const [rowStep, colStep] = ARROW_STEPS[event.key];
+    focusSquare(row + direction * rowStep, col + direction * colStep);
+  } else if (event.key === 'Home' || event.key === 'End') {
+    const rowSquares = document.querySelectorAll(`.square[data-row="${row}"]`);
+    const target = event.key === 'Home' ? rowSquares[0] : rowSquares[rowSquares.length - 1];
+    focusSquare(row, parseInt(target.dataset.col));
+  } else if (event.key === 'Enter' || event.key === ' ') {
+    activateSquare(row, col);
+  } else if (event.key === 'Escape') {
+    if (!isAnimating) deselectSquare();
+  } else {
+    return;
+  }
+
+  event.preventDefault();
+}
+
+/**
+ * Check if the piece on a square may be picked up and dragged: the piece a
+ * capture has got to, or any piece of a human player whose turn it is
+ */
+function canDragFrom(row, col) {
+  if (setupBoard || !currentGameState || isAnimating || currentGameState.isGameOver()) {
+    return false;
+  }
+
+  const currentPlayer = currentGameState.getCurrentPlayer();
+  if (!humanPlayers.includes(currentPlayer)) {
+    return false;
+  }
+
+  if (jumpPath && samePosition(getCurrentSquare(), { row, col })) {
+    return true;
+  }
+  return isPlayerPiece(currentGameState.getBoard()[row][col], currentPlayer);
+}
+
+/**
+ * Handle a pointer pressed on the board: a piece that may move becomes a
+ * drag once the pointer moves far enough, and otherwise is left to the click
+ */
+export function handlePointerDown(event) {
+  suppressClick = false;
+  if (drag || event.button !== 0) return;
+
+  const square = event.target.closest('.square');
+  const element = square?.querySelector('.piece');
+  if (!element) return;
+
+  const row = parseInt(square.dataset.row);
+  const col = parseInt(square.dataset.col);
+  if (!canDragFrom(row, col)) return;
+
+  drag = { pointerId: event.pointerId, square: { row, col }, element, startX: event.clientX, startY: event.clientY, moved: false };
+}
+
+/**
+ * Pick up the pressed piece, selecting it so its targets are highlighted
+ */
+function startDrag(event) {
+  const { row, col } = drag.square;
+  if (!selectedSquare || !samePosition(getCurrentSquare(), drag.square)) {
+    selectSquare(row, col, currentGameState);
+  }
+
+  // Selecting another piece redraws the pieces a capture had moved
+  drag.element = getSquareElement(drag.square)?.querySelector('.piece');
+  drag.moved = true;
+  drag.element?.classList.add('dragging');
+  document.getElementById('board')?.setPointerCapture?.(event.pointerId);
+}
+
+/**
+ * Move the dragged piece with the pointer
+ */
+export function handlePointerMove(event) {
+  if (!drag || event.pointerId !== drag.pointerId) return;
+
+  const dx = event.clientX - drag.startX;
+  const dy = event.clientY - drag.startY;
+  if (!drag.moved) {
+    if (Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+    startDrag(event);
+  }
+
+  if (drag.element) {
+    drag.element.style.transform = `translate(${dx}px, ${dy}px)`;
+  }
+}
+
+/**
+ * Drop the dragged piece: on a highlighted square it moves or hops there as
+ * if the square were clicked, and anywhere else it goes back
+ */
+export function handlePointerUp(event) {
+  if (!drag || event.pointerId !== drag.pointerId) return;
+
+  const { element, moved } = drag;
+  drag = null;
+  if (!moved || !element) return;
+  suppressClick = true;
+
+  // The dragged piece lets the pointer through, so this finds the square beneath it
+  const square = document.elementFromPoint(event.clientX, event.clientY)?.closest('.square');
+  element.classList.remove('dragging');
+
+  const row = square ? parseInt(square.dataset.row) : -1;
+  const col = square ? parseInt(square.dataset.col) : -1;
+  if (square && isSquareHighlighted(row, col)) {
+    element.style.transform = '';
+    handleTargetClick(row, col, true);
+  } else {
+    snapBack(element);
+  }
+}
+
+/**
+ * Abandon a drag the browser has taken over (a scroll or a system gesture)
+ */
+export function handlePointerCancel(event) {
+  if (!drag || event.pointerId !== drag.pointerId) return;
+
+  const { element, moved } = drag;
+  drag = null;
+  if (moved && element) {
+    element.classList.remove('dragging');
+    snapBack(element);
+  }
+}
+
+/**
+ * Slide a dropped piece back to its square
+ */
+function snapBack(element) {
+  element.classList.add('returning');
+  element.addEventListener('transitionend', () => element.classList.remove('returning'), { once: true });
+  element.style.transform = '';
+}
+
 /**
  * Setup event listeners on board squares
  */
@@ -285,6 +811,12 @@ export function setupBoardEventListeners() {
   if (boardElement) {
     // Use event delegation - single listener on board
     boardElement.addEventListener('click', handleSquareClick);
+    boardElement.addEventListener('pointerdown', handlePointerDown);
+    boardElement.addEventListener('pointermove', handlePointerMove);
+    boardElement.addEventListener('pointerup', handlePointerUp);
+    boardElement.addEventListener('pointercancel', handlePointerCancel);
+    boardElement.addEventListener('keydown', handleBoardKeydown);
+    boardElement.addEventListener('focusin', handleBoardFocus);
   }
 }
 
@@ -296,6 +828,12 @@ export function removeBoardEventListeners() {
 
   if (boardElement) {
     boardElement.removeEventListener('click', handleSquareClick);
+    boardElement.removeEventListener('pointerdown', handlePointerDown);
+    boardElement.removeEventListener('pointermove', handlePointerMove);
+    boardElement.removeEventListener('pointerup', handlePointerUp);
+    boardElement.removeEventListener('pointercancel', handlePointerCancel);
+    boardElement.removeEventListener('keydown', handleBoardKeydown);
+    boardElement.removeEventListener('focusin', handleBoardFocus);
   }
 }
 
@@ -312,10 +850,16 @@ export function renderBoard(gameState) {
  * Initialize board view with game state
  * @param {GameState} gameState - The game state to render
  * @param {Function} onMoveComplete - Optional callback called after each move
+ * @param {Object} options - Optional settings
+ * @param {Array} options.humanPlayers - Players allowed to move by clicking (defaults to both)
  */
-export function initializeBoardView(gameState, onMoveComplete = null) {
+export function initializeBoardView(gameState, onMoveComplete = null, options = {}) {
   // Store game state reference
   currentGameState = gameState;
+  humanPlayers = options.humanPlayers || [PLAYER.RED, PLAYER.BLACK];
+
+  // Starting a game ends setup mode
+  setupBoard = null;
 
   // Store callback
   onMoveCompleteCallback = onMoveComplete;
@@ -323,6 +867,11 @@ export function initializeBoardView(gameState, onMoveComplete = null) {
   // Reset selection state
   selectedSquare = null;
   validMoves = [];
+  routeChoices = null;
+  jumpPath = null;
+  isAnimating = false;
+  drag = null;
+  suppressClick = false;
 
   // Clear any existing listeners
   removeBoardEventListeners();
@@ -334,6 +883,156 @@ export function initializeBoardView(gameState, onMoveComplete = null) {
   renderBoard(gameState);
 }
 
+/**
+ * Turn the board to put Black (flipped) or Red at the bottom
+ * Squares keep their rows and columns and only change places on the page,
+ * so pieces, highlights, animations and input follow without change
+ */
+export function setBoardFlipped(flipped) {
+  isFlipped = Boolean(flipped);
+  const board = document.getElementById('board');
+  if (!board) return;
+
+  const direction = isFlipped ? -1 : 1;
+  const byIndex = getIndex => (a, b) => direction * (getIndex(a) - getIndex(b));
+  const rows = [...board.querySelectorAll('.board-row')];
+
+  rows.sort(byIndex(row => parseInt(row.querySelector('.square').dataset.row))).forEach(row => {
+    const squares = [...row.querySelectorAll('.square')];
+    squares.sort(byIndex(square => parseInt(square.dataset.col))).forEach(square => row.appendChild(square));
+    board.appendChild(row);
+  });
+
+  board.classList.toggle('flipped', isFlipped);
+  updateBoardLabels();
+}
+
+/**
+ * Check if the board is drawn with Black at the bottom
+ */
+export function isBoardFlipped() {
+  return isFlipped;
+}
+
+/**
+ * Choose the labels drawn on the squares (see BOARD_LABELS)
+ */
+export function setBoardLabels(labels) {
+  boardLabels = Object.values(BOARD_LABELS).includes(labels) ? labels : BOARD_LABELS.NONE;
+  updateBoardLabels();
+}
+
+/**
+ * Set or remove a data attribute the stylesheet draws as a label
+ */
+function setSquareData(square, key, value) {
+  if (value === null) {
+    delete square.dataset[key];
+  } else {
+    square.dataset[key] = value;
+  }
+}
+
+/**
+ * Mark the squares with the chosen labels
+ * Files are lettered from Red's left and ranks numbered from Red's side; they
+ * sit on whichever squares are along the bottom and left edges as drawn
+ */
+function updateBoardLabels() {
+  const size = document.querySelectorAll('.board-row').length;
+  const bottomRow = isFlipped ? 0 : size - 1;
+  const leftCol = isFlipped ? size - 1 : 0;
+  const coordinates = boardLabels === BOARD_LABELS.COORDINATES;
+
+  document.querySelectorAll('.square').forEach(square => {
+    const row = parseInt(square.dataset.row);
+    const col = parseInt(square.dataset.col);
+    const number = boardLabels === BOARD_LABELS.NUMBERS ? positionToSquare({ row, col }) : null;
+
+    setSquareData(square, 'number', number === null ? null : String(number));
+    setSquareData(square, 'rank', coordinates && col === leftCol ? String(size - row) : null);
+    setSquareData(square, 'file', coordinates && row === bottomRow ? String.fromCharCode(97 + col) : null);
+  });
+}
+
+/**
+ * Enter setup mode to edit a position
+ * @param {Array} board - Position to start editing from
+ */
+export function enterSetupMode(board) {
+  setupBoard = board.map(row => [...row]);
+  deselectSquare();
+  renderPieces(setupBoard);
+
+  const gameStatusElement = document.getElementById('game-status');
+  if (gameStatusElement) {
+    gameStatusElement.textContent = 'Setting up position';
+    gameStatusElement.className = 'status-message setup';
+  }
+}
+
+/**
+ * Leave setup mode without starting a game
+ * Restores the view of the current game
+ */
+export function exitSetupMode() {
+  setupBoard = null;
+  if (currentGameState) {
+    renderBoard(currentGameState);
+  }
+}
+
+/**
+ * Check if the board editor is active
+ */
+export function isInSetupMode() {
+  return setupBoard !== null;
+}
+
+/**
+ * Choose the piece placed by clicking in setup mode (PIECE.EMPTY erases)
+ */
+export function setSetupPiece(piece) {
+  setupPiece = piece;
+}
+
+/**
+ * Get the position being edited in setup mode
+ */
+export function getSetupBoard() {
+  return setupBoard ? setupBoard.map(row => [...row]) : null;
+}
+
+/**
+ * Remove every piece from the position being edited
+ */
+export function clearSetupBoard() {
+  if (!setupBoard) return;
+  setupBoard = setupBoard.map(row => row.map(() => PIECE.EMPTY));
+  renderPieces(setupBoard);
+}
+
+/**
+ * Restore the standard starting position in the editor
+ */
+export function resetSetupBoard() {
+  if (!setupBoard) return;
+  setupBoard = initializeBoard();
+  renderPieces(setupBoard);
+}
+
+/**
+ * Place or remove a piece on a square in setup mode
+ * Clicking a square that already holds the chosen piece empties it
+ */
+function handleSetupClick(row, col) {
+  // Pieces can only stand on dark squares
+  if ((row + col) % 2 === 0) return;
+
+  setupBoard[row][col] = setupBoard[row][col] === setupPiece ? PIECE.EMPTY : setupPiece;
+  renderPieces(setupBoard);
+}
+
 /**
  * Get current game state (for testing/debugging)
  */
@@ -342,75 +1041,95 @@ export function getCurrentGameState() {
 }
 
 /**
- * Animate a piece moving from one square to another
- * @param {Object} from - Source position {row, col}
- * @param {Object} to - Destination position {row, col}
- * @param {number} piece - The piece type being moved
- * @returns {Promise} - Resolves when animation completes
+ * Slide an animated piece to a square's position on the board
+ * @returns {Promise} - Resolves when the slide completes
  */
-export function animateMove(from, to, piece) {
+function slidePiece(element, x, y, duration) {
   return new Promise((resolve) => {
-    const fromSquare = document.querySelector(`[data-row="${from.row}"][data-col="${from.col}"]`);
-    const toSquare = document.querySelector(`[data-row="${to.row}"][data-col="${to.col}"]`);
-    const board = document.getElementById('board');
+    // Wait a frame so the previous position is applied before animating
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        element.style.transform = `translate(${x}px, ${y}px)`;
+        setTimeout(resolve, duration + 50);
+      });
+    });
+  });
+}
 
-    if (!fromSquare || !toSquare || !board) {
-      resolve();
-      return;
-    }
+/**
+ * Animate a piece along a move, one hop at a time, fading out each piece it
+ * jumps as it is taken
+ * @param {Object} move - Move with its path (see getMovePath) and, for captures,
+ *   the captured squares in the order they are jumped
+ * @param {number} piece - The piece type being moved
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.highlight - Mark the squares the move starts and ends on (for AI moves)
+ * @returns {Promise} - Resolves when animation completes
+ */
+export async function animateMove(move, piece, options = {}) {
+  const path = getMovePath(move);
+  const captured = move.captured || [];
+  const board = document.getElementById('board');
+  const fromSquare = getSquareElement(path[0]);
+  const toSquare = getSquareElement(path[path.length - 1]);
+
+  if (!fromSquare || !toSquare || !board) {
+    return;
+  }
 
-    // Highlight source and destination squares
+  if (options.highlight) {
     fromSquare.classList.add('ai-from');
     toSquare.classList.add('ai-to');
+  }
 
-    // Get positions relative to the board
-    const boardRect = board.getBoundingClientRect();
-    const fromRect = fromSquare.getBoundingClientRect();
-    const toRect = toSquare.getBoundingClientRect();
-
-    // Create animated piece
-    const animatedPiece = createPieceElement(piece);
-    animatedPiece.classList.add('animating');
-
-    // Calculate positions
-    const startX = fromRect.left - boardRect.left + (fromRect.width - 45) / 2;
-    const startY = fromRect.top - boardRect.top + (fromRect.height - 45) / 2;
-    const deltaX = toRect.left - fromRect.left;
-    const deltaY = toRect.top - fromRect.top;
-
-    // Use transform for initial position (avoids reflow)
-    animatedPiece.style.left = '0';
-    animatedPiece.style.top = '0';
-    animatedPiece.style.transform = `translate(${startX}px, ${startY}px)`;
-
-    // Add to board container
-    board.style.position = 'relative';
-    board.appendChild(animatedPiece);
-
-    // Hide original piece
-    const originalPiece = fromSquare.querySelector('.piece');
-    if (originalPiece) {
-      originalPiece.style.visibility = 'hidden';
-    }
+  // Positions of the squares relative to the board
+  const boardRect = board.getBoundingClientRect();
+  const getOffset = square => {
+    const rect = square.getBoundingClientRect();
+    return [rect.left - boardRect.left + (rect.width - 45) / 2, rect.top - boardRect.top + (rect.height - 45) / 2];
+  };
+
+  // Create animated piece, placed with a transform (avoids reflow)
+  const animatedPiece = createPieceElement(piece);
+  animatedPiece.classList.add('animating');
+  const [startX, startY] = getOffset(fromSquare);
+  const duration = path.length > 2 ? HOP_DURATION_MS : MOVE_DURATION_MS;
+  animatedPiece.style.left = '0';
+  animatedPiece.style.top = '0';
+  animatedPiece.style.transform = `translate(${startX}px, ${startY}px)`;
+  animatedPiece.style.transitionDuration = `${duration}ms`;
+
+  // Add to board container
+  board.style.position = 'relative';
+  board.appendChild(animatedPiece);
+
+  // Hide original piece
+  const originalPiece = fromSquare.querySelector('.piece');
+  if (originalPiece) {
+    originalPiece.style.visibility = 'hidden';
+  }
 
-    // Force a reflow to ensure initial position is applied before animating
-    animatedPiece.offsetHeight;
+  // Force a reflow to ensure initial position is applied before animating
+  animatedPiece.offsetHeight;
 
-    // Trigger animation on next frame
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => {
-        animatedPiece.style.transform = `translate(${startX + deltaX}px, ${startY + deltaY}px)`;
-      });
-    });
+  for (let i = 1; i < path.length; i++) {
+    const square = getSquareElement(path[i]);
+    if (!square) break;
 
-    // Cleanup after animation
-    setTimeout(() => {
-      animatedPiece.remove();
-      fromSquare.classList.remove('ai-from');
-      toSquare.classList.remove('ai-to');
-      resolve();
-    }, 650); // Slightly longer than transition duration (0.6s)
-  });
+    // The jumped piece fades while the moving piece passes over it
+    const taken = captured[i - 1] && getSquareElement(captured[i - 1])?.querySelector('.piece');
+    if (taken) {
+      taken.style.transitionDuration = `${duration}ms`;
+      taken.classList.add('taken');
+    }
+
+    await slidePiece(animatedPiece, ...getOffset(square), duration);
+  }
+
+  // Cleanup after animation
+  animatedPiece.remove();
+  fromSquare.classList.remove('ai-from');
+  toSquare.classList.remove('ai-to');
 }
 
 /**
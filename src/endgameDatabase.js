@@ -0,0 +1,343 @@
+/**
+ * Endgame Database - Perfect-play results for positions with few pieces
+ *
+ * Positions are grouped into tables by material (how many men and kings
+ * each side has). Only positions with RED to move are stored: a position
+ * with BLACK to move is looked up as its mirror image, with the board
+ * turned round and the colours swapped.
+ *
+ * Each position takes one byte: 0 for a draw, otherwise 1 + the number of
+ * plies to the end of the game with best play. An odd number of plies is a
+ * win for the side to move and an even number a loss.
+ *
+ * Binary format (little-endian):
+ *
+ *   "CKDB", u8 version, u8 maxPieces, u16 table count, then for each table
+ *   u8 red men, u8 red kings, u8 black men, u8 black kings, u32 length, data
+ *
+ * Databases cover American checkers only.
+ */
+
+import { PIECE, PLAYER } from './rules.js';
+import { squareToPosition } from './notation.js';
+
+/**
+ * Result of a position for the side to move
+ */
+export const ENDGAME_RESULT = {
+  WIN: 'win',
+  LOSS: 'loss',
+  DRAW: 'draw'
+};
+
+/**
+ * Variant whose rules the databases are built for
+ */
+export const ENDGAME_DATABASE_VARIANT = 'american';
+
+/**
+ * Format version written by endgameDatabaseToBinary
+ */
+export const ENDGAME_DATABASE_VERSION = 1;
+
+/**
+ * Longest distance a table byte can hold
+ */
+export const MAX_DISTANCE = 254;
+
+const MAGIC = 'CKDB';
+const HEADER_SIZE = 8;
+const TABLE_HEADER_SIZE = 8;
+
+const SQUARES = 32;
+// Men never stand on their promotion row, leaving 28 squares each
+const MAN_SQUARES = 28;
+// BLACK men cannot stand on squares 1-4 (RED's back row)
+const BLACK_MAN_OFFSET = SQUARES - MAN_SQUARES;
+
+const SQUARE_POSITIONS = Array.from({ length: SQUARES }, (_, index) => squareToPosition(index + 1));
+
+const BINOMIALS = Array.from({ length: SQUARES + 1 }, () => new Array(SQUARES + 1).fill(0));
+for (let n = 0; n <= SQUARES; n++) {
+  BINOMIALS[n][0] = 1;
+  for (let k = 1; k <= n; k++) {
+    BINOMIALS[n][k] = BINOMIALS[n - 1][k - 1] + BINOMIALS[n - 1][k];
+  }
+}
+
+function binomial(n, k) {
+  return k < 0 || k > n ? 0 : BINOMIALS[n][k];
+}
+
+/**
+ * Get the name of a material's table, e.g. "1-2-0-2"
+ * @param {Object} material - { redMen, redKings, blackMen, blackKings }
+ */
+export function getMaterialKey(material) {
+  return `${material.redMen}-${material.redKings}-${material.blackMen}-${material.blackKings}`;
+}
+
+/**
+ * Get the material with the colours swapped
+ */
+export function mirrorMaterial(material) {
+  return {
+    redMen: material.blackMen,
+    redKings: material.blackKings,
+    blackMen: material.redMen,
+    blackKings: material.redKings
+  };
+}
+
+/**
+ * Get the number of slots in a material's table
+ * Slots where two pieces would share a square are never used
+ */
+export function getTableSize(material) {
+  return binomial(MAN_SQUARES, material.redMen) * binomial(SQUARES, material.redKings) *
+    binomial(MAN_SQUARES, material.blackMen) * binomial(SQUARES, material.blackKings);
+}
+
+/**
+ * List every material with both sides on the board and at most maxPieces pieces
+ * Materials come in the order they must be solved: captures lead to fewer
+ * pieces and promotions to fewer men, so those come first
+ */
+export function listMaterials(maxPieces) {
+  const materials = [];
+
+  for (let redMen = 0; redMen <= maxPieces; redMen++) {
+    for (let redKings = 0; redMen + redKings <= maxPieces; redKings++) {
+      for (let blackMen = 0; redMen + redKings + blackMen <= maxPieces; blackMen++) {
+        for (let blackKings = 0; redMen + redKings + blackMen + blackKings <= maxPieces; blackKings++) {
+          if (redMen + redKings > 0 && blackMen + blackKings > 0) {
+            materials.push({ redMen, redKings, blackMen, blackKings });
+          }
+        }
+      }
+    }
+  }
+
+  const pieces = m => m.redMen + m.redKings + m.blackMen + m.blackKings;
+  const men = m => m.redMen + m.blackMen;
+  return materials.sort((a, b) => pieces(a) - pieces(b) || men(a) - men(b));
+}
+
+/**
+ * Rank a sorted list of squares among all sets of that size
+ */
+function rankSquares(squares, offset) {
+  let rank = 0;
+  for (let i = 0; i < squares.length; i++) {
+    rank += binomial(squares[i] - offset, i + 1);
+  }
+  return rank;
+}
+
+/**
+ * Get the sorted list of squares with a given rank
+ */
+function unrankSquares(rank, count, offset) {
+  const squares = new Array(count);
+  let limit = SQUARES;
+
+  for (let i = count; i >= 1; i--) {
+    let square = i - 1;
+    while (square + 1 < limit && binomial(square + 1, i) <= rank) {
+      square++;
+    }
+    rank -= binomial(square, i);
+    squares[i - 1] = square + offset;
+    limit = square;
+  }
+  return squares;
+}
+
+/**
+ * Find the table and slot of a position
+ * A BLACK-to-move position is turned round so that RED is to move
+ *
+ * @param {Array} board - 8x8 board
+ * @param {string} player - Side to move
+ * @returns {Object|null} - { material, key, index }, or null if a side has no pieces
+ */
+export function getPositionIndex(board, player) {
+  const mirrored = player === PLAYER.BLACK;
+  const redMen = [];
+  const redKings = [];
+  const blackMen = [];
+  const blackKings = [];
+
+  for (let i = 0; i < SQUARES; i++) {
+    const square = mirrored ? SQUARES - 1 - i : i;
+    const { row, col } = SQUARE_POSITIONS[square];
+    const piece = board[row][col];
+    if (piece === PIECE.EMPTY) continue;
+
+    // Turning the board round swaps the colours, so the side to move is always RED
+    const own = (piece === PIECE.RED || piece === PIECE.RED_KING) !== mirrored;
+    const king = piece === PIECE.RED_KING || piece === PIECE.BLACK_KING;
+    if (own) {
+      (king ? redKings : redMen).push(i);
+    } else {
+      (king ? blackKings : blackMen).push(i);
+    }
+  }
+
+  if (redMen.length + redKings.length === 0 || blackMen.length + blackKings.length === 0) {
+    return null;
+  }
+
+  const material = {
+    redMen: redMen.length,
+    redKings: redKings.length,
+    blackMen: blackMen.length,
+    blackKings: blackKings.length
+  };
+  const index = ((rankSquares(redMen, 0) * binomial(SQUARES, material.redKings) +
+    rankSquares(redKings, 0)) * binomial(MAN_SQUARES, material.blackMen) +
+    rankSquares(blackMen, BLACK_MAN_OFFSET)) * binomial(SQUARES, material.blackKings) +
+    rankSquares(blackKings, 0);
+
+  return { material, key: getMaterialKey(material), index };
+}
+
+/**
+ * Set up the position in a table slot, with RED to move
+ * @returns {Array|null} - 8x8 board, or null if the slot is unused
+ */
+export function decodePosition(material, index) {
+  const blackKingCount = binomial(SQUARES, material.blackKings);
+  const blackManCount = binomial(MAN_SQUARES, material.blackMen);
+  const redKingCount = binomial(SQUARES, material.redKings);
+
+  const blackKings = unrankSquares(index % blackKingCount, material.blackKings, 0);
+  index = Math.floor(index / blackKingCount);
+  const blackMen = unrankSquares(index % blackManCount, material.blackMen, BLACK_MAN_OFFSET);
+  index = Math.floor(index / blackManCount);
+  const redKings = unrankSquares(index % redKingCount, material.redKings, 0);
+  const redMen = unrankSquares(Math.floor(index / redKingCount), material.redMen, 0);
+
+  const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+  const groups = [[redMen, PIECE.RED], [redKings, PIECE.RED_KING], [blackMen, PIECE.BLACK], [blackKings, PIECE.BLACK_KING]];
+
+  for (const [squares, piece] of groups) {
+    for (const square of squares) {
+      const { row, col } = SQUARE_POSITIONS[square];
+      if (board[row][col] !== PIECE.EMPTY) {
+        return null;
+      }
+      board[row][col] = piece;
+    }
+  }
+  return board;
+}
+
+/**
+ * Create an empty database
+ * @param {number} maxPieces - Most pieces on the board in any of its positions
+ */
+export function createEndgameDatabase(maxPieces) {
+  return { maxPieces, tables: {} };
+}
+
+/**
+ * Look up a position
+ *
+ * @param {Object} database - Database to probe
+ * @param {Array} board - 8x8 board
+ * @param {string} player - Side to move
+ * @returns {Object|null} - { result, distance } for the side to move, where
+ *   distance is the plies to the end of the game (null for a draw);
+ *   null if the database does not cover the position
+ */
+export function probeEndgameDatabase(database, board, player) {
+  const position = getPositionIndex(board, player);
+  const table = position && database.tables[position.key];
+  if (!table) {
+    return null;
+  }
+
+  const value = table[position.index];
+  if (value === 0) {
+    return { result: ENDGAME_RESULT.DRAW, distance: null };
+  }
+
+  const distance = value - 1;
+  return { result: distance % 2 === 1 ? ENDGAME_RESULT.WIN : ENDGAME_RESULT.LOSS, distance };
+}
+
+/**
+ * Write a database in its binary form
+ * @returns {Uint8Array}
+ */
+export function endgameDatabaseToBinary(database) {
+  const keys = Object.keys(database.tables);
+  const size = keys.reduce((total, key) => total + TABLE_HEADER_SIZE + database.tables[key].length, HEADER_SIZE);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < MAGIC.length; i++) {
+    bytes[i] = MAGIC.charCodeAt(i);
+  }
+  view.setUint8(4, ENDGAME_DATABASE_VERSION);
+  view.setUint8(5, database.maxPieces);
+  view.setUint16(6, keys.length, true);
+
+  let offset = HEADER_SIZE;
+  for (const key of keys) {
+    const table = database.tables[key];
+    key.split('-').forEach((count, i) => view.setUint8(offset + i, Number(count)));
+    view.setUint32(offset + 4, table.length, true);
+    bytes.set(table, offset + TABLE_HEADER_SIZE);
+    offset += TABLE_HEADER_SIZE + table.length;
+  }
+
+  return bytes;
+}
+
+/**
+ * Read a database from its binary form
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Object|null} - The database, or null if the data is not a database
+ */
+export function loadEndgameDatabase(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const magic = String.fromCharCode(...bytes.subarray(0, MAGIC.length));
+  if (bytes.length < HEADER_SIZE || magic !== MAGIC || view.getUint8(4) !== ENDGAME_DATABASE_VERSION) {
+    console.warn('Unsupported endgame database format');
+    return null;
+  }
+
+  const database = createEndgameDatabase(view.getUint8(5));
+  const tableCount = view.getUint16(6, true);
+  let offset = HEADER_SIZE;
+
+  for (let i = 0; i < tableCount; i++) {
+    if (offset + TABLE_HEADER_SIZE > bytes.length) {
+      console.warn('Endgame database is truncated');
+      return null;
+    }
+
+    const material = {
+      redMen: view.getUint8(offset),
+      redKings: view.getUint8(offset + 1),
+      blackMen: view.getUint8(offset + 2),
+      blackKings: view.getUint8(offset + 3)
+    };
+    const length = view.getUint32(offset + 4, true);
+    offset += TABLE_HEADER_SIZE;
+
+    if (length !== getTableSize(material) || offset + length > bytes.length) {
+      console.warn('Endgame database table has the wrong size:', getMaterialKey(material));
+      return null;
+    }
+
+    database.tables[getMaterialKey(material)] = bytes.subarray(offset, offset + length);
+    offset += length;
+  }
+
+  return database;
+}
@@ -0,0 +1,279 @@
+/**
+ * Evaluation - Static scoring of positions for the search
+ *
+ * The weights of every term live in an evaluation config, so callers can
+ * pick a named profile or pass their own weights through getBestMove.
+ * Patterns named after squares (bridge, dog-hole) are described from
+ * RED's side of the board; BLACK's are the same squares turned round.
+ */
+
+import { PIECE, PLAYER, isKing, getPieceOwner } from './rules.js';
+import { DEFAULT_VARIANT } from './variants.js';
+
+/**
+ * Default weights
+ *
+ * pieceValue         - A man
+ * kingValue          - A king
+ * backRowBonus       - A man still guarding its back row
+ * centerBonus        - A piece on a central square
+ * advancementBonus   - Each row a man has advanced
+ * mobility           - Each empty square a piece could step to
+ * runawayMan         - A man nothing stands between and its crowning row
+ * trappedKing        - Penalty for a king that can neither move nor capture
+ * tempo              - Each row of advancement ahead of the opponent, counting
+ *                      against a side in the opening and for it in the ending
+ * bridge             - Men on both bridge squares of the back row (1 and 3)
+ * dogHole            - Penalty for a man stuck in the opponent's dog-hole (28,
+ *                      held there by the man on 32)
+ * kingCentralisation - Each step a king stands nearer the centre, once only kings remain
+ */
+export const DEFAULT_EVALUATION = {
+  pieceValue: 10,
+  kingValue: 30,
+  backRowBonus: 2,
+  centerBonus: 1,
+  advancementBonus: 0.5,
+  mobility: 0.5,
+  runawayMan: 4,
+  trappedKing: 5,
+  tempo: 0.25,
+  bridge: 1.5,
+  dogHole: 2,
+  kingCentralisation: 1
+};
+
+/**
+ * Named weight profiles
+ */
+export const EVALUATION_PROFILES = {
+  balanced: DEFAULT_EVALUATION,
+  // Pushes men forward and goes for open play
+  aggressive: {
+    ...DEFAULT_EVALUATION,
+    backRowBonus: 1,
+    advancementBonus: 1,
+    mobility: 1,
+    runawayMan: 6,
+    tempo: 0,
+    bridge: 0.5
+  },
+  // Keeps the back row and structure together and waits for mistakes
+  defensive: {
+    ...DEFAULT_EVALUATION,
+    backRowBonus: 3,
+    advancementBonus: 0.25,
+    runawayMan: 3,
+    tempo: 0.5,
+    bridge: 3,
+    dogHole: 3
+  },
+  // Plays for space, mobility and well-placed kings over quick gains
+  positional: {
+    ...DEFAULT_EVALUATION,
+    centerBonus: 2,
+    mobility: 1,
+    trappedKing: 8,
+    tempo: 0.5,
+    bridge: 2,
+    dogHole: 3,
+    kingCentralisation: 2
+  }
+};
+
+const DIRECTIONS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+/**
+ * Get a full set of weights
+ * @param {string|Object} evaluation - Profile name, or weights overriding the defaults
+ *   (unknown profiles use the defaults)
+ * @returns {Object} - Evaluation config
+ */
+export function getEvaluationConfig(evaluation) {
+  if (typeof evaluation === 'string') {
+    return { ...(EVALUATION_PROFILES[evaluation.toLowerCase()] || DEFAULT_EVALUATION) };
+  }
+  return { ...DEFAULT_EVALUATION, ...evaluation };
+}
+
+/**
+ * Evaluate a giveaway position for a given player
+ * Material is a liability: every piece still on the board counts against its owner
+ */
+export function evaluateGiveawayBoard(board, player) {
+  const PIECE_VALUE = 10;
+  const KING_VALUE = 15;
+  let score = 0;
+
+  for (const row of board) {
+    for (const piece of row) {
+      if (piece === PIECE.EMPTY) continue;
+
+      const pieceScore = isKing(piece) ? KING_VALUE : PIECE_VALUE;
+      score += getPieceOwner(piece) === player ? -pieceScore : pieceScore;
+    }
+  }
+
+  return score;
+}
+
+/**
+ * Check if nothing stands in a man's way to its crowning row
+ * The squares it could reach, widening by one each row, must all be empty
+ */
+function isRunaway(board, row, col, forward) {
+  const size = board.length;
+
+  for (let step = 1; row + step * forward >= 0 && row + step * forward < size; step++) {
+    const r = row + step * forward;
+    for (let c = Math.max(0, col - step); c <= Math.min(size - 1, col + step); c++) {
+      if (board[r][c] !== PIECE.EMPTY) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Check for a player's man on a square of an 8x8 board, given as seen from
+ * that player's side (their back row is row 7)
+ */
+function hasMan(board, row, col, owner) {
+  const r = owner === PLAYER.RED ? row : 7 - row;
+  const c = owner === PLAYER.RED ? col : 7 - col;
+  return board[r][c] === (owner === PLAYER.RED ? PIECE.RED : PIECE.BLACK);
+}
+
+/**
+ * Score the back-rank patterns of American checkers for a player
+ */
+function scoreBackRankPatterns(board, owner, config) {
+  const opponent = owner === PLAYER.RED ? PLAYER.BLACK : PLAYER.RED;
+  let score = 0;
+
+  // Bridge: men on squares 1 and 3 keep the opponent from crowning between them
+  if (hasMan(board, 7, 2, owner) && hasMan(board, 7, 6, owner)) {
+    score += config.bridge;
+  }
+
+  // Dog-hole: a man on square 28 cannot move while the opponent holds 32 (their square 1)
+  if (hasMan(board, 1, 0, owner) && hasMan(board, 7, 6, opponent)) {
+    score -= config.dogHole;
+  }
+
+  return score;
+}
+
+/**
+ * Evaluate the board position for a given player
+ * Returns positive score if player is winning, negative if losing
+ * @param {Object} variant - Optional rule variant (giveaway positions use an inverted evaluation)
+ * @param {Object} config - Optional evaluation weights (see DEFAULT_EVALUATION)
+ */
+export function evaluateBoard(board, player, variant = DEFAULT_VARIANT, config = DEFAULT_EVALUATION) {
+  if (variant.giveaway) {
+    return evaluateGiveawayBoard(board, player);
+  }
+
+  let score = 0;
+
+  // Board size follows the variant (8 for American checkers, 10 for International)
+  const size = board.length;
+  const lastRow = size - 1;
+  const middle = lastRow / 2;
+
+  // Count center squares (rows 2-5, cols 2-5 on an 8x8 board)
+  const isCenterSquare = (row, col) => row >= 2 && row <= size - 3 && col >= 2 && col <= size - 3;
+
+  let pieces = 0;
+  let men = 0;
+  let tempo = 0; // Rows advanced by the player's men less the opponent's
+  let kingCentrality = 0;
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const piece = board[row][col];
+      if (piece === PIECE.EMPTY) continue;
+
+      const pieceOwner = getPieceOwner(piece);
+      const pieceIsKing = isKing(piece);
+      const sign = pieceOwner === player ? 1 : -1;
+      // RED moves up (toward row 0), BLACK moves down (toward the last row)
+      const forward = pieceOwner === PLAYER.RED ? -1 : 1;
+
+      // Base piece value
+      let pieceScore = pieceIsKing ? config.kingValue : config.pieceValue;
+      pieces++;
+
+      // Positional bonuses
+      if (!pieceIsKing) {
+        men++;
+        const advanced = pieceOwner === PLAYER.RED ? lastRow - row : row;
+
+        // Back row protection bonus
+        if (advanced === 0) {
+          pieceScore += config.backRowBonus;
+        }
+
+        // Advancement bonus (closer to promotion)
+        pieceScore += advanced * config.advancementBonus;
+        tempo += sign * advanced;
+
+        if (config.runawayMan && isRunaway(board, row, col, forward)) {
+          pieceScore += config.runawayMan;
+        }
+      } else {
+        kingCentrality += sign * (size / 2 - Math.max(Math.abs(row - middle), Math.abs(col - middle)));
+      }
+
+      // Center control bonus
+      if (isCenterSquare(row, col)) {
+        pieceScore += config.centerBonus;
+      }
+
+      // Mobility: empty squares the piece could step to
+      let steps = 0;
+      let captures = 0;
+      for (const [dr, dc] of DIRECTIONS) {
+        const r = row + dr;
+        const c = col + dc;
+        if (r < 0 || r > lastRow || c < 0 || c > lastRow) continue;
+        if (!pieceIsKing && dr !== forward) continue;
+
+        if (board[r][c] === PIECE.EMPTY) {
+          steps++;
+        } else if (getPieceOwner(board[r][c]) !== pieceOwner) {
+          const beyondRow = r + dr;
+          const beyondCol = c + dc;
+          if (beyondRow >= 0 && beyondRow <= lastRow && beyondCol >= 0 && beyondCol <= lastRow &&
+              board[beyondRow][beyondCol] === PIECE.EMPTY) {
+            captures++;
+          }
+        }
+      }
+      pieceScore += steps * config.mobility;
+
+      if (pieceIsKing && steps === 0 && captures === 0) {
+        pieceScore -= config.trappedKing;
+      }
+
+      score += sign * pieceScore;
+    }
+  }
+
+  // Advancing early costs flexibility; late on it brings men toward crowning
+  const startingPieces = variant.pieceRows * size;
+  score += config.tempo * tempo * (1 - 2 * pieces / startingPieces);
+
+  if (men === 0) {
+    score += config.kingCentralisation * kingCentrality;
+  }
+
+  if (size === 8) {
+    const opponent = player === PLAYER.RED ? PLAYER.BLACK : PLAYER.RED;
+    score += scoreBackRankPatterns(board, player, config) - scoreBackRankPatterns(board, opponent, config);
+  }
+
+  return score;
+}
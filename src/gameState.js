@@ -7,37 +7,56 @@ import {
   PLAYER,
   generateMoves,
   generateAllMoves,
-  isValidMove,
+  findMovesOnPath,
+  getMovePath,
   applyMove,
   hasLegalMoves,
-  getOpponent
+  getOpponent,
+  isKing
 } from './rules.js';
+import { DEFAULT_VARIANT, getVariant } from './variants.js';
+import { parseFEN, toFEN } from './notation.js';
 
 /**
- * Initialize a standard checkers board with starting position
- * BLACK pieces on rows 0-2 (move down/increasing row), RED pieces on rows 5-7 (move up/decreasing row)
+ * Reasons a game can end in a draw
+ */
+export const DRAW_REASON = {
+  THREEFOLD_REPETITION: 'threefold-repetition',
+  MOVE_LIMIT: 'move-limit'
+};
+
+/**
+ * Default number of consecutive non-capturing king moves (per side) before a draw
+ */
+export const DEFAULT_DRAW_MOVE_LIMIT = 40;
+
+/**
+ * Initialize a checkers board with the variant's starting position
+ * BLACK pieces on the top rows (move down/increasing row), RED pieces on the bottom rows (move up/decreasing row)
  * Pieces only placed on dark squares (where row + col is odd)
+ * @param {Object} variant - Variant definition (defaults to American checkers: 8x8, rows 0-2 and 5-7)
  */
-export function initializeBoard() {
+export function initializeBoard(variant = DEFAULT_VARIANT) {
   const board = [];
+  const size = variant.boardSize;
 
-  for (let row = 0; row < 8; row++) {
+  for (let row = 0; row < size; row++) {
     board[row] = [];
-    for (let col = 0; col < 8; col++) {
+    for (let col = 0; col < size; col++) {
       // Dark squares are where (row + col) is odd
       const isDarkSquare = (row + col) % 2 !== 0;
 
       if (!isDarkSquare) {
         // Light squares are always empty in checkers
         board[row][col] = PIECE.EMPTY;
-      } else if (row < 3) {
-        // BLACK pieces on top three rows (move down/increasing row)
+      } else if (row < variant.pieceRows) {
+        // BLACK pieces on top rows (move down/increasing row)
         board[row][col] = PIECE.BLACK;
-      } else if (row > 4) {
-        // RED pieces on bottom three rows (move up/decreasing row)
+      } else if (row >= size - variant.pieceRows) {
+        // RED pieces on bottom rows (move up/decreasing row)
         board[row][col] = PIECE.RED;
       } else {
-        // Middle two rows are empty
+        // Middle rows are empty
         board[row][col] = PIECE.EMPTY;
       }
     }
@@ -52,19 +71,84 @@ export function initializeBoard() {
 export class GameState {
   /**
    * Create a new game with optional initial board state
-   * @param {Array} initialBoard - Optional 8x8 board array (defaults to standard starting position)
+   * @param {Array} initialBoard - Optional board array (defaults to the variant's starting position)
    * @param {string} startingPlayer - Optional starting player (defaults to RED)
+   * @param {Object} options - Optional settings
+   * @param {Object} options.variant - Rule variant definition (defaults to American checkers)
+   * @param {number} options.drawMoveLimit - King moves per side without a capture before a draw (defaults to the variant's limit)
    */
-  constructor(initialBoard = null, startingPlayer = PLAYER.RED) {
-    this.board = initialBoard || initializeBoard();
+  constructor(initialBoard = null, startingPlayer = PLAYER.RED, options = {}) {
+    this.variant = options.variant || DEFAULT_VARIANT;
+    this.board = initialBoard || initializeBoard(this.variant);
     this.currentPlayer = startingPlayer;
+    this.initialBoard = this.getBoard(); // Starting position, kept for replay and export
+    this.startingPlayer = startingPlayer;
     this.gameStatus = 'active'; // 'active', 'finished'
     this.winner = null;
+    this.drawReason = null;
+    this.drawMoveLimit = options.drawMoveLimit ?? this.variant.drawMoveLimit ?? DEFAULT_DRAW_MOVE_LIMIT;
+    this.kingMovesWithoutCapture = 0; // Counted in plies (one move by one side)
     this.moveHistory = [];
+    this.positionHistory = [this.getPositionKey()];
     this.capturedPieces = {
       [PLAYER.RED]: 0,
       [PLAYER.BLACK]: 0
     };
+    this.undoStack = []; // State snapshots taken before each move
+    this.redoStack = []; // Undone moves, most recent last
+  }
+
+  /**
+   * Create a game from a PDN FEN position string such as "W:W21,22,K30:B1,2,K5"
+   * @param {string} fen - Position in FEN notation (standard 1-32 square numbering)
+   * @param {Object} options - Optional settings, as for the constructor
+   * @returns {GameState|null} - New game, or null if the FEN string is malformed
+   */
+  static fromFEN(fen, options = {}) {
+    const position = parseFEN(fen);
+    if (!position) {
+      return null;
+    }
+    return new GameState(position.board, position.currentPlayer, options);
+  }
+
+  /**
+   * Get the current position as a PDN FEN string
+   */
+  toFEN() {
+    return toFEN(this.board, this.currentPlayer);
+  }
+
+  /**
+   * Describe the game as plain data: starting position, rules and moves played
+   * Used to hand games to the AI worker
+   */
+  toJSON() {
+    return {
+      variant: this.variant.id,
+      drawMoveLimit: this.drawMoveLimit,
+      initialBoard: this.initialBoard,
+      startingPlayer: this.startingPlayer,
+      moves: this.moveHistory.map(({ from, to, path }) => ({ from, to, path }))
+    };
+  }
+
+  /**
+   * Rebuild a game from the data produced by toJSON by replaying its moves
+   * @returns {GameState|null} - The game, or null if a move is illegal
+   */
+  static fromJSON(data) {
+    const game = new GameState(data.initialBoard.map(row => [...row]), data.startingPlayer, {
+      variant: getVariant(data.variant),
+      drawMoveLimit: data.drawMoveLimit
+    });
+
+    for (const move of data.moves) {
+      if (!game.makeMove(getMovePath(move))) {
+        return null;
+      }
+    }
+    return game;
   }
 
   /**
@@ -75,6 +159,23 @@ export class GameState {
     return this.board.map(row => [...row]);
   }
 
+  /**
+   * Get the rule variant this game is played under
+   */
+  getVariant() {
+    return this.variant;
+  }
+
+  /**
+   * Get the position the game started from
+   */
+  getInitialPosition() {
+    return {
+      board: this.initialBoard.map(row => [...row]),
+      currentPlayer: this.startingPlayer
+    };
+  }
+
   /**
    * Get the current player
    */
@@ -96,6 +197,51 @@ export class GameState {
     return this.winner;
   }
 
+  /**
+   * Check if the game ended in a draw
+   */
+  isDraw() {
+    return this.isGameOver() && this.winner === null;
+  }
+
+  /**
+   * Get the reason the game was drawn (null if not a draw)
+   */
+  getDrawReason() {
+    return this.drawReason;
+  }
+
+  /**
+   * Get a string key identifying the board and side to move
+   * Used to detect repeated positions
+   */
+  getPositionKey() {
+    return `${this.currentPlayer}:${this.board.map(row => row.join('')).join('/')}`;
+  }
+
+  /**
+   * Count how many times the current position has occurred
+   */
+  getRepetitionCount() {
+    const key = this.getPositionKey();
+    return this.positionHistory.filter(k => k === key).length;
+  }
+
+  /**
+   * Get the positions before each move played, oldest first
+   * @returns {Array} - [{ board, currentPlayer }]
+   */
+  getPastPositions() {
+    return this.undoStack.map(({ board, currentPlayer }) => ({ board, currentPlayer }));
+  }
+
+  /**
+   * Get the number of king moves in a row without a capture, counting both sides
+   */
+  getKingMovesWithoutCapture() {
+    return this.kingMovesWithoutCapture;
+  }
+
   /**
    * Get the complete move history
    */
@@ -125,7 +271,7 @@ export class GameState {
     if (this.isGameOver()) {
       return [];
     }
-    return generateMoves(this.board, position);
+    return generateMoves(this.board, position, this.variant);
   }
 
   /**
@@ -135,13 +281,18 @@ export class GameState {
     if (this.isGameOver()) {
       return [];
     }
-    return generateAllMoves(this.board, this.currentPlayer);
+    return generateAllMoves(this.board, this.currentPlayer, this.variant);
   }
 
   /**
    * Make a move on the board
-   * @param {Object} from - {row, col} starting position
-   * @param {Object} to - {row, col} ending position
+   * A move is identified by its path, so that capture routes ending on the
+   * same square can be told apart; the starting and ending positions alone
+   * are enough when only one route joins them
+   *
+   * @param {Object|Array} from - {row, col} starting position, a move object
+   *   (as from getAllLegalMoves) or a path of squares (see getMovePath in rules.js)
+   * @param {Object} to - {row, col} ending position, when from is a position
    * @returns {boolean} true if move was successful, false otherwise
    */
   makeMove(from, to) {
@@ -151,23 +302,36 @@ export class GameState {
       return false;
     }
 
-    // Validate the move
-    if (!isValidMove(this.board, from, to, this.currentPlayer)) {
-      console.warn('Invalid move attempted:', from, to);
-      return false;
+    let path;
+    if (Array.isArray(from)) {
+      path = from;
+    } else if (to === undefined && from?.from) {
+      path = getMovePath(from);
+    } else {
+      path = [from, to];
     }
 
-    // Get all legal moves to find the complete move object (includes jump info)
-    const legalMoves = generateMoves(this.board, from);
-    const moveObj = legalMoves.find(m => m.to.row === to.row && m.to.col === to.col);
-
-    if (!moveObj) {
-      console.warn('Move not found in legal moves');
+    // Find the complete move object (includes jump info)
+    const matches = findMovesOnPath(this.board, path, this.currentPlayer, this.variant);
+    if (matches.length === 0) {
+      console.warn('Invalid move attempted:', path);
       return false;
     }
+    if (matches.length > 1) {
+      console.warn('Ambiguous move: more than one capture route follows', path);
+      return false;
+    }
+
+    const moveObj = matches[0];
+
+    // Remember the state before the move so it can be undone
+    this.undoStack.push(this.createSnapshot());
+
+    // Only king moves without a capture count toward the move-limit draw
+    const movedKing = isKing(this.board[moveObj.from.row][moveObj.from.col]);
 
     // Apply the move
-    const newBoard = applyMove(this.board, moveObj);
+    const newBoard = applyMove(this.board, moveObj, this.variant);
 
     // Track captured pieces
     if (moveObj.isJump && moveObj.captured) {
@@ -177,11 +341,13 @@ export class GameState {
 
     // Record move in history
     this.moveHistory.push({
-      from: { ...from },
-      to: { ...to },
+      from: { ...moveObj.from },
+      to: { ...moveObj.to },
+      path: moveObj.path.map(position => ({ ...position })),
       player: this.currentPlayer,
       isJump: moveObj.isJump,
       captured: moveObj.captured ? [...moveObj.captured] : [],
+      promoted: !movedKing && isKing(newBoard[moveObj.to.row][moveObj.to.col]),
       moveNumber: this.moveHistory.length + 1
     });
 
@@ -191,38 +357,154 @@ export class GameState {
     // Switch to next player
     this.currentPlayer = getOpponent(this.currentPlayer);
 
+    // Track position and king-move counters for draw detection
+    this.kingMovesWithoutCapture = (movedKing && !moveObj.isJump) ? this.kingMovesWithoutCapture + 1 : 0;
+    this.positionHistory.push(this.getPositionKey());
+
     // Check if game is over (next player has no legal moves)
-    if (!hasLegalMoves(this.board, this.currentPlayer)) {
+    if (!hasLegalMoves(this.board, this.currentPlayer, this.variant)) {
       this.gameStatus = 'finished';
-      this.winner = getOpponent(this.currentPlayer); // Previous player wins
+      // Previous player wins, unless giveaway where running out of moves wins
+      this.winner = this.variant.giveaway ? this.currentPlayer : getOpponent(this.currentPlayer);
+    } else {
+      this.checkForDraw();
+    }
+
+    // A new move invalidates any undone moves
+    this.redoStack = [];
+
+    return true;
+  }
+
+  /**
+   * Capture the state that a move changes
+   * Boards are replaced on every move, never mutated, so the reference is kept as is
+   */
+  createSnapshot() {
+    return {
+      board: this.board,
+      currentPlayer: this.currentPlayer,
+      gameStatus: this.gameStatus,
+      winner: this.winner,
+      drawReason: this.drawReason,
+      kingMovesWithoutCapture: this.kingMovesWithoutCapture,
+      capturedPieces: { ...this.capturedPieces }
+    };
+  }
+
+  /**
+   * Check if there is a move to take back
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is an undone move to replay
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Take back the last move, restoring the state from before it was made
+   * @returns {boolean} true if a move was undone
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return false;
     }
 
+    const snapshot = this.undoStack.pop();
+    this.redoStack.push(this.moveHistory.pop());
+    this.positionHistory.pop();
+
+    this.board = snapshot.board;
+    this.currentPlayer = snapshot.currentPlayer;
+    this.gameStatus = snapshot.gameStatus;
+    this.winner = snapshot.winner;
+    this.drawReason = snapshot.drawReason;
+    this.kingMovesWithoutCapture = snapshot.kingMovesWithoutCapture;
+    this.capturedPieces = snapshot.capturedPieces;
+
     return true;
   }
 
+  /**
+   * Replay the most recently undone move
+   * @returns {boolean} true if a move was redone
+   */
+  redo() {
+    if (!this.canRedo()) {
+      return false;
+    }
+
+    // makeMove clears the redo stack, so keep the remaining moves aside
+    const redoStack = this.redoStack;
+    const move = redoStack.pop();
+    const success = this.makeMove(move.path);
+    this.redoStack = redoStack;
+
+    return success;
+  }
+
+  /**
+   * End the game as a draw if a draw condition has been reached
+   * Threefold repetition, or drawMoveLimit king moves per side without a capture
+   */
+  checkForDraw() {
+    if (this.getRepetitionCount() >= 3) {
+      this.drawReason = DRAW_REASON.THREEFOLD_REPETITION;
+    } else if (this.kingMovesWithoutCapture >= this.drawMoveLimit * 2) {
+      this.drawReason = DRAW_REASON.MOVE_LIMIT;
+    }
+
+    if (this.drawReason) {
+      this.gameStatus = 'finished';
+      this.winner = null;
+    }
+  }
+
   /**
    * Reset the game to initial state
    */
   reset() {
-    this.board = initializeBoard();
+    this.board = initializeBoard(this.variant);
     this.currentPlayer = PLAYER.RED;
+    this.initialBoard = this.getBoard();
+    this.startingPlayer = PLAYER.RED;
     this.gameStatus = 'active';
     this.winner = null;
+    this.drawReason = null;
+    this.kingMovesWithoutCapture = 0;
     this.moveHistory = [];
+    this.positionHistory = [this.getPositionKey()];
     this.capturedPieces = {
       [PLAYER.RED]: 0,
       [PLAYER.BLACK]: 0
     };
+    this.undoStack = [];
+    this.redoStack = [];
   }
 
   /**
    * Create a copy of the current game state
    */
   clone() {
-    const clonedGame = new GameState(this.getBoard(), this.currentPlayer);
+    const clonedGame = new GameState(this.getBoard(), this.currentPlayer, {
+      variant: this.variant,
+      drawMoveLimit: this.drawMoveLimit
+    });
+    clonedGame.initialBoard = this.initialBoard;
+    clonedGame.startingPlayer = this.startingPlayer;
     clonedGame.gameStatus = this.gameStatus;
     clonedGame.winner = this.winner;
+    clonedGame.drawReason = this.drawReason;
+    clonedGame.kingMovesWithoutCapture = this.kingMovesWithoutCapture;
     clonedGame.moveHistory = [...this.moveHistory];
+    clonedGame.positionHistory = [...this.positionHistory];
+    clonedGame.undoStack = [...this.undoStack];
+    clonedGame.redoStack = [...this.redoStack];
     clonedGame.capturedPieces = { ...this.capturedPieces };
     return clonedGame;
   }
@@ -235,6 +517,7 @@ export class GameState {
       currentPlayer: this.currentPlayer,
       gameStatus: this.gameStatus,
       winner: this.winner,
+      drawReason: this.drawReason,
       moveCount: this.moveHistory.length,
       capturedPieces: this.getCapturedPieces(),
       hasLegalMoves: !this.isGameOver() && this.getAllLegalMoves().length > 0
@@ -245,7 +528,8 @@ export class GameState {
 /**
  * Create a new game instance
  * Convenience factory function
+ * @param {Object} variant - Optional rule variant definition (defaults to American checkers)
  */
-export function createNewGame() {
-  return new GameState();
+export function createNewGame(variant = DEFAULT_VARIANT) {
+  return new GameState(null, PLAYER.RED, { variant });
 }
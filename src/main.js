@@ -5,15 +5,57 @@
  * the various modules (game state, UI, AI, etc.)
  */
 
-import { createNewGame } from './gameState.js';
-import { initializeBoardView, highlightHint, animateMove } from './boardView.js';
-import { getBestMove, getHint } from './ai.js';
-import { PLAYER } from './rules.js';
+import { GameState, createNewGame } from './gameState.js';
+import {
+    initializeBoardView,
+    highlightHint,
+    animateMove,
+    announce,
+    announceMove,
+    setBoardFlipped,
+    isBoardFlipped,
+    setBoardLabels,
+    enterSetupMode,
+    exitSetupMode,
+    isInSetupMode,
+    setSetupPiece,
+    getSetupBoard,
+    clearSetupBoard,
+    resetSetupBoard
+} from './boardView.js';
+import { getHint, getDifficultyConfig, getStrengthElo } from './ai.js';
+import {
+    requestBestMove,
+    requestAnalysis,
+    requestReview,
+    stopSearch,
+    isSearching,
+    setOpeningBook,
+    setEndgameDatabase
+} from './aiClient.js';
+import { drawBallot, applyBallot } from './ballots.js';
+import { PLAYER, validatePosition, getOpponent, getMovePath, isMoveOnPath } from './rules.js';
+import { toFEN } from './notation.js';
+import { moveToPDN, toPDN } from './pdn.js';
+import { isBadMove, describeMove, getReviewAnnotations } from './analysis.js';
+import { VARIANTS, DEFAULT_VARIANT } from './variants.js';
 
 // Game state
 let gameState = null;
-let gameMode = null; // 'local-2p', 'vs-ai-easy', 'vs-ai-medium', 'vs-ai-hard', 'online-2p'
-let aiDifficulty = null; // 'easy', 'medium', 'hard'
+let gameMode = null; // 'local-2p', 'vs-ai-easy', 'vs-ai-medium', 'vs-ai-hard', 'vs-ai-strength', 'giveaway', 'ai-vs-ai', 'online-2p'
+let aiPlayers = {}; // Difficulty ('easy', 'medium', 'hard', or 'strength' for the slider) for each player controlled by the AI
+let aiMoveToken = 0; // Incremented to cancel a pending AI move (new game, undo)
+let pendingAIMoveToken = null; // Token of the AI move currently being played
+let aiPaused = false; // AI vs AI games can be paused and stepped
+let aiMoveDelay = 800; // Pause before each AI move (ms), set by the speed control
+let analysisToken = 0; // Incremented to discard an analysis once the position changes
+let reviewToken = 0; // Incremented to discard a review once the game changes
+let lastReview = null; // Finished review of the current game, for export
+
+const OPENING_BOOK_URL = '/public/openingBook.json';
+const ENDGAME_DATABASE_URL = '/public/endgame.bin';
+const ANALYSIS_TIME_MS = 3000;
+const REVIEW_DEPTH = 6;
 
 // Main application initialization
 document.addEventListener('DOMContentLoaded', () => {
@@ -25,26 +67,75 @@ document.addEventListener('DOMContentLoaded', () => {
     // Setup event listeners
     setupEventListeners();
 
-    // Start default game (local 2-player)
-    startNewGame('local-2p');
+    // The AI plays without a book until it has loaded
+    loadOpeningBook();
+    loadEndgameDatabase();
+
+    // Start default game (local 2-player), from a shared position if the URL has one (?fen=...)
+    const fen = new URLSearchParams(window.location.search).get('fen');
+    startNewGame('local-2p', fen);
     updateModeButtonState('local-2p');
 
     console.log('Checkers app ready!');
 });
 
+/**
+ * Fetch the opening book for the AI
+ */
+async function loadOpeningBook() {
+    if (typeof fetch !== 'function') return;
+
+    try {
+        const response = await fetch(OPENING_BOOK_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        if (setOpeningBook(await response.json())) {
+            console.log('Opening book loaded');
+        }
+    } catch (error) {
+        console.warn('Opening book not available:', error.message);
+    }
+}
+
+/**
+ * Fetch the endgame database for the AI
+ * The file is not checked in: npm start builds it (npm run build:endgame)
+ * before serving the app, and the AI searches without it if it is missing
+ */
+async function loadEndgameDatabase() {
+    if (typeof fetch !== 'function') return;
+
+    try {
+        const response = await fetch(ENDGAME_DATABASE_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        if (setEndgameDatabase(await response.arrayBuffer())) {
+            console.log('Endgame database loaded');
+        }
+    } catch (error) {
+        console.warn('Endgame database not available:', error.message);
+    }
+}
+
 /**
  * Initialize the checkers board grid
  */
 function initializeBoard() {
     const board = document.getElementById('board');
 
-    // Create 8x8 grid of squares
+    // Create 8x8 grid of squares, in rows for screen readers (the rows do not affect the layout)
     for (let row = 0; row < 8; row++) {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'board-row';
+        rowElement.setAttribute('role', 'row');
+
         for (let col = 0; col < 8; col++) {
             const square = document.createElement('div');
             square.className = 'square';
             square.dataset.row = row;
             square.dataset.col = col;
+            square.setAttribute('role', 'gridcell');
+
+            // One square is in the tab order; the arrow keys move between them
+            square.tabIndex = row === 7 && col === 0 ? 0 : -1;
 
             // Alternate light and dark squares
             if ((row + col) % 2 === 0) {
@@ -53,76 +144,554 @@ function initializeBoard() {
                 square.classList.add('dark');
             }
 
-            board.appendChild(square);
+            rowElement.appendChild(square);
         }
+
+        board.appendChild(rowElement);
     }
 
     console.log('Board initialized');
 }
 
+/**
+ * Show whether the board is turned on the flip button
+ */
+function updateFlipButton() {
+    document.getElementById('flip-board-btn')?.setAttribute('aria-pressed', String(isBoardFlipped()));
+}
+
 /**
  * Start a new game with specified mode
+ * @param {string} mode - Game mode
+ * @param {string} fen - Optional starting position in FEN notation
  */
-function startNewGame(mode) {
+function startNewGame(mode, fen = null) {
     console.log(`Starting new game: ${mode}`);
 
-    // Create new game state
-    gameState = createNewGame();
+    // Create new game state (giveaway is played against the AI with inverted win rules)
+    const variant = mode === 'giveaway' ? VARIANTS.giveaway : DEFAULT_VARIANT;
+    gameState = (fen && GameState.fromFEN(fen, { variant })) || createNewGame(variant);
     gameMode = mode;
 
-    // Set AI difficulty based on mode
-    if (mode === 'vs-ai-easy') {
-        aiDifficulty = 'easy';
-    } else if (mode === 'vs-ai-medium') {
-        aiDifficulty = 'medium';
-    } else if (mode === 'vs-ai-hard') {
-        aiDifficulty = 'hard';
-    } else {
-        aiDifficulty = null;
+    // Tournament-style start: the first three moves come from a ballot
+    const ballot = !fen && variant === DEFAULT_VARIANT && document.getElementById('ballot-start')?.checked
+        ? drawBallot()
+        : null;
+    if (ballot) {
+        applyBallot(gameState, ballot);
     }
+    showBallot(ballot);
+
+    // Set AI players and difficulty based on mode
+    aiPlayers = {};
+    if (mode === 'ai-vs-ai') {
+        aiPlayers[PLAYER.RED] = document.getElementById('ai-red-difficulty')?.value || 'medium';
+        aiPlayers[PLAYER.BLACK] = document.getElementById('ai-black-difficulty')?.value || 'medium';
+    } else if (mode.startsWith('vs-ai') || mode === 'giveaway') {
+        const difficulty = mode === 'giveaway' ? 'medium' : mode.replace('vs-ai-', '');
+        aiPlayers[getOpponent(chooseHumanColor())] = difficulty;
+    }
+
+    // Face the board the way a lone human player sees it: Black at the bottom when playing Black
+    const humanPlayers = [PLAYER.RED, PLAYER.BLACK].filter(player => !aiPlayers[player]);
+    setBoardFlipped(humanPlayers.length === 1 && humanPlayers[0] === PLAYER.BLACK);
+    updateFlipButton();
+
+    // Cancel any AI move still pending from the previous game
+    aiMoveToken++;
+    stopSearch();
+    aiPaused = false;
+    updateAIvsAIControls();
+
+    // Starting a game closes the board editor
+    hideSetupPanel();
 
     // Initialize board view with AI callback
-    initializeBoardView(gameState, makeAIMove);
+    refreshBoardView();
+
+    // Positions from the editor may have the AI to move first
+    makeAIMove();
 
     console.log('Game started successfully');
 }
 
+/**
+ * Show the ballot the game started from (null to clear it)
+ */
+function showBallot(ballot) {
+    const info = document.getElementById('ballot-info');
+    if (info) info.textContent = ballot ? `Ballot: ${ballot}` : '';
+}
+
+/**
+ * Re-render the board for the current game state
+ */
+function refreshBoardView() {
+    // Only players not controlled by the AI may move pieces on the board
+    const humanPlayers = [PLAYER.RED, PLAYER.BLACK].filter(player => !aiPlayers[player]);
+    initializeBoardView(gameState, handleMoveComplete, { humanPlayers });
+    updateUndoRedoButtons();
+    clearAnalysis();
+    clearReview();
+}
+
+/**
+ * Get the colour the human plays against the AI from the colour selector
+ * 'random' picks either colour with equal chance
+ */
+function chooseHumanColor() {
+    const choice = document.getElementById('player-color')?.value || PLAYER.RED;
+
+    if (choice === 'random') {
+        return Math.random() < 0.5 ? PLAYER.RED : PLAYER.BLACK;
+    }
+    return choice;
+}
+
+/**
+ * Check if both sides are played by the AI
+ */
+function isAIvsAI() {
+    return Boolean(aiPlayers[PLAYER.RED] && aiPlayers[PLAYER.BLACK]);
+}
+
+/**
+ * Called by the board view after the human completes a move
+ */
+function handleMoveComplete() {
+    updateUndoRedoButtons();
+    clearAnalysis();
+    makeAIMove();
+}
+
+/**
+ * Check if it is the AI's turn to move
+ */
+function isAITurn() {
+    return Boolean(aiPlayers[gameState.getCurrentPlayer()]);
+}
+
 /**
  * Make AI move if it's AI's turn
+ * Paused AI vs AI games wait for a step or resume
  */
-async function makeAIMove() {
-    if (!gameState || !aiDifficulty) return;
-    if (gameState.isGameOver()) return;
+function makeAIMove() {
+    if (aiPaused) return;
+    playAIMove();
+}
+
+/**
+ * Calculate, animate and play one AI move
+ * AI vs AI games continue with the other side's move afterwards
+ */
+async function playAIMove() {
+    if (!gameState || gameState.isGameOver()) return;
+    if (!isAITurn()) return;
 
-    const currentPlayer = gameState.getCurrentPlayer();
+    // Only one AI move at a time for the current game
+    const token = aiMoveToken;
+    if (pendingAIMoveToken === token) return;
+    pendingAIMoveToken = token;
 
-    // In vs AI mode, BLACK is the AI
-    if (currentPlayer === PLAYER.BLACK) {
+    try {
+        const aiDifficulty = aiPlayers[gameState.getCurrentPlayer()];
         console.log(`AI (${aiDifficulty}) is thinking...`);
 
-        // Calculate AI move
-        const aiMove = getBestMove(gameState, aiDifficulty);
+        // The delay runs alongside the search (let player see what the AI is doing)
+        const delay = new Promise(resolve => setTimeout(resolve, aiMoveDelay));
+
+        // Calculate AI move in the worker; a new game or undo stops the search
+        const aiMove = await requestBestMove(gameState, getAISearchOptions(aiDifficulty), showAIProgress);
+        showAIStatus('');
+        if (token !== aiMoveToken) return;
 
         if (aiMove) {
+            console.log(aiMove.fromBook ? 'AI played from the opening book' : `AI searched to depth ${aiMove.depth}`);
+
             // Get the piece before making the move
             const board = gameState.getBoard();
             const piece = board[aiMove.from.row][aiMove.from.col];
 
-            // Delay before animating (let player see what the AI is doing)
-            await new Promise(resolve => setTimeout(resolve, 800));
+            // Abandon the move if a new game or undo happens while waiting
+            await delay;
+            if (token !== aiMoveToken) return;
 
-            // Animate the piece moving
-            await animateMove(aiMove.from, aiMove.to, piece);
+            // Animate the piece along its path, fading the pieces it captures
+            const move = gameState.getAllLegalMoves().find(legal => isMoveOnPath(legal, getMovePath(aiMove)));
+            await animateMove(move || aiMove, piece, { highlight: true });
+            if (token !== aiMoveToken) return;
 
             console.log('AI move:', aiMove);
-            const success = gameState.makeMove(aiMove.from, aiMove.to);
+            const success = gameState.makeMove(aiMove);
 
             if (success) {
                 // Re-initialize board view after AI move
-                initializeBoardView(gameState, makeAIMove);
+                refreshBoardView();
+                announceMove(gameState);
             }
         }
+    } finally {
+        if (pendingAIMoveToken === token) {
+            pendingAIMoveToken = null;
+        }
     }
+
+    makeAIMove();
+}
+
+/**
+ * Get the search settings for an AI difficulty, in the playing style chosen
+ * The 'strength' difficulty plays at the level set on the strength slider
+ */
+function getAISearchOptions(difficulty) {
+    const style = document.getElementById('ai-style')?.value || 'balanced';
+    const evaluation = style === 'balanced' ? {} : { evaluation: style };
+
+    if (difficulty === 'strength') {
+        return { strength: getSelectedStrength(), ...evaluation };
+    }
+    return style === 'balanced' ? difficulty : { ...getDifficultyConfig(difficulty), ...evaluation };
+}
+
+/**
+ * Get the level set on the strength slider
+ */
+function getSelectedStrength() {
+    return parseInt(document.getElementById('ai-strength')?.value || '8');
+}
+
+/**
+ * Show the strength slider's level with its approximate rating
+ */
+function showSelectedStrength() {
+    const label = document.getElementById('ai-strength-value');
+    if (label) {
+        const strength = getSelectedStrength();
+        label.textContent = `${strength} (~${getStrengthElo(strength)} Elo)`;
+    }
+}
+
+/**
+ * Analyse the current position in the background and show its best lines
+ */
+async function analyzePosition() {
+    if (!gameState || gameState.isGameOver()) return;
+
+    // The AI's own search has the worker until it moves
+    if (isSearching('move')) {
+        showAnalysisStatus('The AI is thinking; analyse after its move');
+        return;
+    }
+
+    const token = ++analysisToken;
+    const multiPV = parseInt(document.getElementById('analysis-lines')?.value || '3');
+    showAnalysisStatus('Analysing...');
+
+    const lines = await requestAnalysis(gameState, { multiPV, timeMs: ANALYSIS_TIME_MS }, update => {
+        if (token === analysisToken) showAnalysis(update, false);
+    });
+    if (token === analysisToken && lines) {
+        showAnalysis(lines, true);
+    }
+}
+
+/**
+ * Show analysis lines, each with its score for the side to move, depth and
+ * expected moves; clicking a line highlights its first move on the board
+ */
+function showAnalysis(lines, finished) {
+    const list = document.getElementById('analysis-content');
+    if (!list) return;
+
+    list.innerHTML = '';
+    for (const line of lines) {
+        const item = document.createElement('li');
+        const score = document.createElement('span');
+        score.className = 'analysis-score';
+        score.textContent = `${line.score > 0 ? '+' : ''}${line.score.toFixed(1)}`;
+        item.append(score, ` ${line.pv.map(moveToPDN).join(' ')} (depth ${line.depth})`);
+        item.addEventListener('click', () => highlightHint(line.from, line.to));
+        list.appendChild(item);
+    }
+
+    const side = gameState.getCurrentPlayer() === PLAYER.RED ? 'Red' : 'Black';
+    showAnalysisStatus(`${finished ? 'Scores' : 'Analysing... scores'} for ${side} to move`);
+}
+
+/**
+ * Clear the analysis panel, stopping an analysis still running
+ */
+function clearAnalysis() {
+    analysisToken++;
+    if (isSearching('analysis')) {
+        stopSearch();
+    }
+
+    const list = document.getElementById('analysis-content');
+    if (list) list.innerHTML = '';
+    showAnalysisStatus('');
+}
+
+/**
+ * Set the analysis status line (empty to clear it)
+ */
+function showAnalysisStatus(message) {
+    const status = document.getElementById('analysis-status');
+    if (status) status.textContent = message;
+}
+
+/**
+ * Review the game so far in the background: classify every move and
+ * show the bad ones with what was better
+ */
+async function reviewCurrentGame() {
+    if (!gameState || gameState.getMoveHistory().length === 0) {
+        showReviewStatus('No moves to review');
+        return;
+    }
+
+    // The AI's own search has the worker until it moves
+    if (isSearching('move')) {
+        showReviewStatus('The AI is thinking; review after its move');
+        return;
+    }
+
+    clearReview();
+    const token = reviewToken;
+    const game = gameState.clone();
+    showReviewStatus('Reviewing...');
+
+    const review = await requestReview(game, { depth: REVIEW_DEPTH }, ({ ply, plies }) => {
+        if (token === reviewToken) showReviewStatus(`Reviewing... ${ply}/${plies}`);
+    });
+    if (token !== reviewToken) return;
+
+    if (review) {
+        showReview(game, review);
+    } else {
+        showReviewStatus('Review stopped');
+    }
+}
+
+/**
+ * Show a review: each player's accuracy, then every inaccuracy, mistake
+ * and blunder with the better line and the refutation
+ */
+function showReview(game, review) {
+    lastReview = { game, review };
+
+    const summary = document.getElementById('review-summary');
+    if (summary) {
+        const format = player => review.accuracy[player] == null ? '-' : `${review.accuracy[player].toFixed(1)}%`;
+        summary.textContent = `Accuracy: Red ${format(PLAYER.RED)}, Black ${format(PLAYER.BLACK)}`;
+    }
+
+    const list = document.getElementById('review-content');
+    if (list) {
+        list.innerHTML = '';
+        // Numbered as in PDN: a game Black starts opens with 1...
+        const offset = review.moves[0]?.player === PLAYER.BLACK ? 1 : 0;
+        for (const entry of review.moves.filter(isBadMove)) {
+            const item = document.createElement('li');
+            item.className = `review-${entry.classification}`;
+            const number = Math.floor((entry.ply + offset) / 2) + 1;
+            const label = document.createElement('span');
+            label.className = 'review-move';
+            label.textContent = `${number}${entry.player === PLAYER.RED ? '.' : '...'} ${moveToPDN(entry.move)}`;
+            item.append(label, ` ${describeMove(entry)}`);
+            list.appendChild(item);
+        }
+    }
+
+    const exportBtn = document.getElementById('review-export-btn');
+    if (exportBtn) exportBtn.disabled = false;
+
+    const bad = review.moves.filter(isBadMove).length;
+    showReviewStatus(bad === 0 ? 'No inaccuracies found' : `${review.moves.length} moves reviewed`);
+}
+
+/**
+ * Download the reviewed game as PDN, annotated with the review
+ */
+function exportReview() {
+    if (!lastReview) return;
+
+    const pdn = toPDN(lastReview.game, getReviewAnnotations(lastReview.review));
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([pdn], { type: 'application/x-checkers-pdn' }));
+    link.download = 'review.pdn';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Clear the review panel, stopping a review still running
+ */
+function clearReview() {
+    reviewToken++;
+    lastReview = null;
+    if (isSearching('review')) {
+        stopSearch();
+    }
+
+    const list = document.getElementById('review-content');
+    if (list) list.innerHTML = '';
+    const summary = document.getElementById('review-summary');
+    if (summary) summary.textContent = '';
+    const exportBtn = document.getElementById('review-export-btn');
+    if (exportBtn) exportBtn.disabled = true;
+    showReviewStatus('');
+}
+
+/**
+ * Set the review status line (empty to clear it)
+ */
+function showReviewStatus(message) {
+    const status = document.getElementById('review-status');
+    if (status) status.textContent = message;
+}
+
+/**
+ * Show the AI's search progress: depth reached, score and expected line
+ */
+function showAIProgress({ depth, score, pv }) {
+    const line = pv.map(moveToPDN).join(' ');
+    const sign = score > 0 ? '+' : '';
+    showAIStatus(`AI thinking: depth ${depth}, score ${sign}${score.toFixed(1)}, line ${line}`);
+}
+
+/**
+ * Set the AI status line (empty to clear it)
+ */
+function showAIStatus(text) {
+    const status = document.getElementById('ai-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Show the AI vs AI controls only in AI vs AI games
+ */
+function updateAIvsAIControls() {
+    const panel = document.getElementById('ai-vs-ai-panel');
+    const pauseBtn = document.getElementById('ai-pause-btn');
+
+    if (panel) panel.hidden = !isAIvsAI();
+    if (pauseBtn) pauseBtn.textContent = aiPaused ? 'Resume' : 'Pause';
+}
+
+/**
+ * Take back the last move
+ * In vs AI games the AI reply is taken back together with the human move
+ */
+function undoMove() {
+    if (!gameState || !gameState.canUndo() || isInSetupMode()) return;
+
+    // Stop the AI from playing a move it calculated before the undo
+    aiMoveToken++;
+    stopSearch();
+
+    if (isAIvsAI()) {
+        // Watching two engines: take back one move and pause
+        aiPaused = true;
+        gameState.undo();
+    } else {
+        gameState.undo();
+        while (isAITurn() && gameState.canUndo()) {
+            gameState.undo();
+        }
+    }
+
+    refreshBoardView();
+    updateAIvsAIControls();
+    announce('Move taken back');
+
+    // Undoing the AI's opening move hands the turn straight back to it
+    makeAIMove();
+}
+
+/**
+ * Replay the last undone move
+ * In vs AI games the AI reply is replayed too, or recalculated if it was never played
+ */
+function redoMove() {
+    if (!gameState || !gameState.canRedo() || isInSetupMode()) return;
+
+    aiMoveToken++;
+    stopSearch();
+
+    gameState.redo();
+    while (isAITurn() && !isAIvsAI() && gameState.canRedo()) {
+        gameState.redo();
+    }
+
+    refreshBoardView();
+    announce('Move replayed');
+    makeAIMove();
+}
+
+/**
+ * Enable or disable the undo and redo buttons
+ */
+function updateUndoRedoButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+
+    if (undoBtn) undoBtn.disabled = !gameState?.canUndo();
+    if (redoBtn) redoBtn.disabled = !gameState?.canRedo();
+}
+
+/**
+ * Open the board editor on the current position
+ */
+function showSetupPanel() {
+    // The AI must not move while the position is being edited
+    aiMoveToken++;
+    stopSearch();
+
+    document.getElementById('setup-panel')?.removeAttribute('hidden');
+    document.getElementById('setup-side').value = gameState.getCurrentPlayer();
+    showSetupErrors([]);
+    enterSetupMode(gameState.getBoard());
+}
+
+/**
+ * Close the board editor panel
+ */
+function hideSetupPanel() {
+    document.getElementById('setup-panel')?.setAttribute('hidden', '');
+}
+
+/**
+ * List validation errors for the edited position
+ */
+function showSetupErrors(errors) {
+    const list = document.getElementById('setup-errors');
+    if (!list) return;
+
+    list.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Start a game from the edited position if it is valid
+ * @param {string} mode - Game mode to play the position in
+ */
+function startGameFromSetup(mode) {
+    const board = getSetupBoard();
+    const sideToMove = document.getElementById('setup-side').value;
+    const errors = validatePosition(board, sideToMove);
+
+    if (errors.length > 0) {
+        showSetupErrors(errors);
+        return;
+    }
+
+    startNewGame(mode, toFEN(board, sideToMove));
+    updateModeButtonState(mode);
 }
 
 /**
@@ -130,17 +699,25 @@ async function makeAIMove() {
  */
 function updateModeButtonState(activeMode) {
     const vsAiBtn = document.getElementById('vs-ai-btn');
+    const giveawayBtn = document.getElementById('giveaway-btn');
+    const aiVsAiBtn = document.getElementById('ai-vs-ai-btn');
     const local2pBtn = document.getElementById('local-2p');
     const online2pBtn = document.getElementById('online-2p');
 
     // Remove active from all
     vsAiBtn?.classList.remove('active');
+    giveawayBtn?.classList.remove('active');
+    aiVsAiBtn?.classList.remove('active');
     local2pBtn?.classList.remove('active');
     online2pBtn?.classList.remove('active');
 
     // Add active to current mode
-    if (activeMode.startsWith('vs-ai')) {
+    if (activeMode === 'ai-vs-ai') {
+        aiVsAiBtn?.classList.add('active');
+    } else if (activeMode.startsWith('vs-ai')) {
         vsAiBtn?.classList.add('active');
+    } else if (activeMode === 'giveaway') {
+        giveawayBtn?.classList.add('active');
     } else if (activeMode === 'local-2p') {
         local2pBtn?.classList.add('active');
     } else if (activeMode === 'online-2p') {
@@ -155,14 +732,17 @@ function updateAiDifficultySelection(difficulty) {
     const easyBtn = document.getElementById('vs-ai-easy');
     const mediumBtn = document.getElementById('vs-ai-medium');
     const hardBtn = document.getElementById('vs-ai-hard');
+    const strengthBtn = document.getElementById('vs-ai-strength');
 
     easyBtn?.classList.remove('selected');
     mediumBtn?.classList.remove('selected');
     hardBtn?.classList.remove('selected');
+    strengthBtn?.classList.remove('selected');
 
     if (difficulty === 'easy') easyBtn?.classList.add('selected');
     else if (difficulty === 'medium') mediumBtn?.classList.add('selected');
     else if (difficulty === 'hard') hardBtn?.classList.add('selected');
+    else if (difficulty === 'strength') strengthBtn?.classList.add('selected');
 }
 
 /**
@@ -208,7 +788,54 @@ function setupEventListeners() {
         dropdown?.classList.remove('open');
     });
 
+    document.getElementById('vs-ai-strength')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        updateAiDifficultySelection('strength');
+        startNewGame('vs-ai-strength');
+        updateModeButtonState('vs-ai-strength');
+        dropdown?.classList.remove('open');
+    });
+
+    // The slider's level applies from the AI's next move
+    document.getElementById('ai-strength')?.addEventListener('input', showSelectedStrength);
+    showSelectedStrength();
+
     // Other mode buttons
+    document.getElementById('giveaway-btn')?.addEventListener('click', () => {
+        startNewGame('giveaway');
+        updateModeButtonState('giveaway');
+    });
+
+    document.getElementById('ai-vs-ai-btn')?.addEventListener('click', () => {
+        startNewGame('ai-vs-ai');
+        updateModeButtonState('ai-vs-ai');
+    });
+
+    // AI vs AI controls: per-side difficulty, pause/resume, single step and speed
+    ['ai-red-difficulty', 'ai-black-difficulty'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', (e) => {
+            if (!isAIvsAI()) return;
+            const player = id === 'ai-red-difficulty' ? PLAYER.RED : PLAYER.BLACK;
+            aiPlayers[player] = e.target.value;
+        });
+    });
+
+    document.getElementById('ai-pause-btn')?.addEventListener('click', () => {
+        aiPaused = !aiPaused;
+        updateAIvsAIControls();
+        makeAIMove();
+    });
+
+    document.getElementById('ai-step-btn')?.addEventListener('click', () => {
+        aiPaused = true;
+        updateAIvsAIControls();
+        playAIMove();
+    });
+
+    document.getElementById('ai-speed')?.addEventListener('input', (e) => {
+        aiMoveDelay = parseInt(e.target.value);
+    });
+
     document.getElementById('local-2p')?.addEventListener('click', () => {
         startNewGame('local-2p');
         updateModeButtonState('local-2p');
@@ -236,6 +863,71 @@ function setupEventListeners() {
         }
     });
 
+    document.getElementById('analyze-btn')?.addEventListener('click', analyzePosition);
+    document.getElementById('review-btn')?.addEventListener('click', reviewCurrentGame);
+    document.getElementById('review-export-btn')?.addEventListener('click', exportReview);
+
+    document.getElementById('undo-btn')?.addEventListener('click', undoMove);
+    document.getElementById('redo-btn')?.addEventListener('click', redoMove);
+
+    // Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo
+    document.addEventListener('keydown', (e) => {
+        if (!e.ctrlKey && !e.metaKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoMove();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            redoMove();
+        }
+    });
+
+    // Board orientation and labels
+    document.getElementById('flip-board-btn')?.addEventListener('click', () => {
+        setBoardFlipped(!isBoardFlipped());
+        updateFlipButton();
+    });
+
+    const boardLabelsSelect = document.getElementById('board-labels');
+    boardLabelsSelect?.addEventListener('change', () => setBoardLabels(boardLabelsSelect.value));
+    if (boardLabelsSelect) {
+        setBoardLabels(boardLabelsSelect.value);
+    }
+
+    // Board editor
+    document.getElementById('setup-btn')?.addEventListener('click', () => {
+        if (isInSetupMode()) {
+            hideSetupPanel();
+            exitSetupMode();
+            makeAIMove();
+        } else {
+            showSetupPanel();
+        }
+    });
+
+    document.querySelectorAll('#setup-pieces button').forEach(button => {
+        button.addEventListener('click', () => {
+            document.querySelectorAll('#setup-pieces button').forEach(b => b.classList.remove('active'));
+            button.classList.add('active');
+            setSetupPiece(parseInt(button.dataset.piece));
+        });
+    });
+
+    document.getElementById('setup-clear-btn')?.addEventListener('click', clearSetupBoard);
+    document.getElementById('setup-reset-btn')?.addEventListener('click', resetSetupBoard);
+
+    document.getElementById('setup-local-btn')?.addEventListener('click', () => {
+        startGameFromSetup('local-2p');
+    });
+
+    document.getElementById('setup-ai-btn')?.addEventListener('click', () => {
+        // Play at the difficulty currently selected in the vs AI menu
+        const selected = document.querySelector('.dropdown-menu button.selected');
+        startGameFromSetup(selected?.id || 'vs-ai-medium');
+    });
+
     document.getElementById('new-game-btn')?.addEventListener('click', () => {
         if (gameMode) {
             startNewGame(gameMode);
@@ -0,0 +1,144 @@
+/**
+ * Notation Module - Standard square numbering and FEN position strings
+ *
+ * Squares are numbered 1-32 as in printed checkers diagrams. PDN calls the
+ * side that moves first "Black": that is RED in this app, so RED's men start
+ * on squares 1-12 and BLACK's (PDN "White") on squares 21-32.
+ */
+
+import { PIECE, PLAYER, isKing, getPieceOwner } from './rules.js';
+
+const BOARD_SIZE = 8;
+const SQUARES_PER_ROW = BOARD_SIZE / 2;
+
+/**
+ * PDN colour letters mapped to players
+ */
+export const PDN_COLOR = {
+  B: PLAYER.RED,
+  W: PLAYER.BLACK
+};
+
+/**
+ * Get the PDN colour letter for a player
+ */
+export function getPDNColor(player) {
+  return player === PLAYER.RED ? 'B' : 'W';
+}
+
+/**
+ * Convert a board position to its standard square number (1-32)
+ * Returns null for light squares and positions off the board
+ */
+export function positionToSquare(position) {
+  const { row, col } = position;
+
+  if (row < 0 || row >= BOARD_SIZE || col < 0 || col >= BOARD_SIZE || (row + col) % 2 === 0) {
+    return null;
+  }
+
+  // Square 1 is in RED's back row, on the right-hand side as RED sees it
+  const diagramRow = BOARD_SIZE - 1 - row;
+  const diagramCol = BOARD_SIZE - 1 - col;
+  return diagramRow * SQUARES_PER_ROW + Math.floor(diagramCol / 2) + 1;
+}
+
+/**
+ * Convert a standard square number (1-32) to a board position
+ * Returns null for numbers outside the board
+ */
+export function squareToPosition(square) {
+  if (!Number.isInteger(square) || square < 1 || square > BOARD_SIZE * SQUARES_PER_ROW) {
+    return null;
+  }
+
+  const index = square - 1;
+  const diagramRow = Math.floor(index / SQUARES_PER_ROW);
+  // Dark squares sit in odd columns on even diagram rows and even columns on odd ones
+  const diagramCol = (index % SQUARES_PER_ROW) * 2 + (diagramRow % 2 === 0 ? 1 : 0);
+
+  return {
+    row: BOARD_SIZE - 1 - diagramRow,
+    col: BOARD_SIZE - 1 - diagramCol
+  };
+}
+
+/**
+ * Get the piece for a player, as a man or a king
+ */
+function getPlayerPiece(player, king) {
+  if (player === PLAYER.RED) {
+    return king ? PIECE.RED_KING : PIECE.RED;
+  }
+  return king ? PIECE.BLACK_KING : PIECE.BLACK;
+}
+
+/**
+ * Parse a PDN FEN string such as "B:W21,22,K30:B1,2,K5"
+ * Square ranges ("1-12") are accepted in the piece lists
+ * @returns {Object|null} - { board, currentPlayer } or null if the string is malformed
+ */
+export function parseFEN(fen) {
+  const fields = String(fen).trim().replace(/\.$/, '').split(':');
+  const sideToMove = PDN_COLOR[fields[0]?.trim().toUpperCase()];
+
+  if (!sideToMove) {
+    console.warn('Invalid FEN side to move:', fen);
+    return null;
+  }
+
+  const board = Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(PIECE.EMPTY));
+
+  for (const field of fields.slice(1)) {
+    const trimmed = field.trim();
+    const player = PDN_COLOR[trimmed[0]?.toUpperCase()];
+
+    if (!player) {
+      console.warn('Invalid FEN piece list:', field);
+      return null;
+    }
+
+    const entries = trimmed.slice(1).split(',').map(entry => entry.trim()).filter(Boolean);
+
+    for (const entry of entries) {
+      const match = entry.match(/^(K?)(\d+)(?:-(\d+))?$/i);
+      if (!match) {
+        console.warn('Invalid FEN square:', entry);
+        return null;
+      }
+
+      const king = match[1] !== '';
+      const first = parseInt(match[2], 10);
+      const last = match[3] ? parseInt(match[3], 10) : first;
+
+      for (let square = first; square <= last; square++) {
+        const position = squareToPosition(square);
+        if (!position) {
+          console.warn('FEN square out of range:', square);
+          return null;
+        }
+        board[position.row][position.col] = getPlayerPiece(player, king);
+      }
+    }
+  }
+
+  return { board, currentPlayer: sideToMove };
+}
+
+/**
+ * Build a PDN FEN string for a board and side to move
+ * Pieces are listed in square order with kings prefixed by "K"
+ */
+export function toFEN(board, currentPlayer) {
+  const squares = { B: [], W: [] };
+
+  for (let square = 1; square <= BOARD_SIZE * SQUARES_PER_ROW; square++) {
+    const { row, col } = squareToPosition(square);
+    const piece = board[row][col];
+    if (piece === PIECE.EMPTY) continue;
+
+    squares[getPDNColor(getPieceOwner(piece))].push(isKing(piece) ? `K${square}` : `${square}`);
+  }
+
+  return `${getPDNColor(currentPlayer)}:W${squares.W.join(',')}:B${squares.B.join(',')}`;
+}
@@ -0,0 +1,201 @@
+/**
+ * Opening Book - Weighted opening moves keyed by position hash
+ *
+ * Books are plain JSON so they can be built offline and fetched by the app:
+ *
+ *   { "version": 1, "positions": { "<hash>": [{ "move": "11-15", "weight": 12 }, ...] } }
+ *
+ * <hash> is the position's Zobrist hash as 8 hex digits and moves are
+ * written in PDN notation. Books cover American checkers only.
+ */
+
+import { computeHash } from './zobrist.js';
+import { findPDNMove, moveToPDN } from './pdn.js';
+import { GameState } from './gameState.js';
+import { getMovePath, isMoveOnPath } from './rules.js';
+
+/**
+ * Book format version written by openingBookToJSON
+ */
+export const BOOK_VERSION = 1;
+
+/**
+ * Plies of each game added to a book unless told otherwise
+ */
+export const DEFAULT_BOOK_PLIES = 16;
+
+/**
+ * Check if a game is played under rules the book covers
+ */
+function isBookVariant(gameState) {
+  return gameState.getVariant().id === 'american';
+}
+
+/**
+ * Get the key a position is stored under
+ */
+export function getBookKey(gameState) {
+  return computeHash(gameState.getBoard(), gameState.getCurrentPlayer()).toString(16).padStart(8, '0');
+}
+
+/**
+ * Create an empty book
+ */
+export function createOpeningBook() {
+  return { version: BOOK_VERSION, positions: {} };
+}
+
+/**
+ * Read a book from its JSON form (text or parsed object)
+ * @returns {Object|null} - The book, or null if the data is not a book
+ */
+export function loadOpeningBook(data) {
+  let parsed = data;
+  if (typeof data === 'string') {
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      console.warn('Opening book is not valid JSON:', error.message);
+      return null;
+    }
+  }
+
+  if (!parsed || parsed.version !== BOOK_VERSION || typeof parsed.positions !== 'object') {
+    console.warn('Unsupported opening book format');
+    return null;
+  }
+
+  const book = createOpeningBook();
+  for (const [key, entries] of Object.entries(parsed.positions)) {
+    if (!Array.isArray(entries)) continue;
+    const valid = entries.filter(entry => typeof entry.move === 'string' && entry.weight > 0);
+    if (valid.length > 0) {
+      book.positions[key] = valid.map(({ move, weight }) => ({ move, weight }));
+    }
+  }
+  return book;
+}
+
+/**
+ * Get a book's JSON form
+ * Moves are listed most played first
+ */
+export function openingBookToJSON(book) {
+  const positions = {};
+  for (const key of Object.keys(book.positions).sort()) {
+    positions[key] = [...book.positions[key]].sort((a, b) => b.weight - a.weight);
+  }
+  return { version: BOOK_VERSION, positions };
+}
+
+/**
+ * Add weight to a move in a position
+ * @param {Object} book - Book to update
+ * @param {GameState} gameState - Position before the move
+ * @param {Object} move - Legal move in that position
+ * @param {number} weight - Weight to add
+ */
+export function addBookMove(book, gameState, move, weight = 1) {
+  const key = getBookKey(gameState);
+  const notation = moveToPDN(move);
+  const entries = book.positions[key] || (book.positions[key] = []);
+  const entry = entries.find(e => e.move === notation);
+
+  if (entry) {
+    entry.weight += weight;
+  } else {
+    entries.push({ move: notation, weight });
+  }
+}
+
+/**
+ * Add the opening of a game to a book
+ *
+ * @param {Object} book - Book to update
+ * @param {GameState} gameState - Game whose moves are added, from its starting position
+ * @param {Object} options - Optional settings
+ * @param {number} options.maxPlies - Number of moves (plies) to add
+ * @param {number} options.weight - Weight each move adds
+ * @returns {number} - Number of moves added
+ */
+export function addGameToBook(book, gameState, options = {}) {
+  const { maxPlies = DEFAULT_BOOK_PLIES, weight = 1 } = options;
+  if (!isBookVariant(gameState)) {
+    return 0;
+  }
+
+  const initial = gameState.getInitialPosition();
+  const replay = new GameState(initial.board, initial.currentPlayer);
+  let added = 0;
+
+  for (const played of gameState.getMoveHistory().slice(0, maxPlies)) {
+    const move = replay.getAllLegalMoves().find(m => isMoveOnPath(m, getMovePath(played)));
+    if (!move) {
+      break;
+    }
+    addBookMove(book, replay, move, weight);
+    replay.makeMove(move);
+    added++;
+  }
+
+  return added;
+}
+
+/**
+ * Remove moves with less than a minimum weight, and positions left empty
+ */
+export function pruneOpeningBook(book, minWeight) {
+  for (const [key, entries] of Object.entries(book.positions)) {
+    const kept = entries.filter(entry => entry.weight >= minWeight);
+    if (kept.length > 0) {
+      book.positions[key] = kept;
+    } else {
+      delete book.positions[key];
+    }
+  }
+  return book;
+}
+
+/**
+ * Get the book moves for the current position
+ * Entries that are not legal here (a hash collision) are skipped
+ * @returns {Array} - [{ move, weight }] with legal move objects
+ */
+export function getBookMoves(book, gameState) {
+  if (!book || !isBookVariant(gameState) || gameState.isGameOver()) {
+    return [];
+  }
+
+  const entries = book.positions[getBookKey(gameState)] || [];
+  return entries
+    .map(entry => ({ move: findPDNMove(gameState, entry.move), weight: entry.weight }))
+    .filter(entry => entry.move);
+}
+
+/**
+ * Pick a book move for the current position, in proportion to the weights
+ *
+ * @param {Object} book - Opening book (null for none)
+ * @param {GameState} gameState - Current game state
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {Object|null} - Move { from, to, path } or null if the position is not in the book
+ */
+export function getBookMove(book, gameState, random = Math.random) {
+  const entries = getBookMoves(book, gameState);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let pick = random() * total;
+
+  for (const { move, weight } of entries) {
+    pick -= weight;
+    if (pick < 0) {
+      return { from: move.from, to: move.to, path: move.path };
+    }
+  }
+
+  const last = entries[entries.length - 1].move;
+  return { from: last.from, to: last.to, path: last.path };
+}
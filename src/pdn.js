@@ -0,0 +1,337 @@
+/**
+ * PDN Module - Portable Draughts Notation import and export
+ *
+ * Games are written with the standard 1-32 square numbering (see notation.js).
+ * Results follow the PDN convention of naming the first player first:
+ * "1-0" means PDN Black, which is RED in this app, won.
+ *
+ * The GameType tag names the variant. PDN has no GameType for giveaway, so
+ * giveaway games use American checkers' with a Variant tag naming them.
+ * Only 8x8 variants can be written or read.
+ */
+
+import { PLAYER, getMovePath, findMovesOnPath } from './rules.js';
+import { GameState, initializeBoard } from './gameState.js';
+import { positionToSquare, squareToPosition, parseFEN, toFEN } from './notation.js';
+import { VARIANTS, DEFAULT_VARIANT } from './variants.js';
+
+/**
+ * Result tokens written to PDN
+ */
+export const PDN_RESULT = {
+  RED_WIN: '1-0',
+  BLACK_WIN: '0-1',
+  DRAW: '1/2-1/2',
+  UNFINISHED: '*'
+};
+
+// Result tokens accepted when reading, including the 2-point draughts style
+const RESULT_TOKENS = {
+  '1-0': PDN_RESULT.RED_WIN,
+  '2-0': PDN_RESULT.RED_WIN,
+  '0-1': PDN_RESULT.BLACK_WIN,
+  '0-2': PDN_RESULT.BLACK_WIN,
+  '1/2-1/2': PDN_RESULT.DRAW,
+  '1-1': PDN_RESULT.DRAW,
+  '*': PDN_RESULT.UNFINISHED
+};
+
+// Board size the 1-32 square numbering covers
+const PDN_BOARD_SIZE = 8;
+
+// Tags written first, in this order; any others follow
+const TAG_ORDER = ['Event', 'Date', 'White', 'Black', 'Result'];
+
+const MAX_LINE_LENGTH = 80;
+
+/**
+ * Format a date as a PDN date tag value (YYYY.MM.DD)
+ */
+export function formatPDNDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}.${month}.${day}`;
+}
+
+/**
+ * Get the PDN result token for a game
+ */
+export function getGameResult(gameState) {
+  if (!gameState.isGameOver()) {
+    return PDN_RESULT.UNFINISHED;
+  }
+
+  const winner = gameState.getWinner();
+  if (winner === PLAYER.RED) return PDN_RESULT.RED_WIN;
+  if (winner === PLAYER.BLACK) return PDN_RESULT.BLACK_WIN;
+  return PDN_RESULT.DRAW;
+}
+
+/**
+ * Write a single move in PDN notation ("11-15", "9x18x27")
+ */
+export function moveToPDN(move) {
+  const squares = getMovePath(move).map(positionToSquare);
+  return squares.join(move.isJump ? 'x' : '-');
+}
+
+/**
+ * Wrap move text tokens into lines of limited length
+ */
+function wrapTokens(tokens) {
+  const lines = [];
+  let line = '';
+
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+
+  if (line) {
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Export a game to PDN
+ *
+ * @param {GameState} gameState - Game to export
+ * @param {Object} options - Optional settings
+ * @param {Object} options.tags - Tag values (Event, Date, White, Black, Result, ...) overriding the defaults
+ * @param {Object} options.comments - Comment text keyed by the number of moves played before it
+ * @param {Object} options.annotations - Move suffixes ('!', '?', '?!', ...) keyed by the number of
+ *   moves played before the move
+ * @returns {string|null} - PDN text, or null if the variant cannot be written
+ */
+export function toPDN(gameState, options = {}) {
+  const { tags = {}, comments = {}, annotations = {} } = options;
+  const variant = gameState.getVariant();
+  if (variant.boardSize !== PDN_BOARD_SIZE) {
+    console.warn('PDN export is not supported for', variant.name);
+    return null;
+  }
+
+  const initial = gameState.getInitialPosition();
+  const initialFEN = toFEN(initial.board, initial.currentPlayer);
+  const standardFEN = toFEN(initializeBoard(variant), PLAYER.RED);
+
+  const allTags = {
+    Event: '?',
+    Date: formatPDNDate(new Date()),
+    White: '?',
+    Black: '?',
+    Result: getGameResult(gameState),
+    GameType: variant.pdnGameType,
+    ...(variant.giveaway ? { Variant: variant.name } : {}),
+    ...(initialFEN !== standardFEN ? { FEN: initialFEN } : {}),
+    ...tags
+  };
+
+  const tagNames = [
+    ...TAG_ORDER.filter(name => name in allTags),
+    ...Object.keys(allTags).filter(name => !TAG_ORDER.includes(name))
+  ];
+  const tagLines = tagNames.map(name => `[${name} "${String(allTags[name]).replace(/"/g, '\\"')}"]`);
+
+  // Move text: numbered pairs, the first player's move opening each number
+  const tokens = [];
+  const history = gameState.getMoveHistory();
+  let moveNumber = 1;
+
+  if (comments[0]) {
+    tokens.push(`{${comments[0]}}`);
+  }
+
+  history.forEach((move, index) => {
+    if (move.player === PLAYER.RED) {
+      tokens.push(`${moveNumber}.`);
+    } else if (index === 0) {
+      tokens.push(`${moveNumber}...`);
+    }
+
+    tokens.push(`${moveToPDN(move)}${annotations[index] || ''}`);
+
+    if (comments[index + 1]) {
+      tokens.push(`{${comments[index + 1]}}`);
+    }
+    if (move.player === PLAYER.BLACK) {
+      moveNumber++;
+    }
+  });
+
+  tokens.push(allTags.Result);
+
+  return `${tagLines.join('\n')}\n\n${wrapTokens(tokens)}\n`;
+}
+
+/**
+ * Split PDN move text into comment, move and result tokens
+ * Move numbers and variations (in parentheses) are skipped
+ */
+function tokenizeMoveText(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '{') {
+      const end = text.indexOf('}', index);
+      const close = end === -1 ? text.length : end;
+      tokens.push({ type: 'comment', value: text.slice(index + 1, close).trim() });
+      index = close + 1;
+    } else if (char === '(') {
+      // Skip the variation, including nested ones
+      let depth = 0;
+      do {
+        if (text[index] === '(') depth++;
+        if (text[index] === ')') depth--;
+        index++;
+      } while (depth > 0 && index < text.length);
+    } else {
+      const match = text.slice(index).match(/^[^\s{}()]+/);
+      const word = match[0];
+      index += word.length;
+
+      if (word in RESULT_TOKENS) {
+        tokens.push({ type: 'result', value: RESULT_TOKENS[word] });
+      } else if (!/^\d+\.+$/.test(word)) {
+        // Moves may follow their number without a space ("1.11-15")
+        const move = word.replace(/^\d+\.+/, '').replace(/[!?]+$/, '');
+        if (move) {
+          tokens.push({ type: 'move', value: move });
+        }
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the legal move matching a PDN move token ("11-15", "9x18x27")
+ * The short form of a capture ("9x27") is enough only when one route joins its squares
+ * @returns {Object|null} - The legal move, or null if the token matches none or is ambiguous
+ */
+export function findPDNMove(gameState, token) {
+  if (!/^\d+([-x]\d+)+$/.test(token)) {
+    return null;
+  }
+
+  const path = token.split(/[-x]/).map(square => squareToPosition(parseInt(square, 10)));
+  if (path.some(position => position === null)) {
+    return null;
+  }
+
+  const moves = findMovesOnPath(gameState.getBoard(), path, gameState.getCurrentPlayer(), gameState.getVariant());
+  if (moves.length > 1) {
+    console.warn('Ambiguous move: more than one capture route follows', token);
+    return null;
+  }
+  return moves[0] || null;
+}
+
+/**
+ * Get the variant a PDN game is played under from its GameType and Variant tags
+ * A game without a GameType is American checkers
+ * @returns {Object|null} - The variant, or null if it cannot be read
+ */
+function getPDNVariant(tags) {
+  const gameType = tags.GameType?.split(',')[0].trim() || DEFAULT_VARIANT.pdnGameType;
+  const name = tags.Variant?.trim().toLowerCase();
+  const matches = Object.values(VARIANTS)
+    .filter(variant => variant.pdnGameType === gameType && variant.boardSize === PDN_BOARD_SIZE);
+
+  return matches.find(variant => variant.name.toLowerCase() === name) ||
+    matches.find(variant => !variant.giveaway) ||
+    null;
+}
+
+/**
+ * Parse a PDN game into a playable GameState
+ *
+ * @param {string} text - PDN text for a single game
+ * @returns {Object|null} - { gameState, tags, comments, result } or null if the game cannot be read
+ */
+export function parsePDN(text) {
+  const tags = {};
+  const tagPattern = /\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/g;
+
+  let match;
+  while ((match = tagPattern.exec(text)) !== null) {
+    tags[match[1]] = match[2].replace(/\\"/g, '"');
+  }
+
+  const variant = getPDNVariant(tags);
+  if (!variant) {
+    console.warn('Unsupported PDN GameType:', tags.GameType);
+    return null;
+  }
+
+  let gameState;
+  if (tags.FEN) {
+    const position = parseFEN(tags.FEN);
+    if (!position) {
+      return null;
+    }
+    gameState = new GameState(position.board, position.currentPlayer, { variant });
+  } else {
+    gameState = new GameState(null, PLAYER.RED, { variant });
+  }
+
+  const comments = {};
+  let result = tags.Result in RESULT_TOKENS ? RESULT_TOKENS[tags.Result] : PDN_RESULT.UNFINISHED;
+
+  for (const token of tokenizeMoveText(text.replace(tagPattern, ''))) {
+    if (token.type === 'comment') {
+      const ply = gameState.getMoveHistory().length;
+      comments[ply] = comments[ply] ? `${comments[ply]} ${token.value}` : token.value;
+    } else if (token.type === 'result') {
+      result = token.value;
+    } else {
+      const move = findPDNMove(gameState, token.value);
+      if (!move) {
+        console.warn('Illegal or unreadable PDN move:', token.value);
+        return null;
+      }
+      gameState.makeMove(move);
+    }
+  }
+
+  return { gameState, tags, comments, result };
+}
+
+/**
+ * Split a PDN file into the text of each game
+ * Each game starts with its tag section, so a tag line after move text begins the next game
+ */
+export function splitPDNGames(text) {
+  const games = [];
+  let lines = [];
+  let hasMoveText = false;
+
+  for (const line of text.split(/\r?\n/)) {
+    const isTag = /^\s*\[/.test(line);
+
+    if (isTag && hasMoveText) {
+      games.push(lines.join('\n'));
+      lines = [];
+      hasMoveText = false;
+    }
+    if (!isTag && line.trim()) {
+      hasMoveText = true;
+    }
+    lines.push(line);
+  }
+
+  games.push(lines.join('\n'));
+  return games.map(game => game.trim()).filter(Boolean);
+}
@@ -1,8 +1,11 @@
 /**
- * Rules Engine for American Checkers
+ * Rules Engine for Checkers
  * Handles move generation, validation, and game rules
+ * Board size, capture rules and king range come from the variant definition
  */
 
+import { DEFAULT_VARIANT } from './variants.js';
+
 // Piece types
 export const PIECE = {
   EMPTY: 0,
@@ -21,8 +24,9 @@ export const PLAYER = {
 /**
  * Check if a position is within board bounds
  */
-function isInBounds(row, col) {
-  return row >= 0 && row < 8 && col >= 0 && col < 8;
+function isInBounds(row, col, variant = DEFAULT_VARIANT) {
+  const size = variant.boardSize;
+  return row >= 0 && row < size && col >= 0 && col < size;
 }
 
 /**
@@ -55,6 +59,23 @@ export function getOpponent(player) {
   return player === PLAYER.RED ? PLAYER.BLACK : PLAYER.RED;
 }
 
+/**
+ * Get the row on which a player's men are promoted
+ * RED promotes on the top row, BLACK on the bottom row
+ */
+export function getPromotionRow(player, variant = DEFAULT_VARIANT) {
+  return player === PLAYER.RED ? 0 : variant.boardSize - 1;
+}
+
+/**
+ * Get the king version of a man
+ */
+function promotePiece(piece) {
+  if (piece === PIECE.RED) return PIECE.RED_KING;
+  if (piece === PIECE.BLACK) return PIECE.BLACK_KING;
+  return piece;
+}
+
 /**
  * Get valid movement directions for a piece
  * Regular pieces move forward only, kings move in all diagonal directions
@@ -73,24 +94,49 @@ function getDirections(piece) {
   return [];
 }
 
+/**
+ * Get valid capture directions for a piece
+ * Men capture backwards too in variants that allow it
+ */
+function getCaptureDirections(piece, variant) {
+  if (!isKing(piece) && piece !== PIECE.EMPTY && variant.menCaptureBackward) {
+    return [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+  }
+  return getDirections(piece);
+}
+
+/**
+ * Check if a piece moves and captures along whole diagonals
+ */
+function isFlyingPiece(piece, variant) {
+  return variant.flyingKings && isKing(piece);
+}
+
 /**
  * Generate simple (non-capture) moves for a piece at given position
  */
-function generateSimpleMoves(board, row, col) {
+function generateSimpleMoves(board, row, col, variant = DEFAULT_VARIANT) {
   const piece = board[row][col];
   const moves = [];
   const directions = getDirections(piece);
+  const flying = isFlyingPiece(piece, variant);
 
   for (const [dr, dc] of directions) {
-    const newRow = row + dr;
-    const newCol = col + dc;
+    let newRow = row + dr;
+    let newCol = col + dc;
 
-    if (isInBounds(newRow, newCol) && board[newRow][newCol] === PIECE.EMPTY) {
+    // Short-range pieces take one step, flying kings slide until blocked
+    while (isInBounds(newRow, newCol, variant) && board[newRow][newCol] === PIECE.EMPTY) {
       moves.push({
         from: { row, col },
         to: { row: newRow, col: newCol },
-        isJump: false
+        isJump: false,
+        path: [{ row, col }, { row: newRow, col: newCol }]
       });
+
+      if (!flying) break;
+      newRow += dr;
+      newCol += dc;
     }
   }
 
@@ -99,97 +145,128 @@ function generateSimpleMoves(board, row, col) {
 
 /**
  * Generate jump moves (captures) for a piece at given position
- * Recursively handles multi-jump sequences
+ * Recursively handles multi-jump sequences; each move's path lists its
+ * origin and every square it lands on
+ *
+ * Captured pieces stay on the board until the sequence is complete: they block
+ * landing squares and cannot be jumped a second time.
  */
-function generateJumpMovesRecursive(board, row, col, visitedBoard = null, capturedPieces = [], originalRow = null, originalCol = null) {
-  // Create a copy of the board to track visited positions during multi-jumps
-  if (visitedBoard === null) {
-    visitedBoard = board.map(row => [...row]);
-    originalRow = row;
-    originalCol = col;
+function generateJumpMovesRecursive(board, row, col, variant = DEFAULT_VARIANT, sequence = null) {
+  if (sequence === null) {
+    // Lift the moving piece so it does not block its own path
+    const liftedBoard = board.map(r => [...r]);
+    sequence = {
+      piece: board[row][col],
+      origin: { row, col },
+      captured: [],
+      path: [{ row, col }],
+      crowned: false
+    };
+    liftedBoard[row][col] = PIECE.EMPTY;
+    board = liftedBoard;
   }
 
-  const piece = visitedBoard[row][col];
+  const { piece, origin, captured, path } = sequence;
   const player = getPieceOwner(piece);
+  const flying = isFlyingPiece(piece, variant);
   const jumps = [];
-  const directions = getDirections(piece);
 
-  for (const [dr, dc] of directions) {
-    const jumpedRow = row + dr;
-    const jumpedCol = col + dc;
-    const landRow = row + dr * 2;
-    const landCol = col + dc * 2;
-
-    // Check if we can jump over an opponent piece
-    if (isInBounds(landRow, landCol)) {
-      const jumpedPiece = visitedBoard[jumpedRow][jumpedCol];
-      const landPiece = visitedBoard[landRow][landCol];
-
-      // Valid jump: land on empty square, jump over opponent piece
-      if (landPiece === PIECE.EMPTY &&
-          jumpedPiece !== PIECE.EMPTY &&
-          getPieceOwner(jumpedPiece) === getOpponent(player)) {
-
-        // Make the jump on the temporary board
-        const newBoard = visitedBoard.map(row => [...row]);
-        newBoard[landRow][landCol] = piece;
-        newBoard[row][col] = PIECE.EMPTY;
-        newBoard[jumpedRow][jumpedCol] = PIECE.EMPTY;
-
-        const newCaptured = [...capturedPieces, { row: jumpedRow, col: jumpedCol }];
-
-        // Check for additional jumps (multi-jump)
-        const continuedJumps = generateJumpMovesRecursive(
-          board, // Original board for reference
-          landRow,
-          landCol,
-          newBoard,
-          newCaptured,
-          originalRow,
-          originalCol
-        );
-
-        if (continuedJumps.length > 0) {
-          // Add all continued jump sequences
-          jumps.push(...continuedJumps);
-        } else {
-          // No more jumps available, this is a complete jump sequence
-          jumps.push({
-            from: { row: originalRow, col: originalCol },
-            to: { row: landRow, col: landCol },
-            isJump: true,
-            captured: newCaptured
-          });
+  for (const [dr, dc] of getCaptureDirections(piece, variant)) {
+    // Find the piece to jump: adjacent, or first piece along the diagonal for flying kings
+    let jumpedRow = row + dr;
+    let jumpedCol = col + dc;
+    while (flying && isInBounds(jumpedRow, jumpedCol, variant) && board[jumpedRow][jumpedCol] === PIECE.EMPTY) {
+      jumpedRow += dr;
+      jumpedCol += dc;
+    }
+
+    if (!isInBounds(jumpedRow, jumpedCol, variant)) continue;
+
+    const jumpedPiece = board[jumpedRow][jumpedCol];
+    const alreadyCaptured = captured.some(p => p.row === jumpedRow && p.col === jumpedCol);
+
+    // Valid jump: over an opponent piece not yet taken in this sequence
+    if (getPieceOwner(jumpedPiece) !== getOpponent(player) || alreadyCaptured) continue;
+
+    // Land on the empty square beyond (any empty square beyond for flying kings)
+    let landRow = jumpedRow + dr;
+    let landCol = jumpedCol + dc;
+
+    // A flying king must stop where the capture can continue, if any square allows it
+    const continuing = [];
+    const stopping = [];
+
+    while (isInBounds(landRow, landCol, variant) && board[landRow][landCol] === PIECE.EMPTY) {
+      const newCaptured = [...captured, { row: jumpedRow, col: jumpedCol }];
+      const newPath = [...path, { row: landRow, col: landCol }];
+
+      // A man crowned mid-capture continues as a king where the variant allows it
+      const reachesPromotionRow = !isKing(piece) && landRow === getPromotionRow(player, variant);
+      const continuingPiece = reachesPromotionRow && variant.promoteDuringCapture ? promotePiece(piece) : piece;
+
+      // Check for additional jumps (multi-jump)
+      const continuedJumps = generateJumpMovesRecursive(board, landRow, landCol, variant, {
+        piece: continuingPiece,
+        origin,
+        captured: newCaptured,
+        path: newPath,
+        crowned: sequence.crowned || continuingPiece !== piece
+      });
+
+      if (continuedJumps.length > 0) {
+        // Add all continued jump sequences
+        continuing.push(...continuedJumps);
+      } else {
+        // No more jumps available, this is a complete jump sequence
+        const move = {
+          from: { row: origin.row, col: origin.col },
+          to: { row: landRow, col: landCol },
+          isJump: true,
+          captured: newCaptured,
+          path: newPath
+        };
+        if (sequence.crowned) {
+          // Promoted before the final landing square
+          move.crowned = true;
         }
+        stopping.push(move);
       }
+
+      if (!flying) break;
+      landRow += dr;
+      landCol += dc;
     }
-  }
 
-  // If this is the initial call and we found jumps, return only the complete sequences
-  if (capturedPieces.length === 0) {
-    return jumps;
+    jumps.push(...(continuing.length > 0 ? continuing : stopping));
   }
 
-  // For recursive calls, if no further jumps found, return empty to signal sequence end
   return jumps;
 }
 
+/**
+ * Keep only the jump sequences that capture the most pieces
+ */
+function filterMaximumCaptures(jumps) {
+  const maxCaptured = Math.max(...jumps.map(jump => jump.captured.length));
+  return jumps.filter(jump => jump.captured.length === maxCaptured);
+}
+
 /**
  * Generate all jump moves for a piece
  */
-export function generateJumps(board, position) {
-  return generateJumpMovesRecursive(board, position.row, position.col);
+export function generateJumps(board, position, variant = DEFAULT_VARIANT) {
+  return generateJumpMovesRecursive(board, position.row, position.col, variant);
 }
 
 /**
  * Generate all legal moves for a piece at given position
  * Returns array of move objects with from/to positions
  */
-export function generateMoves(board, position) {
+export function generateMoves(board, position, variant = DEFAULT_VARIANT) {
   const { row, col } = position;
 
   // Validate position
-  if (!isInBounds(row, col)) {
+  if (!isInBounds(row, col, variant)) {
     return [];
   }
 
@@ -201,33 +278,40 @@ export function generateMoves(board, position) {
   }
 
   // Check for jumps first (mandatory captures)
-  const jumps = generateJumpMovesRecursive(board, row, col);
+  const jumps = generateJumpMovesRecursive(board, row, col, variant);
 
   if (jumps.length > 0) {
+    if (variant.maximumCapture) {
+      // Only sequences matching the player's longest capture are legal
+      const longest = generateAllMoves(board, getPieceOwner(piece), variant);
+      return jumps.filter(jump => jump.captured.length === longest[0].captured.length);
+    }
+
     // If jumps are available, only return jumps (captures are mandatory)
     return jumps;
   }
 
   // No jumps available, return simple moves
-  return generateSimpleMoves(board, row, col);
+  return generateSimpleMoves(board, row, col, variant);
 }
 
 /**
  * Generate all legal moves for a player
  * Takes into account mandatory capture rule
  */
-export function generateAllMoves(board, player) {
+export function generateAllMoves(board, player, variant = DEFAULT_VARIANT) {
   const allMoves = [];
   const allJumps = [];
+  const size = variant.boardSize;
 
   // First pass: collect all moves and jumps
-  for (let row = 0; row < 8; row++) {
-    for (let col = 0; col < 8; col++) {
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
       const piece = board[row][col];
 
       if (isPlayerPiece(piece, player)) {
-        const jumps = generateJumpMovesRecursive(board, row, col);
-        const simpleMoves = generateSimpleMoves(board, row, col);
+        const jumps = generateJumpMovesRecursive(board, row, col, variant);
+        const simpleMoves = generateSimpleMoves(board, row, col, variant);
 
         if (jumps.length > 0) {
           allJumps.push(...jumps);
@@ -239,48 +323,73 @@ export function generateAllMoves(board, player) {
 
   // If any jumps exist, only return jumps (mandatory capture)
   if (allJumps.length > 0) {
-    return allJumps;
+    return variant.maximumCapture ? filterMaximumCaptures(allJumps) : allJumps;
   }
 
   return allMoves;
 }
 
 /**
- * Check if a specific move is valid
+ * Get the squares a move passes through: its origin, each landing square and its destination
  */
-export function isValidMove(board, from, to, player) {
-  if (!isInBounds(from.row, from.col) || !isInBounds(to.row, to.col)) {
-    return false;
+export function getMovePath(move) {
+  return move.path || [move.from, move.to];
+}
+
+/**
+ * Check if a move follows a path of squares
+ * A path of only the origin and destination matches every route between them;
+ * a longer one must give every landing square
+ */
+export function isMoveOnPath(move, path) {
+  const samePosition = (a, b) => a.row === b.row && a.col === b.col;
+  const movePath = getMovePath(move);
+
+  if (path.length === 2) {
+    return samePosition(movePath[0], path[0]) && samePosition(movePath[movePath.length - 1], path[1]);
   }
+  return movePath.length === path.length && movePath.every((position, i) => samePosition(position, path[i]));
+}
 
-  const piece = board[from.row][from.col];
+/**
+ * Find a player's legal moves that follow a path (see isMoveOnPath)
+ * @returns {Array} - Matching moves: none if the path is not legal, more than one
+ *   if it leaves the capture route open
+ */
+export function findMovesOnPath(board, path, player, variant = DEFAULT_VARIANT) {
+  if (path.length < 2 || path.some(position => !isInBounds(position.row, position.col, variant))) {
+    return [];
+  }
 
-  // Must be player's piece
-  if (!isPlayerPiece(piece, player)) {
-    return false;
+  const from = path[0];
+  if (!isPlayerPiece(board[from.row][from.col], player)) {
+    return [];
   }
 
-  // Generate all legal moves for this piece
-  const legalMoves = generateMoves(board, from);
+  // Another piece's capture rules out this one's moves, so search all of the player's
+  return generateAllMoves(board, player, variant).filter(move => isMoveOnPath(move, path));
+}
 
-  // Check if the requested move is in the legal moves list
-  return legalMoves.some(move =>
-    move.to.row === to.row && move.to.col === to.col
-  );
+/**
+ * Check if a specific move is valid, by any route from one square to the other
+ * (use findMovesOnPath to tell capture routes apart)
+ */
+export function isValidMove(board, from, to, player, variant = DEFAULT_VARIANT) {
+  return findMovesOnPath(board, [from, to], player, variant).length > 0;
 }
 
 /**
  * Check if a player has any legal moves available
  */
-export function hasLegalMoves(board, player) {
-  return generateAllMoves(board, player).length > 0;
+export function hasLegalMoves(board, player, variant = DEFAULT_VARIANT) {
+  return generateAllMoves(board, player, variant).length > 0;
 }
 
 /**
  * Apply a move to the board and return the new board state
  * Does not modify the original board
  */
-export function applyMove(board, move) {
+export function applyMove(board, move, variant = DEFAULT_VARIANT) {
   const newBoard = board.map(row => [...row]);
   const piece = newBoard[move.from.row][move.from.col];
 
@@ -295,13 +404,61 @@ export function applyMove(board, move) {
     }
   }
 
-  // Promote to king if reached opposite end
-  // RED moves up (to row 0), BLACK moves down (to row 7)
-  if (piece === PIECE.RED && move.to.row === 0) {
-    newBoard[move.to.row][move.to.col] = PIECE.RED_KING;
-  } else if (piece === PIECE.BLACK && move.to.row === 7) {
-    newBoard[move.to.row][move.to.col] = PIECE.BLACK_KING;
+  // Promote to king if reached opposite end, or if crowned mid-capture
+  // RED moves up (to row 0), BLACK moves down (to the last row)
+  if (!isKing(piece) && (move.crowned || move.to.row === getPromotionRow(getPieceOwner(piece), variant))) {
+    newBoard[move.to.row][move.to.col] = promotePiece(piece);
   }
 
   return newBoard;
 }
+
+/**
+ * Check that a position could arise in a real game
+ * Used to validate positions entered in the board editor
+ *
+ * @param {Array} board - Board to check
+ * @param {string} currentPlayer - Side to move
+ * @param {Object} variant - Rule variant (defaults to American checkers)
+ * @returns {Array} - Error messages, empty if the position is valid
+ */
+export function validatePosition(board, currentPlayer, variant = DEFAULT_VARIANT) {
+  const errors = [];
+  const size = variant.boardSize;
+  const maxPieces = variant.pieceRows * size / 2;
+  const counts = { [PLAYER.RED]: 0, [PLAYER.BLACK]: 0 };
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const piece = board[row][col];
+      if (piece === PIECE.EMPTY) continue;
+
+      const owner = getPieceOwner(piece);
+      counts[owner]++;
+
+      if ((row + col) % 2 === 0) {
+        errors.push(`Piece on a light square at row ${row}, column ${col}`);
+      }
+
+      // A man on its promotion row would already have been crowned
+      if (!isKing(piece) && row === getPromotionRow(owner, variant)) {
+        errors.push(`${owner === PLAYER.RED ? 'Red' : 'Black'} man on its own promotion row at column ${col}`);
+      }
+    }
+  }
+
+  for (const player of [PLAYER.RED, PLAYER.BLACK]) {
+    const name = player === PLAYER.RED ? 'Red' : 'Black';
+    if (counts[player] > maxPieces) {
+      errors.push(`${name} has ${counts[player]} pieces (maximum ${maxPieces})`);
+    } else if (counts[player] === 0) {
+      errors.push(`${name} has no pieces`);
+    }
+  }
+
+  if (errors.length === 0 && !hasLegalMoves(board, currentPlayer, variant)) {
+    errors.push(`${currentPlayer === PLAYER.RED ? 'Red' : 'Black'} is to move but has no legal moves`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,113 @@
+/**
+ * Strength Levels - Human-like play from beginner to full strength
+ *
+ * A level picks its move from the best few the search finds, weighted by
+ * a softmax of their scores, so it plays reasonable moves but not always
+ * the best one. Weaker levels search shallower and without quiescence,
+ * so threats beyond their depth go unseen, and sometimes take a short
+ * capture where a multi-jump was on offer. The top levels play the
+ * search's best move, as the difficulty presets do.
+ *
+ * The Elo figures are guesses, spaced evenly to give the slider a familiar
+ * scale. They have not been measured; tools/runMatch.js can play levels
+ * against each other (e.g. "strength=8" "strength=9") to check them.
+ */
+
+/**
+ * Weakest and strongest levels
+ */
+export const MIN_STRENGTH = 1;
+export const MAX_STRENGTH = 20;
+
+/**
+ * Settings for each level, weakest first
+ *
+ * depth       - Search depth in plies
+ * timeMs      - Time budget, for levels that play the best move
+ * topK        - Moves considered: the best topK by score
+ * temperature - Softmax temperature in evaluation points (a man is 10); 0 always
+ *               plays the best of them
+ * missCapture - Chance of overlooking the longer captures when several are possible
+ * quiescence  - Play out pending captures beyond the depth limit
+ * elo         - Guessed rating on a club scale (not measured)
+ */
+const STRENGTH_LEVELS = [
+  { depth: 1, timeMs: null, topK: 5, temperature: 12, missCapture: 0.6, quiescence: false, elo: 500 },
+  { depth: 1, timeMs: null, topK: 4, temperature: 10, missCapture: 0.5, quiescence: false, elo: 600 },
+  { depth: 2, timeMs: null, topK: 4, temperature: 9, missCapture: 0.5, quiescence: false, elo: 700 },
+  { depth: 2, timeMs: null, topK: 4, temperature: 8, missCapture: 0.4, quiescence: false, elo: 800 },
+  { depth: 2, timeMs: null, topK: 3, temperature: 7, missCapture: 0.4, quiescence: false, elo: 900 },
+  { depth: 3, timeMs: null, topK: 3, temperature: 6, missCapture: 0.3, quiescence: false, elo: 1000 },
+  { depth: 3, timeMs: null, topK: 3, temperature: 5, missCapture: 0.3, quiescence: false, elo: 1075 },
+  { depth: 3, timeMs: null, topK: 3, temperature: 4, missCapture: 0.25, quiescence: true, elo: 1150 },
+  { depth: 4, timeMs: null, topK: 3, temperature: 4, missCapture: 0.2, quiescence: true, elo: 1225 },
+  { depth: 4, timeMs: null, topK: 3, temperature: 3, missCapture: 0.15, quiescence: true, elo: 1300 },
+  { depth: 4, timeMs: null, topK: 2, temperature: 3, missCapture: 0.1, quiescence: true, elo: 1375 },
+  { depth: 5, timeMs: null, topK: 2, temperature: 2.5, missCapture: 0.1, quiescence: true, elo: 1450 },
+  { depth: 5, timeMs: null, topK: 2, temperature: 2, missCapture: 0.05, quiescence: true, elo: 1525 },
+  { depth: 6, timeMs: null, topK: 2, temperature: 2, missCapture: 0.05, quiescence: true, elo: 1600 },
+  { depth: 6, timeMs: null, topK: 2, temperature: 1.5, missCapture: 0, quiescence: true, elo: 1675 },
+  { depth: 7, timeMs: null, topK: 2, temperature: 1, missCapture: 0, quiescence: true, elo: 1750 },
+  { depth: 8, timeMs: 750, topK: 1, temperature: 0, missCapture: 0, quiescence: true, elo: 1825 },
+  { depth: 9, timeMs: 1000, topK: 1, temperature: 0, missCapture: 0, quiescence: true, elo: 1900 },
+  { depth: 10, timeMs: 1500, topK: 1, temperature: 0, missCapture: 0, quiescence: true, elo: 1975 },
+  { depth: 12, timeMs: 2000, topK: 1, temperature: 0, missCapture: 0, quiescence: true, elo: 2050 }
+];
+
+/**
+ * Get the settings for a strength level
+ * Levels are rounded and clamped to MIN_STRENGTH..MAX_STRENGTH
+ * @returns {Object} - { level, depth, timeMs, topK, temperature, missCapture, quiescence, elo }
+ */
+export function getStrengthConfig(strength) {
+  const number = Number.isFinite(Number(strength)) ? Math.round(Number(strength)) : MIN_STRENGTH;
+  const level = Math.min(MAX_STRENGTH, Math.max(MIN_STRENGTH, number));
+  return { level, ...STRENGTH_LEVELS[level - 1] };
+}
+
+/**
+ * Get the guessed Elo rating of a strength level
+ */
+export function getStrengthElo(strength) {
+  return getStrengthConfig(strength).elo;
+}
+
+/**
+ * Choose a move the way a player of the given strength might
+ *
+ * @param {Array} scoredMoves - Legal moves with their search scores, best first
+ * @param {Object} config - Strength settings from getStrengthConfig
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {Object|null} - One of the moves, or null if there are none
+ */
+export function chooseHumanMove(scoredMoves, config, random = Math.random) {
+  let candidates = scoredMoves;
+
+  // Captures are compulsory, but the longest route is easily missed
+  if (candidates.length > 1 && candidates.every(move => move.isJump) && random() < config.missCapture) {
+    const shortest = Math.min(...candidates.map(move => move.captured.length));
+    candidates = candidates.filter(move => move.captured.length === shortest);
+  }
+
+  candidates = candidates.slice(0, config.topK);
+  if (candidates.length === 0) {
+    return null;
+  }
+  if (config.temperature <= 0 || candidates.length === 1) {
+    return candidates[0];
+  }
+
+  // Softmax over the scores, relative to the best so the weights stay finite
+  const best = candidates[0].score;
+  const weights = candidates.map(move => Math.exp((move.score - best) / config.temperature));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let pick = random() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    pick -= weights[i];
+    if (pick < 0) {
+      return candidates[i];
+    }
+  }
+  return candidates[candidates.length - 1];
+}
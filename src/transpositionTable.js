@@ -0,0 +1,119 @@
+/**
+ * Transposition Table - Fixed-size cache of search results keyed by Zobrist hash
+ *
+ * Each slot holds the hash, the depth searched, the score, whether the
+ * score is exact or only a bound, and the index of the best move in the
+ * position's generated move list. Deeper results replace shallower ones
+ * when two positions share a slot.
+ */
+
+/**
+ * What a stored score means
+ *
+ * EXACT - The true score of the position
+ * LOWER - The search failed high: the true score is at least this
+ * UPPER - The search failed low: the true score is at most this
+ */
+export const TT_FLAG = {
+  EXACT: 0,
+  LOWER: 1,
+  UPPER: 2
+};
+
+/**
+ * Default number of slots (must be a power of two)
+ */
+export const DEFAULT_TABLE_SIZE = 1 << 16;
+
+const EMPTY_DEPTH = -1;
+
+export class TranspositionTable {
+  /**
+   * @param {number} size - Number of slots, rounded down to a power of two
+   */
+  constructor(size = DEFAULT_TABLE_SIZE) {
+    this.size = 2 ** Math.floor(Math.log2(Math.max(1, size)));
+    this.mask = this.size - 1;
+    this.hashes = new Uint32Array(this.size);
+    this.depths = new Int8Array(this.size).fill(EMPTY_DEPTH);
+    this.scores = new Float64Array(this.size);
+    this.flags = new Uint8Array(this.size);
+    this.bestMoves = new Int16Array(this.size);
+    this.probes = 0;
+    this.hits = 0;
+  }
+
+  /**
+   * Look up a position
+   * @param {number} hash - Zobrist hash of the position
+   * @returns {Object|null} - { depth, score, flag, bestMove } or null if not stored
+   */
+  probe(hash) {
+    const entry = this.peek(hash);
+
+    this.probes++;
+    if (entry) {
+      this.hits++;
+    }
+    return entry;
+  }
+
+  /**
+   * Look up a position without counting it in the statistics
+   * @param {number} hash - Zobrist hash of the position
+   * @returns {Object|null} - { depth, score, flag, bestMove } or null if not stored
+   */
+  peek(hash) {
+    const index = hash & this.mask;
+
+    if (this.depths[index] === EMPTY_DEPTH || this.hashes[index] !== hash) {
+      return null;
+    }
+
+    return {
+      depth: this.depths[index],
+      score: this.scores[index],
+      flag: this.flags[index],
+      bestMove: this.bestMoves[index]
+    };
+  }
+
+  /**
+   * Store a search result
+   * @param {number} hash - Zobrist hash of the position
+   * @param {number} depth - Depth the position was searched to
+   * @param {number} score - Score found
+   * @param {number} flag - TT_FLAG describing the score
+   * @param {number} bestMove - Index of the best move in the generated move list (-1 if none)
+   */
+  store(hash, depth, score, flag, bestMove = -1) {
+    const index = hash & this.mask;
+
+    // Keep a deeper result for a different position
+    if (this.depths[index] !== EMPTY_DEPTH && this.hashes[index] !== hash && this.depths[index] > depth) {
+      return;
+    }
+
+    this.hashes[index] = hash;
+    this.depths[index] = depth;
+    this.scores[index] = score;
+    this.flags[index] = flag;
+    this.bestMoves[index] = bestMove;
+  }
+
+  /**
+   * Share of probes that found their position
+   */
+  getHitRate() {
+    return this.probes === 0 ? 0 : this.hits / this.probes;
+  }
+
+  /**
+   * Remove every entry and reset the statistics
+   */
+  clear() {
+    this.depths.fill(EMPTY_DEPTH);
+    this.probes = 0;
+    this.hits = 0;
+  }
+}
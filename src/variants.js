@@ -0,0 +1,109 @@
+/**
+ * Rule Variants - Definitions that drive the rules engine
+ *
+ * Each variant describes the board and the rule switches that differ
+ * between draughts families. RED always starts at the bottom of the board
+ * and moves first. Giveaway uses American rules with the win condition inverted.
+ */
+
+/**
+ * Variant definitions
+ *
+ * boardSize            - Number of rows and columns
+ * pieceRows            - Rows of men each side starts with
+ * menCaptureBackward   - Men may capture backwards (they still move forward only)
+ * flyingKings          - Kings move and capture along whole diagonals
+ * maximumCapture       - The sequence capturing the most pieces must be played
+ * promoteDuringCapture - A man crowned mid-capture continues the sequence as a king
+ * drawMoveLimit        - King moves per side without a capture before a draw
+ * pdnGameType          - GameType tag of the variant's PDN games
+ * giveaway             - Win condition is inverted: a player left without moves wins
+ */
+export const VARIANTS = {
+  american: {
+    id: 'american',
+    name: 'American Checkers',
+    boardSize: 8,
+    pieceRows: 3,
+    menCaptureBackward: false,
+    flyingKings: false,
+    maximumCapture: false,
+    promoteDuringCapture: false,
+    drawMoveLimit: 40,
+    pdnGameType: '21'
+  },
+  international: {
+    id: 'international',
+    name: 'International Draughts',
+    boardSize: 10,
+    pieceRows: 4,
+    menCaptureBackward: true,
+    flyingKings: true,
+    maximumCapture: true,
+    promoteDuringCapture: false,
+    drawMoveLimit: 25,
+    pdnGameType: '20'
+  },
+  russian: {
+    id: 'russian',
+    name: 'Russian Draughts',
+    boardSize: 8,
+    pieceRows: 3,
+    menCaptureBackward: true,
+    flyingKings: true,
+    maximumCapture: false,
+    promoteDuringCapture: true,
+    drawMoveLimit: 15,
+    pdnGameType: '25'
+  },
+  brazilian: {
+    id: 'brazilian',
+    name: 'Brazilian Draughts',
+    boardSize: 8,
+    pieceRows: 3,
+    menCaptureBackward: true,
+    flyingKings: true,
+    maximumCapture: true,
+    promoteDuringCapture: false,
+    drawMoveLimit: 25,
+    pdnGameType: '26'
+  },
+  pool: {
+    id: 'pool',
+    name: 'Pool Checkers',
+    boardSize: 8,
+    pieceRows: 3,
+    menCaptureBackward: true,
+    flyingKings: true,
+    maximumCapture: false,
+    promoteDuringCapture: false,
+    drawMoveLimit: 40,
+    pdnGameType: '23'
+  },
+  giveaway: {
+    id: 'giveaway',
+    name: 'Giveaway Checkers',
+    boardSize: 8,
+    pieceRows: 3,
+    menCaptureBackward: false,
+    flyingKings: false,
+    maximumCapture: false,
+    promoteDuringCapture: false,
+    drawMoveLimit: 40,
+    pdnGameType: '21',
+    giveaway: true
+  }
+};
+
+/**
+ * Variant used when none is specified
+ */
+export const DEFAULT_VARIANT = VARIANTS.american;
+
+/**
+ * Look up a variant by id (case-insensitive)
+ * Returns the default variant for unknown ids
+ */
+export function getVariant(id) {
+  return VARIANTS[id?.toLowerCase()] || DEFAULT_VARIANT;
+}
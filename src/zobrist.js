@@ -0,0 +1,87 @@
+/**
+ * Zobrist Hashing - 32-bit position hashes for the search
+ *
+ * Every (square, piece) pair and the side to move has a fixed random key;
+ * a position's hash is the XOR of the keys that apply to it, so a move
+ * updates the hash by XORing the keys of the squares it changes.
+ */
+
+import { PIECE, PLAYER } from './rules.js';
+
+// Keys cover the largest board any variant uses
+const MAX_BOARD_SIZE = 10;
+const PIECE_TYPES = 5;
+
+/**
+ * Small seeded generator so hashes are the same on every run
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return state >>> 0;
+  };
+}
+
+const random = createRandom(0x9e3779b9);
+
+const SQUARE_KEYS = Array.from({ length: MAX_BOARD_SIZE * MAX_BOARD_SIZE * PIECE_TYPES }, random);
+
+/**
+ * Key XORed in when BLACK is to move
+ */
+const BLACK_TO_MOVE_KEY = random();
+
+/**
+ * Get the key for a piece standing on a square
+ */
+function getSquareKey(row, col, piece) {
+  return SQUARE_KEYS[(row * MAX_BOARD_SIZE + col) * PIECE_TYPES + piece];
+}
+
+/**
+ * Compute the hash of a board and side to move from scratch
+ * @returns {number} - Unsigned 32-bit hash
+ */
+export function computeHash(board, currentPlayer) {
+  let hash = currentPlayer === PLAYER.BLACK ? BLACK_TO_MOVE_KEY : 0;
+
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board[row].length; col++) {
+      const piece = board[row][col];
+      if (piece !== PIECE.EMPTY) {
+        hash ^= getSquareKey(row, col, piece);
+      }
+    }
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Update a hash for a move, without rescanning the board
+ *
+ * @param {number} hash - Hash of the position before the move
+ * @param {Array} board - Board before the move
+ * @param {Array} newBoard - Board after the move (as returned by applyMove)
+ * @param {Object} move - Move that was applied
+ * @returns {number} - Hash of the position after the move, with the side to move switched
+ */
+export function updateHash(hash, board, newBoard, move) {
+  const { from, to } = move;
+
+  hash ^= getSquareKey(from.row, from.col, board[from.row][from.col]);
+  // The piece may have been crowned on arrival
+  hash ^= getSquareKey(to.row, to.col, newBoard[to.row][to.col]);
+
+  if (move.isJump && move.captured) {
+    for (const captured of move.captured) {
+      hash ^= getSquareKey(captured.row, captured.col, board[captured.row][captured.col]);
+    }
+  }
+
+  return (hash ^ BLACK_TO_MOVE_KEY) >>> 0;
+}
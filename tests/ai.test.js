@@ -2,18 +2,32 @@
  * Unit tests for AI Engine
  */
 
-import { PIECE, PLAYER } from '../src/rules.js';
+import { PIECE, PLAYER, applyMove } from '../src/rules.js';
 import { GameState } from '../src/gameState.js';
+import { VARIANTS } from '../src/variants.js';
+import { TranspositionTable } from '../src/transpositionTable.js';
 import {
   evaluateBoard,
+  evaluateGiveawayBoard,
   getDifficultyDepth,
+  getDifficultyConfig,
   isTerminalState,
   orderMoves,
   minimax,
   getMiniMaxMove,
+  getMiniMaxMoves,
   getBestMove,
-  getHint
+  analyze,
+  iterativeDeepening,
+  getHint,
+  setOpeningBook,
+  setEndgameDatabase,
+  getEvaluationConfig,
+  MAX_STRENGTH
 } from '../src/ai.js';
+import { createOpeningBook, addBookMove } from '../src/openingBook.js';
+import { findPDNMove } from '../src/pdn.js';
+import { buildEndgameDatabase } from '../tools/buildEndgameDatabase.js';
 
 describe('AI Engine - Difficulty Configuration', () => {
   test('getDifficultyDepth returns correct depth for easy', () => {
@@ -23,18 +37,24 @@ describe('AI Engine - Difficulty Configuration', () => {
   });
 
   test('getDifficultyDepth returns correct depth for medium', () => {
-    expect(getDifficultyDepth('medium')).toBe(5);
-    expect(getDifficultyDepth('Medium')).toBe(5);
+    expect(getDifficultyDepth('medium')).toBe(6);
+    expect(getDifficultyDepth('Medium')).toBe(6);
   });
 
   test('getDifficultyDepth returns correct depth for hard', () => {
-    expect(getDifficultyDepth('hard')).toBe(7);
-    expect(getDifficultyDepth('Hard')).toBe(7);
+    expect(getDifficultyDepth('hard')).toBe(12);
+    expect(getDifficultyDepth('Hard')).toBe(12);
   });
 
   test('getDifficultyDepth returns default for unknown difficulty', () => {
-    expect(getDifficultyDepth('unknown')).toBe(5);
-    expect(getDifficultyDepth('')).toBe(5);
+    expect(getDifficultyDepth('unknown')).toBe(6);
+    expect(getDifficultyDepth('')).toBe(6);
+  });
+
+  test('getDifficultyConfig caps both depth and time', () => {
+    expect(getDifficultyConfig('easy')).toEqual({ maxDepth: 3, timeMs: 150 });
+    expect(getDifficultyConfig('Hard')).toEqual({ maxDepth: 12, timeMs: 2000 });
+    expect(getDifficultyConfig('unknown')).toEqual(getDifficultyConfig('medium'));
   });
 });
 
@@ -182,6 +202,105 @@ describe('AI Engine - Minimax Algorithm', () => {
   });
 });
 
+describe('AI Engine - Draw Scoring', () => {
+  test('minimax scores a drawn game as 0', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[7][0] = PIECE.RED_KING;
+    board[0][7] = PIECE.BLACK_KING;
+    board[0][1] = PIECE.BLACK_KING;
+
+    const game = new GameState(board, PLAYER.RED, { drawMoveLimit: 1 });
+    game.makeMove({ row: 7, col: 0 }, { row: 6, col: 1 });
+    game.makeMove({ row: 0, col: 7 }, { row: 1, col: 6 });
+
+    expect(game.isDraw()).toBe(true);
+    expect(minimax(game, 3, -Infinity, Infinity, true, PLAYER.RED)).toBe(0);
+    expect(minimax(game, 3, -Infinity, Infinity, true, PLAYER.BLACK)).toBe(0);
+  });
+
+  test('Search sees a move-limit draw coming', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[7][0] = PIECE.RED_KING;
+    board[0][7] = PIECE.BLACK_KING;
+    board[0][1] = PIECE.BLACK_KING;
+
+    // RED is a king down, so a draw by the move limit is the best it can hope for
+    const game = new GameState(board, PLAYER.RED, { drawMoveLimit: 1 });
+    game.makeMove({ row: 7, col: 0 }, { row: 6, col: 1 });
+
+    expect(game.isDraw()).toBe(false);
+    expect(minimax(game, 1, -Infinity, Infinity, false, PLAYER.RED)).toBe(0);
+  });
+});
+
+describe('AI Engine - Quiescence Search', () => {
+  // RED must capture: taking towards the centre with (5,2) lets BLACK give up a
+  // man on (2,5) and then jump two men from (0,7); taking towards the edge is safe
+  const SHOT_FEN = 'B:W15,16,25,26,29,31:B2,4,11,17';
+
+  test('The AI no longer walks into a two-for-one shot at easy and medium', () => {
+    for (const difficulty of ['easy', 'medium']) {
+      const move = getBestMove(GameState.fromFEN(SHOT_FEN), difficulty);
+
+      expect(move.from).toEqual({ row: 5, col: 2 });
+      expect(move.to).toEqual({ row: 3, col: 0 });
+    }
+  });
+
+  test('Without quiescence the shot is hidden beyond the horizon', () => {
+    const game = GameState.fromFEN(SHOT_FEN);
+
+    const withoutQuiescence = iterativeDeepening(game, { maxDepth: 3, quiescence: false });
+    const withQuiescence = iterativeDeepening(game, { maxDepth: 3 });
+
+    expect(withoutQuiescence.to).toEqual({ row: 3, col: 4 });
+    expect(withQuiescence.to).toEqual({ row: 3, col: 0 });
+  });
+
+  test('A pending multi-jump is played out before the position is scored', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[2][3] = PIECE.BLACK;
+    board[3][4] = PIECE.RED;
+    board[5][6] = PIECE.RED;
+    board[7][0] = PIECE.RED;
+    const game = new GameState(board, PLAYER.BLACK);
+
+    // BLACK takes both men in one move: (2,3)x(3,4)x(5,6) lands on (6,7)
+    const afterJump = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    afterJump[6][7] = PIECE.BLACK;
+    afterJump[7][0] = PIECE.RED;
+
+    expect(minimax(game, 0, -Infinity, Infinity, false, PLAYER.RED)).toBe(evaluateBoard(afterJump, PLAYER.RED));
+  });
+});
+
+describe('AI Engine - Giveaway', () => {
+  test('evaluateGiveawayBoard favors the player with fewer pieces', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[5][0] = PIECE.RED;
+    board[2][1] = PIECE.BLACK;
+    board[2][3] = PIECE.BLACK;
+
+    expect(evaluateGiveawayBoard(board, PLAYER.RED)).toBeGreaterThan(0);
+    expect(evaluateBoard(board, PLAYER.RED, VARIANTS.giveaway)).toBeGreaterThan(0);
+    expect(evaluateBoard(board, PLAYER.RED)).toBeLessThan(0);
+  });
+
+  test('AI gives a piece away when it can', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[5][0] = PIECE.RED;
+    board[5][6] = PIECE.RED;
+    board[3][4] = PIECE.BLACK;
+
+    const game = new GameState(board, PLAYER.RED, { variant: VARIANTS.giveaway });
+    const move = getMiniMaxMove(game, 2);
+
+    // Moving next to the BLACK man forces it to capture
+    expect(move.from).toEqual({ row: 5, col: 6 });
+    expect(move.to).toEqual({ row: 4, col: 5 });
+  });
+});
+
 describe('AI Engine - Best Move Selection', () => {
   test('getMiniMaxMove returns valid move object', () => {
     const game = new GameState();
@@ -236,6 +355,112 @@ describe('AI Engine - Best Move Selection', () => {
   });
 });
 
+describe('AI Engine - Iterative Deepening', () => {
+  test('iterativeDeepening stops at the depth cap', () => {
+    const game = new GameState();
+    const result = iterativeDeepening(game, { maxDepth: 4 });
+
+    expect(result.depth).toBe(4);
+    expect(result.score).toBe(getMiniMaxMove(game, 4).score);
+  });
+
+  test('iterativeDeepening returns the last completed depth when time runs out', () => {
+    const game = new GameState();
+    const startTime = Date.now();
+    const result = iterativeDeepening(game, { timeMs: 100 });
+
+    expect(result).not.toBeNull();
+    expect(result.depth).toBeGreaterThanOrEqual(1);
+    expect(result.depth).toBeLessThan(64);
+    expect(Date.now() - startTime).toBeLessThan(500);
+    expect(game.clone().makeMove(result.from, result.to)).toBe(true);
+  });
+
+  test('iterativeDeepening always completes depth 1', () => {
+    const result = iterativeDeepening(new GameState(), { timeMs: 0 });
+
+    expect(result).not.toBeNull();
+    expect(result.depth).toBe(1);
+  });
+
+  test('iterativeDeepening plays a forced move without searching deeper', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[5][2] = PIECE.RED;
+    board[4][3] = PIECE.BLACK;
+    board[0][1] = PIECE.BLACK;
+    const game = new GameState(board, PLAYER.RED);
+
+    const result = iterativeDeepening(game, { maxDepth: 10 });
+
+    expect(result.depth).toBe(1);
+    expect(result.to).toEqual({ row: 3, col: 4 });
+  });
+});
+
+describe('AI Engine - Search Progress', () => {
+  test('onProgress reports each completed depth with the expected line', () => {
+    const progress = [];
+    const result = iterativeDeepening(new GameState(), { maxDepth: 4, onProgress: update => progress.push(update) });
+
+    expect(progress.map(update => update.depth)).toEqual([1, 2, 3, 4]);
+    expect(progress[3].score).toBe(result.score);
+    expect(result.pv[0].from).toEqual(result.from);
+    expect(result.pv[0].to).toEqual(result.to);
+    expect(result.pv.length).toBeGreaterThan(1);
+    expect(result.pv.length).toBeLessThanOrEqual(4);
+  });
+
+  test('The expected line is playable', () => {
+    const game = new GameState();
+    const { pv } = iterativeDeepening(game, { maxDepth: 5 });
+
+    for (const move of pv) {
+      expect(game.makeMove(move.from, move.to)).toBe(true);
+    }
+  });
+});
+
+describe('AI Engine - Transposition Table', () => {
+  test('iterativeDeepening reports node counts and the table hit rate', () => {
+    const result = iterativeDeepening(new GameState(), { maxDepth: 6 });
+
+    expect(result.nodes).toBeGreaterThan(0);
+    expect(result.ttHitRate).toBeGreaterThan(0);
+    expect(result.ttHitRate).toBeLessThanOrEqual(1);
+  });
+
+  test('The table saves nodes without changing the result', () => {
+    const game = new GameState();
+
+    const withTable = iterativeDeepening(game, { maxDepth: 7 });
+    const withoutTable = iterativeDeepening(game, { maxDepth: 7, transpositionTable: false });
+
+    expect(withTable.score).toBe(withoutTable.score);
+    expect(withoutTable.ttHitRate).toBe(0);
+    expect(withTable.nodes).toBeLessThan(withoutTable.nodes);
+  });
+
+  test('A supplied table is used and keeps its statistics', () => {
+    const table = new TranspositionTable(1 << 10);
+
+    iterativeDeepening(new GameState(), { maxDepth: 4, transpositionTable: table });
+
+    expect(table.probes).toBeGreaterThan(0);
+  });
+
+  test('Each search starts from an empty table', () => {
+    const game = new GameState();
+
+    const first = iterativeDeepening(game, { maxDepth: 5 });
+    const score = minimax(game, 3, -Infinity, Infinity, true, PLAYER.RED);
+    const second = iterativeDeepening(game, { maxDepth: 5 });
+
+    expect(second.nodes).toBe(first.nodes);
+    expect(second.ttHitRate).toBe(first.ttHitRate);
+    expect(minimax(game, 3, -Infinity, Infinity, true, PLAYER.RED)).toBe(score);
+  });
+});
+
 describe('AI Engine - getBestMove API', () => {
   test('getBestMove returns move without score', () => {
     const game = new GameState();
@@ -247,6 +472,16 @@ describe('AI Engine - getBestMove API', () => {
     expect(move).not.toHaveProperty('score'); // Score should not be exposed
   });
 
+  test('getBestMove accepts search limits and reports the depth reached', () => {
+    const game = new GameState();
+
+    const move = getBestMove(game, { timeMs: 200, maxDepth: 5 });
+
+    expect(move).not.toBeNull();
+    expect(move.depth).toBeGreaterThanOrEqual(1);
+    expect(move.depth).toBeLessThanOrEqual(5);
+  });
+
   test('getBestMove works with different difficulty levels', () => {
     const game = new GameState();
 
@@ -272,6 +507,21 @@ describe('AI Engine - getBestMove API', () => {
     expect(result).toBe(true);
   });
 
+  test('getBestMove searches with the evaluation it is given', () => {
+    const game = new GameState();
+    const config = getEvaluationConfig('aggressive');
+    const scoreMove = move => evaluateBoard(applyMove(game.getBoard(), move), PLAYER.RED, undefined, config);
+    const best = Math.max(...game.getAllLegalMoves().map(scoreMove));
+
+    const result = iterativeDeepening(game, { maxDepth: 1, evaluation: 'aggressive' });
+    const move = getBestMove(game, { maxDepth: 1, evaluation: 'aggressive' });
+
+    expect(result.score).toBe(best);
+    expect(scoreMove(game.getAllLegalMoves().find(m =>
+      m.from.row === move.from.row && m.from.col === move.from.col && m.to.row === move.to.row && m.to.col === move.to.col
+    ))).toBe(best);
+  });
+
   test('getBestMove returns null when no moves available', () => {
     const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
     const game = new GameState(board, PLAYER.RED);
@@ -282,6 +532,203 @@ describe('AI Engine - getBestMove API', () => {
   });
 });
 
+describe('AI Engine - Opening Book', () => {
+  afterEach(() => {
+    setOpeningBook(null);
+  });
+
+  function createBookWith(notation) {
+    const game = new GameState();
+    const book = createOpeningBook();
+    addBookMove(book, game, findPDNMove(game, notation));
+    return book;
+  }
+
+  test('getBestMove plays the book move without searching', () => {
+    const game = new GameState();
+    setOpeningBook(createBookWith('12-16'));
+
+    const bookMove = findPDNMove(game, '12-16');
+
+    const move = getBestMove(game, 'hard');
+
+    expect(move.fromBook).toBe(true);
+    expect(move.depth).toBe(0);
+    expect(move.from).toEqual(bookMove.from);
+    expect(move.to).toEqual(bookMove.to);
+  });
+
+  test('getBestMove searches when the book is turned off', () => {
+    setOpeningBook(createBookWith('12-16'));
+
+    const move = getBestMove(new GameState(), { maxDepth: 2, useBook: false });
+
+    expect(move.fromBook).toBeUndefined();
+    expect(move.depth).toBeGreaterThanOrEqual(1);
+  });
+
+  test('getBestMove searches once the game leaves the book', () => {
+    const game = new GameState();
+    setOpeningBook(createBookWith('12-16'));
+    const move = findPDNMove(game, '11-15');
+    game.makeMove(move.from, move.to);
+
+    expect(getBestMove(game, 'easy').fromBook).toBeUndefined();
+  });
+});
+
+describe('AI Engine - Analysis', () => {
+  test('analyze returns the best few moves with exact scores', () => {
+    const game = new GameState();
+    const lines = analyze(game, { multiPV: 3, depth: 4 });
+    const exact = getMiniMaxMoves(game, 4);
+
+    expect(lines).toHaveLength(3);
+    expect(lines.map(line => line.score)).toEqual(exact.slice(0, 3).map(move => move.score));
+    for (const line of lines) {
+      expect(line.depth).toBe(4);
+      expect(line.pv[0].from).toEqual(line.from);
+      expect(line.pv[0].to).toEqual(line.to);
+      expect(line.pv.length).toBeGreaterThan(1);
+    }
+  });
+
+  test('analyze lists every move when there are fewer than asked for', () => {
+    const game = GameState.fromFEN('B:W18:B14,K1');
+    const lines = analyze(game, { multiPV: 5, depth: 2 });
+
+    expect(lines).toHaveLength(game.getAllLegalMoves().length);
+  });
+
+  test('analyze reports each completed depth', () => {
+    const progress = [];
+    analyze(new GameState(), { multiPV: 2, depth: 3, onProgress: lines => progress.push(lines) });
+
+    expect(progress.map(lines => lines[0].depth)).toEqual([1, 2, 3]);
+    expect(progress.every(lines => lines.length === 2)).toBe(true);
+  });
+
+  test('analyze keeps to its time budget', () => {
+    const startTime = Date.now();
+    const lines = analyze(new GameState(), { multiPV: 2, timeMs: 200 });
+
+    expect(Date.now() - startTime).toBeLessThan(1000);
+    expect(lines).toHaveLength(2);
+    expect(lines[0].depth).toBeGreaterThanOrEqual(1);
+  });
+
+  test('analyze stops once the result is forced', () => {
+    const lines = analyze(GameState.fromFEN('B:W18:B14'), { depth: 10 });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].depth).toBe(1);
+    expect(lines[0].score).toBeGreaterThan(1000);
+  });
+
+  test('analyze returns no lines when there are no moves', () => {
+    const game = GameState.fromFEN('B:W18:B14');
+    const move = game.getAllLegalMoves()[0];
+    game.makeMove(move.from, move.to);
+
+    expect(analyze(game)).toEqual([]);
+  });
+});
+
+describe('AI Engine - Strength Levels', () => {
+  // RED must capture; only the capture towards the edge avoids a two-for-one shot
+  const SHOT_FEN = 'B:W15,16,25,26,29,31:B2,4,11,17';
+
+  afterEach(() => {
+    setOpeningBook(null);
+  });
+
+  test('getMiniMaxMoves scores every legal move, best first', () => {
+    const game = new GameState();
+    const scored = getMiniMaxMoves(game, 3);
+
+    expect(scored).toHaveLength(game.getAllLegalMoves().length);
+    for (let i = 1; i < scored.length; i++) {
+      expect(scored[i].score).toBeLessThanOrEqual(scored[i - 1].score);
+    }
+    expect(scored[0].score).toBe(getMiniMaxMove(game, 3).score);
+  });
+
+  test('getBestMove plays a legal move at every level', () => {
+    for (const strength of [1, 8, 16]) {
+      const game = new GameState();
+      const move = getBestMove(game, { strength, random: () => 0.5 });
+
+      expect(game.makeMove(move.from, move.to)).toBe(true);
+    }
+  });
+
+  test('The same random numbers give the same move', () => {
+    const first = getBestMove(new GameState(), { strength: 3, random: () => 0.7 });
+    const second = getBestMove(new GameState(), { strength: 3, random: () => 0.7 });
+
+    expect(second).toEqual(first);
+  });
+
+  test('Weak levels overlook a shot beyond their depth', () => {
+    const weak = getBestMove(GameState.fromFEN(SHOT_FEN), { strength: 6, random: () => 0 });
+    const strong = getBestMove(GameState.fromFEN(SHOT_FEN), { strength: MAX_STRENGTH });
+
+    expect(weak.to).toEqual({ row: 3, col: 4 });
+    expect(strong.to).toEqual({ row: 3, col: 0 });
+  });
+
+  test('Only full-strength levels play from the book', () => {
+    const game = new GameState();
+    const book = createOpeningBook();
+    addBookMove(book, game, findPDNMove(game, '12-16'));
+    setOpeningBook(book);
+
+    expect(getBestMove(game, { strength: MAX_STRENGTH }).fromBook).toBe(true);
+    expect(getBestMove(game, { strength: 5, random: () => 0 }).fromBook).toBeUndefined();
+  });
+});
+
+describe('AI Engine - Endgame Database', () => {
+  // Two kings against one: a win in 33 plies with best play
+  const WINNING_FEN = 'B:WK16:BK1,K4';
+
+  beforeAll(() => {
+    setEndgameDatabase(buildEndgameDatabase(3));
+  });
+
+  afterAll(() => {
+    setEndgameDatabase(null);
+  });
+
+  test('Endgames in the database are played out perfectly', () => {
+    const game = GameState.fromFEN(WINNING_FEN);
+    let plies = 0;
+
+    while (!game.isGameOver() && plies < 40) {
+      const move = getBestMove(game, 'easy');
+      game.makeMove(move.from, move.to);
+      plies++;
+    }
+
+    expect(game.getWinner()).toBe(PLAYER.RED);
+    expect(plies).toBe(33);
+  });
+
+  test('Database results are scored as forced wins', () => {
+    const result = iterativeDeepening(GameState.fromFEN(WINNING_FEN), { maxDepth: 3 });
+
+    expect(result.score).toBeGreaterThan(1000);
+  });
+
+  test('Other variants do not use the database', () => {
+    const game = GameState.fromFEN(WINNING_FEN, { variant: VARIANTS.giveaway });
+
+    const result = iterativeDeepening(game, { maxDepth: 3 });
+
+    expect(Math.abs(result.score)).toBeLessThan(1000);
+  });
+});
+
 describe('AI Engine - getHint Function', () => {
   test('getHint returns move with score', () => {
     const game = new GameState();
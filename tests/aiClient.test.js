@@ -0,0 +1,348 @@
+/**
+ * Unit tests for the AI worker client and the worker's message protocol
+ */
+
+import { jest } from '@jest/globals';
+import { GameState } from '../src/gameState.js';
+import {
+  requestBestMove,
+  requestAnalysis,
+  requestReview,
+  stopSearch,
+  isSearching,
+  isWorkerSupported
+} from '../src/aiClient.js';
+
+// Stands in for the browser's Worker, recording what the client sends
+class FakeWorker {
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.messages = [];
+    this.terminated = false;
+    this.answersStop = true;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+    if (message.type === 'stop' && this.answersStop) {
+      this.reply({ type: 'stopped', id: message.id });
+    }
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  // Deliver a message to the client as if it came from the worker
+  reply(data) {
+    this.onmessage({ data });
+  }
+}
+
+// The worker the client is currently using
+function currentWorker() {
+  return FakeWorker.instances[FakeWorker.instances.length - 1];
+}
+
+// The last message the client sent to a worker
+function lastMessage(worker) {
+  return worker.messages[worker.messages.length - 1];
+}
+
+describe('AI Client - Main Thread Fallback', () => {
+  test('Searches on the main thread when workers are unavailable', async () => {
+    expect(isWorkerSupported()).toBe(false);
+
+    const progress = [];
+    const move = await requestBestMove(new GameState(), { maxDepth: 3 }, update => progress.push(update));
+
+    expect(move).toHaveProperty('from');
+    expect(move.depth).toBe(3);
+    expect(progress.map(update => update.depth)).toEqual([1, 2, 3]);
+    expect(isSearching()).toBe(false);
+  });
+
+  test('Analyses on the main thread when workers are unavailable', async () => {
+    const progress = [];
+    const lines = await requestAnalysis(new GameState(), { multiPV: 2, depth: 2 }, update => progress.push(update));
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0].depth).toBe(2);
+    expect(progress).toHaveLength(2);
+  });
+
+  test('Reviews on the main thread when workers are unavailable', async () => {
+    const game = new GameState();
+    game.makeMove({ row: 5, col: 0 }, { row: 4, col: 1 });
+    const progress = [];
+    const review = await requestReview(game, { depth: 2 }, update => progress.push(update));
+
+    expect(review.moves).toHaveLength(1);
+    expect(progress).toEqual([{ ply: 0, plies: 1 }, { ply: 1, plies: 1 }]);
+  });
+});
+
+describe('AI Client - Worker Protocol', () => {
+  beforeEach(() => {
+    globalThis.Worker = FakeWorker;
+  });
+
+  afterEach(() => {
+    stopSearch();
+    delete globalThis.Worker;
+  });
+
+  test('Starts a module worker and sends the game', () => {
+    const game = new GameState();
+    game.makeMove({ row: 5, col: 0 }, { row: 4, col: 1 });
+
+    requestBestMove(game, 'hard');
+
+    const worker = currentWorker();
+    expect(worker.options).toEqual({ type: 'module' });
+    expect(String(worker.url)).toMatch(/aiWorker\.js$/);
+    expect(worker.messages).toEqual([{ type: 'start', id: expect.any(Number), game: game.toJSON(), difficulty: 'hard' }]);
+    expect(isSearching()).toBe(true);
+  });
+
+  test('Passes progress on and resolves with the best move', async () => {
+    const progress = [];
+    const result = requestBestMove(new GameState(), 'easy', update => progress.push(update));
+    const worker = currentWorker();
+    const { id } = lastMessage(worker);
+    const move = { from: { row: 5, col: 0 }, to: { row: 4, col: 1 }, depth: 3 };
+
+    worker.reply({ type: 'progress', id, depth: 1, score: 0, pv: [], nodes: 7 });
+    worker.reply({ type: 'bestmove', id, move });
+
+    expect(await result).toEqual(move);
+    expect(progress).toHaveLength(1);
+    expect(progress[0].depth).toBe(1);
+
+    // A finished search leaves the worker running for the next one
+    requestBestMove(new GameState(), 'easy');
+    expect(currentWorker()).toBe(worker);
+    expect(worker.terminated).toBe(false);
+  });
+
+  test('stopSearch asks the worker to stop and resolves with null', async () => {
+    const result = requestBestMove(new GameState(), 'hard');
+    const worker = currentWorker();
+    const { id } = lastMessage(worker);
+
+    stopSearch();
+
+    expect(await result).toBeNull();
+    expect(lastMessage(worker)).toEqual({ type: 'stop', id });
+    expect(worker.terminated).toBe(false);
+    expect(isSearching()).toBe(false);
+
+    // The worker, with its book and endgame database, runs the next search
+    requestBestMove(new GameState(), 'easy');
+    expect(currentWorker()).toBe(worker);
+    expect(lastMessage(worker).type).toBe('start');
+  });
+
+  test('A new search stops the old one and ignores its messages', async () => {
+    const first = requestBestMove(new GameState(), 'hard');
+    const worker = currentWorker();
+    const oldId = lastMessage(worker).id;
+
+    const second = requestBestMove(new GameState(), 'easy');
+    const newId = lastMessage(worker).id;
+
+    expect(await first).toBeNull();
+    expect(newId).not.toBe(oldId);
+    expect(worker.messages.slice(-3)).toEqual([
+      expect.objectContaining({ type: 'start', id: oldId }),
+      { type: 'stop', id: oldId },
+      expect.objectContaining({ type: 'start', id: newId })
+    ]);
+
+    // A late reply from the stopped search must not finish the new one
+    worker.reply({ type: 'bestmove', id: oldId, move: { from: {}, to: {} } });
+    expect(isSearching()).toBe(true);
+
+    worker.reply({ type: 'bestmove', id: newId, move: null });
+    expect(await second).toBeNull();
+  });
+
+  test('A worker that does not answer a stop is replaced', async () => {
+    jest.useFakeTimers();
+    try {
+      const first = requestBestMove(new GameState(), 'hard');
+      const worker = currentWorker();
+      worker.answersStop = false;
+
+      const second = requestBestMove(new GameState(), 'easy');
+      const { id } = lastMessage(worker);
+      expect(await first).toBeNull();
+
+      jest.advanceTimersByTime(1999);
+      expect(worker.terminated).toBe(false);
+
+      jest.advanceTimersByTime(1);
+      expect(worker.terminated).toBe(true);
+
+      // The waiting search is restarted in the new worker
+      const newWorker = currentWorker();
+      expect(newWorker).not.toBe(worker);
+      expect(lastMessage(newWorker)).toEqual({ type: 'start', id, game: new GameState().toJSON(), difficulty: 'easy' });
+
+      newWorker.reply({ type: 'bestmove', id, move: null });
+      expect(await second).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('AI Client - Analysis', () => {
+  // The worker left from earlier searches may still be in use
+  beforeEach(() => {
+    globalThis.Worker = FakeWorker;
+  });
+
+  afterEach(() => {
+    stopSearch();
+    delete globalThis.Worker;
+  });
+
+  test('Sends the analysis and resolves with its lines', async () => {
+    const progress = [];
+    const game = new GameState();
+    const result = requestAnalysis(game, { multiPV: 2, timeMs: 500 }, update => progress.push(update));
+    const worker = currentWorker();
+    const sent = worker.messages[worker.messages.length - 1];
+    const { id } = sent;
+    const lines = [{ from: { row: 5, col: 0 }, to: { row: 4, col: 1 }, score: 0, depth: 1, pv: [] }];
+
+    expect(sent).toEqual({ type: 'analyze', id, game: game.toJSON(), options: { multiPV: 2, timeMs: 500 } });
+    expect(isSearching('analysis')).toBe(true);
+    expect(isSearching('move')).toBe(false);
+
+    worker.reply({ type: 'lines', id, lines });
+    worker.reply({ type: 'analysis', id, lines });
+
+    expect(await result).toEqual(lines);
+    expect(progress).toEqual([lines]);
+    expect(isSearching()).toBe(false);
+  });
+
+  test('Sends a review and resolves with it', async () => {
+    const progress = [];
+    const game = new GameState();
+    const result = requestReview(game, { depth: 4 }, update => progress.push(update));
+    const worker = currentWorker();
+    const sent = worker.messages[worker.messages.length - 1];
+    const { id } = sent;
+    const review = { moves: [], accuracy: { red: null, black: null } };
+
+    expect(sent).toEqual({ type: 'review', id, game: game.toJSON(), options: { depth: 4 } });
+    expect(isSearching('review')).toBe(true);
+
+    worker.reply({ type: 'reviewprogress', id, ply: 0, plies: 0 });
+    worker.reply({ type: 'reviewed', id, review });
+
+    expect(await result).toEqual(review);
+    expect(progress).toEqual([{ ply: 0, plies: 0 }]);
+    expect(isSearching()).toBe(false);
+  });
+
+  test('A move search stops a running analysis', async () => {
+    const analysis = requestAnalysis(new GameState());
+    requestBestMove(new GameState(), 'easy');
+
+    expect(await analysis).toBeNull();
+    expect(isSearching('move')).toBe(true);
+  });
+});
+
+describe('AI Worker - Message Handling', () => {
+  const originalPostMessage = self.postMessage;
+
+  beforeAll(async () => {
+    await import('../src/aiWorker.js');
+  });
+
+  afterEach(() => {
+    self.postMessage = originalPostMessage;
+  });
+
+  // Send the worker a message, resolving with everything it sends up to a message of the given type
+  function sendToWorker(data, untilType) {
+    return new Promise(resolve => {
+      const sent = [];
+      self.postMessage = message => {
+        sent.push(message);
+        if (message.type === untilType) resolve(sent);
+      };
+      self.onmessage({ data });
+    });
+  }
+
+  test('Replies to a start message with progress and the best move', async () => {
+    const game = new GameState();
+
+    const sent = await sendToWorker({ type: 'start', id: 42, game: game.toJSON(), difficulty: { maxDepth: 2 } }, 'bestmove');
+
+    const progress = sent.filter(message => message.type === 'progress');
+    const bestMove = sent[sent.length - 1];
+    expect(progress.map(message => message.depth)).toEqual([1, 2]);
+    expect(progress.every(message => message.id === 42 && message.pv.length > 0)).toBe(true);
+    expect(bestMove.id).toBe(42);
+    expect(game.clone().makeMove(bestMove.move.from, bestMove.move.to)).toBe(true);
+  });
+
+  test('Replies to an analyze message with lines after each depth', async () => {
+    const sent = await sendToWorker({ type: 'analyze', id: 7, game: new GameState().toJSON(), options: { multiPV: 3, depth: 2 } }, 'analysis');
+
+    const progress = sent.filter(message => message.type === 'lines');
+    const analysis = sent[sent.length - 1];
+    expect(progress).toHaveLength(2);
+    expect(analysis.id).toBe(7);
+    expect(analysis.lines).toHaveLength(3);
+    expect(analysis.lines.every(line => line.depth === 2 && line.pv.length > 0)).toBe(true);
+  });
+
+  test('Replies to a review message with progress and the review', async () => {
+    const game = new GameState();
+    game.makeMove({ row: 5, col: 0 }, { row: 4, col: 1 });
+    game.makeMove({ row: 2, col: 1 }, { row: 3, col: 0 });
+
+    const sent = await sendToWorker({ type: 'review', id: 9, game: game.toJSON(), options: { depth: 2 } }, 'reviewed');
+
+    const progress = sent.filter(message => message.type === 'reviewprogress');
+    const reviewed = sent[sent.length - 1];
+    expect(progress.map(message => message.ply)).toEqual([0, 1, 2]);
+    expect(reviewed.id).toBe(9);
+    expect(reviewed.review.moves).toHaveLength(2);
+  });
+
+  test('A stop message ends the search after the depth it is on', async () => {
+    const sent = [];
+    self.postMessage = message => sent.push(message);
+
+    self.onmessage({ data: { type: 'start', id: 5, game: new GameState().toJSON(), difficulty: { maxDepth: 20 } } });
+    self.onmessage({ data: { type: 'stop', id: 5 } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(sent.map(message => message.type)).toEqual(['progress', 'stopped']);
+    expect(sent[1].id).toBe(5);
+  });
+
+  test('A stop message ends a strength-level search between moves', async () => {
+    const sent = [];
+    self.postMessage = message => sent.push(message);
+
+    self.onmessage({ data: { type: 'start', id: 6, game: new GameState().toJSON(), difficulty: { strength: 12 } } });
+    self.onmessage({ data: { type: 'stop', id: 6 } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(sent).toEqual([{ type: 'stopped', id: 6 }]);
+  });
+});
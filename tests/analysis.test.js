@@ -0,0 +1,141 @@
+/**
+ * Unit tests for the post-game review
+ */
+
+import { GameState } from '../src/gameState.js';
+import { PLAYER } from '../src/rules.js';
+import { applyBallot } from '../src/ballots.js';
+import { toPDN, parsePDN, moveToPDN } from '../src/pdn.js';
+import {
+  MOVE_CLASS,
+  getWinChance,
+  classifyMove,
+  getMoveAccuracy,
+  reviewGame,
+  isBadMove,
+  describeMove,
+  getReviewAnnotations
+} from '../src/analysis.js';
+
+// Ends with 16-19, which drops a man to 20-16 11x20 27-24
+const BLUNDER_GAME = '11-15 22-18 15x22 25x18 12-16 18-14 9x18 23x14 10x17 21x14 8-11 24-20 16-19';
+
+function createGame(moves) {
+  const game = new GameState();
+  applyBallot(game, moves);
+  return game;
+}
+
+describe('Analysis - Scoring', () => {
+  test('Winning chances follow the score', () => {
+    expect(getWinChance(0)).toBe(50);
+    expect(getWinChance(10)).toBeCloseTo(73.1, 1);
+    expect(getWinChance(-10)).toBeCloseTo(100 - getWinChance(10), 10);
+    expect(getWinChance(10000)).toBeCloseTo(100, 5);
+  });
+
+  test('Moves are classified by the chances they give away', () => {
+    expect(classifyMove(0, true)).toBe(MOVE_CLASS.BEST);
+    expect(classifyMove(2)).toBe(MOVE_CLASS.GOOD);
+    expect(classifyMove(5)).toBe(MOVE_CLASS.INACCURACY);
+    expect(classifyMove(12)).toBe(MOVE_CLASS.MISTAKE);
+    expect(classifyMove(45)).toBe(MOVE_CLASS.BLUNDER);
+  });
+
+  test('Move accuracy falls from 100 to 0 as the loss grows', () => {
+    expect(getMoveAccuracy(0)).toBeCloseTo(100, 3);
+    expect(getMoveAccuracy(10)).toBeLessThan(getMoveAccuracy(5));
+    expect(getMoveAccuracy(100)).toBe(0);
+  });
+});
+
+describe('Analysis - Game Review', () => {
+  const game = createGame(BLUNDER_GAME);
+  const progress = [];
+  const review = reviewGame(game, { depth: 4, onProgress: update => progress.push(update) });
+
+  test('Every move is reviewed, in order', () => {
+    const history = game.getMoveHistory();
+
+    expect(review.moves).toHaveLength(history.length);
+    review.moves.forEach((entry, ply) => {
+      expect(entry.ply).toBe(ply);
+      expect(entry.player).toBe(history[ply].player);
+      expect(Object.values(MOVE_CLASS)).toContain(entry.classification);
+    });
+    expect(progress).toHaveLength(history.length + 1);
+    expect(progress[progress.length - 1]).toEqual({ ply: history.length, plies: history.length });
+  });
+
+  test('The engine\'s own choices lose nothing', () => {
+    for (const entry of review.moves.filter(entry => entry.classification === MOVE_CLASS.BEST)) {
+      expect(entry.loss).toBe(0);
+      expect(entry.best.from).toEqual(entry.move.from);
+      expect(entry.best.to).toEqual(entry.move.to);
+    }
+  });
+
+  test('A dropped man is a blunder with a better move and a refutation', () => {
+    const last = review.moves[review.moves.length - 1];
+
+    expect(last.classification).toBe(MOVE_CLASS.BLUNDER);
+    expect(last.loss).toBeGreaterThanOrEqual(20);
+    expect(last.chanceAfter).toBeLessThan(last.chanceBefore);
+    expect(moveToPDN(last.best)).not.toBe('16-19');
+    expect(moveToPDN(last.refutation[0])).toBe('20-16');
+    expect(isBadMove(last)).toBe(true);
+    expect(describeMove(last)).toMatch(/^Blunder \(-\d+%\); better .+; refuted by 20-16/);
+  });
+
+  test('Each player gets an accuracy score', () => {
+    for (const player of [PLAYER.RED, PLAYER.BLACK]) {
+      expect(review.accuracy[player]).toBeGreaterThan(0);
+      expect(review.accuracy[player]).toBeLessThanOrEqual(100);
+    }
+  });
+
+  test('A game without moves has nothing to review', () => {
+    const empty = reviewGame(new GameState(), { depth: 2 });
+
+    expect(empty.moves).toEqual([]);
+    expect(empty.accuracy).toEqual({ [PLAYER.RED]: null, [PLAYER.BLACK]: null });
+  });
+
+  test('Games started by Black are reviewed from their own position', () => {
+    const black = GameState.fromFEN('W:W18,K30:B14,K1');
+    const move = black.getAllLegalMoves()[0];
+    black.makeMove(move.from, move.to);
+
+    const { moves, accuracy } = reviewGame(black, { depth: 2 });
+
+    expect(moves).toHaveLength(1);
+    expect(moves[0].player).toBe(PLAYER.BLACK);
+    expect(accuracy[PLAYER.RED]).toBeNull();
+  });
+});
+
+describe('Analysis - PDN Annotations', () => {
+  const game = createGame(BLUNDER_GAME);
+  const review = reviewGame(game, { depth: 4 });
+
+  test('Bad moves are marked and described', () => {
+    const { comments, annotations } = getReviewAnnotations(review);
+    const last = review.moves.length - 1;
+
+    expect(comments[0]).toMatch(/^Accuracy: Red \d+\.\d%, Black \d+\.\d%$/);
+    expect(annotations[last]).toBe('??');
+    expect(comments[last + 1]).toBe(describeMove(review.moves[last]));
+    for (const entry of review.moves.filter(entry => !isBadMove(entry))) {
+      expect(annotations[entry.ply]).toBeUndefined();
+    }
+  });
+
+  test('The annotated game can be read back', () => {
+    const pdn = toPDN(game, getReviewAnnotations(review));
+    const { gameState, comments } = parsePDN(pdn);
+
+    expect(pdn).toContain('16-19??');
+    expect(gameState.getMoveHistory()).toEqual(game.getMoveHistory());
+    expect(comments[review.moves.length]).toMatch(/^Blunder/);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for three-move ballots
+ */
+
+import { GameState } from '../src/gameState.js';
+import { applyBallot, getBallotDeck, setBallotDeck, drawBallot, DEFAULT_BALLOTS } from '../src/ballots.js';
+
+describe('Ballots - Deck', () => {
+  afterEach(() => {
+    setBallotDeck(null);
+  });
+
+  test('the default deck holds 156 legal ballots', () => {
+    const deck = getBallotDeck();
+
+    expect(deck).toEqual([...DEFAULT_BALLOTS]);
+    expect(deck).toHaveLength(156);
+    expect(deck).toContain('11-15 23-19 8-11');
+
+    const positions = new Set(deck.map(ballot => {
+      const game = new GameState();
+      expect(applyBallot(game, ballot)).toBe(true);
+      expect(game.getMoveHistory()).toHaveLength(3);
+      return game.toFEN();
+    }));
+    expect(positions.size).toBe(deck.length);
+  });
+
+  test('drawBallot draws from the deck', () => {
+    const deck = getBallotDeck();
+
+    expect(drawBallot(() => 0)).toBe(deck[0]);
+    expect(drawBallot(() => 0.9999)).toBe(deck[deck.length - 1]);
+  });
+
+  test('setBallotDeck replaces the deck', () => {
+    expect(setBallotDeck(['11-15 23-19 8-11', '9-14 22-18 5-9'])).toBe(true);
+
+    expect(getBallotDeck()).toEqual(['11-15 23-19 8-11', '9-14 22-18 5-9']);
+    expect(drawBallot(() => 0.75)).toBe('9-14 22-18 5-9');
+  });
+
+  test('setBallotDeck rejects unplayable ballots', () => {
+    expect(setBallotDeck(['11-15 23-19 8-11', '11-18 23-19 8-11'])).toBe(false);
+    expect(setBallotDeck([])).toBe(false);
+    expect(getBallotDeck()).toHaveLength(156);
+  });
+});
+
+describe('Ballots - Playing', () => {
+  test('applyBallot plays the three moves', () => {
+    const game = new GameState();
+
+    expect(applyBallot(game, '11-15 23-19 8-11')).toBe(true);
+
+    expect(game.getMoveHistory()).toHaveLength(3);
+  });
+
+  test('applyBallot leaves the game alone if a move is illegal', () => {
+    const game = new GameState();
+
+    expect(applyBallot(game, '11-15 23-19 8-12')).toBe(false);
+    expect(game.getMoveHistory()).toHaveLength(0);
+  });
+});
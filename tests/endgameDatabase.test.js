@@ -0,0 +1,151 @@
+/**
+ * Unit tests for the endgame database
+ */
+
+import { PLAYER, generateAllMoves, applyMove } from '../src/rules.js';
+import { GameState } from '../src/gameState.js';
+import {
+  ENDGAME_RESULT,
+  getMaterialKey,
+  getTableSize,
+  listMaterials,
+  mirrorMaterial,
+  getPositionIndex,
+  decodePosition,
+  probeEndgameDatabase,
+  endgameDatabaseToBinary,
+  loadEndgameDatabase
+} from '../src/endgameDatabase.js';
+import { buildEndgameDatabase } from '../tools/buildEndgameDatabase.js';
+
+function getBoard(fen) {
+  return GameState.fromFEN(fen).getBoard();
+}
+
+describe('Endgame Database - Indexing', () => {
+  test('listMaterials puts every material after those its captures and promotions lead to', () => {
+    const keys = listMaterials(4).map(getMaterialKey);
+
+    expect(keys).toHaveLength(new Set(keys).size);
+    expect(keys.indexOf('0-2-0-1')).toBeLessThan(keys.indexOf('0-2-0-2'));
+    expect(keys.indexOf('0-2-0-2')).toBeLessThan(keys.indexOf('1-1-0-2'));
+    expect(keys.indexOf('1-1-0-2')).toBeLessThan(keys.indexOf('2-0-0-2'));
+    expect(keys).not.toContain('2-0-0-0');
+  });
+
+  test('decodePosition sets up the position getPositionIndex numbers', () => {
+    const material = { redMen: 1, redKings: 1, blackMen: 1, blackKings: 0 };
+
+    for (const index of [0, 123, 4567, getTableSize(material) - 1]) {
+      const board = decodePosition(material, index);
+      if (!board) continue;
+
+      expect(getPositionIndex(board, PLAYER.RED)).toEqual({ material, key: '1-1-1-0', index });
+    }
+  });
+
+  test('decodePosition returns null for slots with two pieces on a square', () => {
+    const material = { redMen: 0, redKings: 1, blackMen: 0, blackKings: 1 };
+
+    expect(decodePosition(material, 0)).toBe(null);
+    expect(decodePosition(material, 1)).not.toBe(null);
+  });
+
+  test('A BLACK-to-move position shares the slot of its mirror image', () => {
+    const red = getPositionIndex(getBoard('B:W18,K30:BK14'), PLAYER.RED);
+    const black = getPositionIndex(getBoard('W:WK19:B15,K3'), PLAYER.BLACK);
+
+    expect(black).toEqual(red);
+    expect(red.material).toEqual(mirrorMaterial(mirrorMaterial(red.material)));
+  });
+});
+
+describe('Endgame Database - Results', () => {
+  let database;
+
+  beforeAll(() => {
+    database = buildEndgameDatabase(3);
+  });
+
+  test('Capturing the last piece wins in one ply', () => {
+    expect(probeEndgameDatabase(database, getBoard('B:W18:BK14'), PLAYER.RED))
+      .toEqual({ result: ENDGAME_RESULT.WIN, distance: 1 });
+  });
+
+  test('Having no move loses at once', () => {
+    // RED's man on 5 is blocked by BLACK's kings on 9 and 14
+    expect(probeEndgameDatabase(database, getBoard('B:WK9,K14:B5'), PLAYER.RED))
+      .toEqual({ result: ENDGAME_RESULT.LOSS, distance: 0 });
+  });
+
+  test('A king in its double corner holds off another king', () => {
+    expect(probeEndgameDatabase(database, getBoard('B:WK1:BK32'), PLAYER.RED).result).toBe(ENDGAME_RESULT.DRAW);
+  });
+
+  test('Two kings beat one, from either side of the board', () => {
+    const asRed = probeEndgameDatabase(database, getBoard('B:WK16:BK1,K4'), PLAYER.RED);
+    const asBlack = probeEndgameDatabase(database, getBoard('W:WK29,K32:BK17'), PLAYER.BLACK);
+
+    expect(asRed).toEqual({ result: ENDGAME_RESULT.WIN, distance: 33 });
+    expect(asBlack).toEqual(asRed);
+  });
+
+  test('Positions with more pieces than the database holds are not covered', () => {
+    expect(probeEndgameDatabase(database, new GameState().getBoard(), PLAYER.RED)).toBe(null);
+  });
+
+  test('Every result agrees with the results of its moves', () => {
+    const twoPieces = buildEndgameDatabase(2);
+
+    for (const material of listMaterials(2)) {
+      for (let index = 0; index < getTableSize(material); index++) {
+        const board = decodePosition(material, index);
+        if (!board) continue;
+
+        const outcomes = generateAllMoves(board, PLAYER.RED).map(move => {
+          const child = applyMove(board, move);
+          return getPositionIndex(child, PLAYER.BLACK)
+            ? probeEndgameDatabase(twoPieces, child, PLAYER.BLACK)
+            : { result: ENDGAME_RESULT.LOSS, distance: 0 };
+        });
+        const wins = outcomes.filter(o => o.result === ENDGAME_RESULT.LOSS).map(o => o.distance + 1);
+        const losses = outcomes.filter(o => o.result === ENDGAME_RESULT.WIN).map(o => o.distance + 1);
+
+        let expected = { result: ENDGAME_RESULT.DRAW, distance: null };
+        if (outcomes.length === 0) {
+          expected = { result: ENDGAME_RESULT.LOSS, distance: 0 };
+        } else if (wins.length > 0) {
+          expected = { result: ENDGAME_RESULT.WIN, distance: Math.min(...wins) };
+        } else if (losses.length === outcomes.length) {
+          expected = { result: ENDGAME_RESULT.LOSS, distance: Math.max(...losses) };
+        }
+
+        expect(probeEndgameDatabase(twoPieces, board, PLAYER.RED)).toEqual(expected);
+      }
+    }
+  });
+});
+
+describe('Endgame Database - Binary Format', () => {
+  test('Databases survive a round trip through their binary form', () => {
+    const database = buildEndgameDatabase(2);
+
+    const loaded = loadEndgameDatabase(endgameDatabaseToBinary(database).buffer);
+
+    expect(loaded.maxPieces).toBe(2);
+    expect(Object.keys(loaded.tables)).toEqual(Object.keys(database.tables));
+    for (const key of Object.keys(database.tables)) {
+      expect(Array.from(loaded.tables[key])).toEqual(Array.from(database.tables[key]));
+    }
+  });
+
+  test('loadEndgameDatabase rejects other files', () => {
+    expect(loadEndgameDatabase(Uint8Array.from('not a database', c => c.charCodeAt(0)))).toBe(null);
+  });
+
+  test('loadEndgameDatabase rejects truncated files', () => {
+    const bytes = endgameDatabaseToBinary(buildEndgameDatabase(2));
+
+    expect(loadEndgameDatabase(bytes.slice(0, bytes.length - 1))).toBe(null);
+  });
+});
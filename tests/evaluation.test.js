@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the evaluation function
+ */
+
+import { PIECE, PLAYER } from '../src/rules.js';
+import { initializeBoard } from '../src/gameState.js';
+import {
+  DEFAULT_EVALUATION,
+  EVALUATION_PROFILES,
+  getEvaluationConfig,
+  evaluateBoard
+} from '../src/evaluation.js';
+
+function createEmptyBoard() {
+  return Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+}
+
+// Only the named weight counts
+function only(name, weight = 1) {
+  const config = Object.fromEntries(Object.keys(DEFAULT_EVALUATION).map(key => [key, 0]));
+  return { ...config, [name]: weight };
+}
+
+describe('Evaluation - Configs', () => {
+  test('getEvaluationConfig returns a named profile', () => {
+    expect(getEvaluationConfig('aggressive')).toEqual(EVALUATION_PROFILES.aggressive);
+    expect(getEvaluationConfig('Defensive')).toEqual(EVALUATION_PROFILES.defensive);
+  });
+
+  test('getEvaluationConfig falls back to the defaults', () => {
+    expect(getEvaluationConfig('unknown')).toEqual(DEFAULT_EVALUATION);
+    expect(getEvaluationConfig(undefined)).toEqual(DEFAULT_EVALUATION);
+  });
+
+  test('getEvaluationConfig fills in missing weights', () => {
+    const config = getEvaluationConfig({ kingValue: 40 });
+
+    expect(config.kingValue).toBe(40);
+    expect(config.pieceValue).toBe(DEFAULT_EVALUATION.pieceValue);
+  });
+
+  test('Every profile sets every weight', () => {
+    for (const profile of ['aggressive', 'defensive', 'positional']) {
+      expect(Object.keys(EVALUATION_PROFILES[profile]).sort()).toEqual(Object.keys(DEFAULT_EVALUATION).sort());
+      expect(EVALUATION_PROFILES[profile]).not.toEqual(DEFAULT_EVALUATION);
+    }
+  });
+
+  test('Weights change the score', () => {
+    const board = createEmptyBoard();
+    board[5][0] = PIECE.RED;
+    board[5][2] = PIECE.RED;
+    board[2][1] = PIECE.BLACK;
+
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('pieceValue', 10))).toBe(10);
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('pieceValue', 25))).toBe(25);
+  });
+
+  test('The starting position is level under every profile', () => {
+    for (const profile of Object.keys(EVALUATION_PROFILES)) {
+      expect(evaluateBoard(initializeBoard(), PLAYER.RED, undefined, getEvaluationConfig(profile))).toBeCloseTo(0);
+    }
+  });
+});
+
+describe('Evaluation - Terms', () => {
+  test('Mobility counts the squares each piece can step to', () => {
+    const board = createEmptyBoard();
+    board[5][0] = PIECE.RED; // One step
+    board[2][3] = PIECE.BLACK; // Two steps
+
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('mobility'))).toBe(-1);
+  });
+
+  test('A man with a clear road to the crowning row is a runaway', () => {
+    const board = createEmptyBoard();
+    board[3][4] = PIECE.RED;
+    board[7][0] = PIECE.BLACK_KING; // Behind the man
+
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('runawayMan'))).toBe(1);
+
+    // Within reach of the man's path
+    board[7][0] = PIECE.EMPTY;
+    board[1][6] = PIECE.BLACK_KING;
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('runawayMan'))).toBe(0);
+  });
+
+  test('A king that can neither move nor capture is trapped', () => {
+    const board = createEmptyBoard();
+    board[0][1] = PIECE.RED_KING;
+    board[1][0] = PIECE.BLACK;
+    board[1][2] = PIECE.BLACK;
+    board[2][3] = PIECE.BLACK; // Blocks the capture of 1,2
+
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('trappedKing'))).toBe(-1);
+
+    board[2][3] = PIECE.EMPTY;
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('trappedKing'))).toBe(0);
+  });
+
+  test('Tempo counts against advancing early and for it late', () => {
+    const board = initializeBoard();
+    board[5][0] = PIECE.EMPTY;
+    board[4][1] = PIECE.RED;
+
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('tempo'))).toBeLessThan(0);
+
+    const ending = createEmptyBoard();
+    ending[4][1] = PIECE.RED;
+    ending[1][0] = PIECE.BLACK;
+    expect(evaluateBoard(ending, PLAYER.RED, undefined, only('tempo'))).toBeGreaterThan(0);
+  });
+
+  test('Men on squares 1 and 3 form a bridge', () => {
+    const board = createEmptyBoard();
+    board[7][2] = PIECE.RED;
+    board[7][6] = PIECE.RED;
+    board[0][1] = PIECE.BLACK;
+
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('bridge'))).toBe(1);
+    expect(evaluateBoard(board, PLAYER.BLACK, undefined, only('bridge'))).toBe(-1);
+  });
+
+  test('A man held in the dog-hole is penalised', () => {
+    const board = createEmptyBoard();
+    board[1][0] = PIECE.RED; // Square 28
+    board[0][1] = PIECE.BLACK; // Square 32
+
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('dogHole'))).toBe(-1);
+
+    // BLACK's dog-hole is square 5, held by RED's man on 1
+    const mirrored = createEmptyBoard();
+    mirrored[6][7] = PIECE.BLACK;
+    mirrored[7][6] = PIECE.RED;
+    expect(evaluateBoard(mirrored, PLAYER.RED, undefined, only('dogHole'))).toBe(1);
+  });
+
+  test('Kings are centralised once only kings remain', () => {
+    const board = createEmptyBoard();
+    board[3][4] = PIECE.RED_KING;
+    board[0][7] = PIECE.BLACK_KING;
+
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('kingCentralisation'))).toBe(3);
+
+    board[6][1] = PIECE.BLACK;
+    expect(evaluateBoard(board, PLAYER.RED, undefined, only('kingCentralisation'))).toBe(0);
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 import { PIECE, PLAYER } from '../src/rules.js';
-import { GameState, initializeBoard, createNewGame } from '../src/gameState.js';
+import { GameState, initializeBoard, createNewGame, DRAW_REASON } from '../src/gameState.js';
 
 describe('GameState - Board Initialization', () => {
   test('initializeBoard creates 8x8 board', () => {
@@ -224,6 +224,23 @@ describe('GameState - Move Execution', () => {
     expect(captured[PLAYER.BLACK]).toBe(1);
   });
 
+  test('makeMove records promotions in history', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[1][2] = PIECE.RED;
+    board[1][4] = PIECE.RED_KING;
+    board[5][6] = PIECE.BLACK;
+
+    const game = new GameState(board, PLAYER.RED);
+    game.makeMove({ row: 1, col: 2 }, { row: 0, col: 1 });
+    game.makeMove({ row: 5, col: 6 }, { row: 6, col: 7 });
+    game.makeMove({ row: 1, col: 4 }, { row: 0, col: 5 });
+
+    const history = game.getMoveHistory();
+    expect(history[0].promoted).toBe(true);
+    expect(history[1].promoted).toBe(false);
+    expect(history[2].promoted).toBe(false); // Already a king
+  });
+
   test('makeMove handles multi-jump correctly', () => {
     // Set up board for double jump
     const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
@@ -246,6 +263,61 @@ describe('GameState - Move Execution', () => {
   });
 });
 
+describe('GameState - Capture Routes', () => {
+  // Two double jumps from 6,3 end on 2,3: one by way of 4,1, the other by way of 4,5
+  function createTwoRouteGame() {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[6][3] = PIECE.RED;
+    board[5][2] = PIECE.BLACK;
+    board[3][2] = PIECE.BLACK;
+    board[5][4] = PIECE.BLACK;
+    board[3][4] = PIECE.BLACK;
+    board[0][7] = PIECE.BLACK;
+    return new GameState(board, PLAYER.RED);
+  }
+  const from = { row: 6, col: 3 };
+  const to = { row: 2, col: 3 };
+  const rightRoute = [from, { row: 4, col: 5 }, to];
+
+  test('makeMove rejects a destination that more than one route reaches', () => {
+    const game = createTwoRouteGame();
+
+    expect(game.makeMove(from, to)).toBe(false);
+    expect(game.getMoveHistory()).toHaveLength(0);
+  });
+
+  test('makeMove plays the route given by a path', () => {
+    const game = createTwoRouteGame();
+
+    expect(game.makeMove(rightRoute)).toBe(true);
+    expect(game.getBoard()[5][4]).toBe(PIECE.EMPTY);
+    expect(game.getBoard()[3][4]).toBe(PIECE.EMPTY);
+    expect(game.getBoard()[5][2]).toBe(PIECE.BLACK);
+    expect(game.getMoveHistory()[0].path).toEqual(rightRoute);
+  });
+
+  test('makeMove accepts a move object', () => {
+    const game = createTwoRouteGame();
+    const move = game.getAllLegalMoves().find(m => m.path[1].col === 1);
+
+    expect(game.makeMove(move)).toBe(true);
+    expect(game.getMoveHistory()[0].captured).toEqual(move.captured);
+  });
+
+  test('The route survives undo, redo and serialisation', () => {
+    const game = createTwoRouteGame();
+    game.makeMove(rightRoute);
+
+    const copy = GameState.fromJSON(JSON.parse(JSON.stringify(game)));
+    expect(copy.getBoard()).toEqual(game.getBoard());
+
+    game.undo();
+    game.redo();
+    expect(game.getBoard()).toEqual(copy.getBoard());
+    expect(game.getMoveHistory()[0].path).toEqual(rightRoute);
+  });
+});
+
 describe('GameState - Game Over Detection', () => {
   test('Game detects when player has no legal moves', () => {
     // Create board where BLACK has no pieces left (captured all)
@@ -289,6 +361,87 @@ describe('GameState - Game Over Detection', () => {
   });
 });
 
+describe('GameState - Draw Detection', () => {
+  // Two lone kings in opposite corners
+  function createKingsBoard() {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[7][0] = PIECE.RED_KING;
+    board[0][7] = PIECE.BLACK_KING;
+    return board;
+  }
+
+  function shuffleKings(game) {
+    game.makeMove({ row: 7, col: 0 }, { row: 6, col: 1 });
+    game.makeMove({ row: 0, col: 7 }, { row: 1, col: 6 });
+    game.makeMove({ row: 6, col: 1 }, { row: 7, col: 0 });
+    game.makeMove({ row: 1, col: 6 }, { row: 0, col: 7 });
+  }
+
+  test('Game is drawn on threefold repetition', () => {
+    const game = new GameState(createKingsBoard(), PLAYER.RED);
+
+    shuffleKings(game);
+    expect(game.getRepetitionCount()).toBe(2);
+    expect(game.isGameOver()).toBe(false);
+
+    shuffleKings(game);
+
+    expect(game.isGameOver()).toBe(true);
+    expect(game.isDraw()).toBe(true);
+    expect(game.getWinner()).toBe(null);
+    expect(game.getDrawReason()).toBe(DRAW_REASON.THREEFOLD_REPETITION);
+  });
+
+  test('Game is drawn after the king move limit is reached', () => {
+    const game = new GameState(createKingsBoard(), PLAYER.RED, { drawMoveLimit: 2 });
+
+    game.makeMove({ row: 7, col: 0 }, { row: 6, col: 1 });
+    game.makeMove({ row: 0, col: 7 }, { row: 1, col: 6 });
+    game.makeMove({ row: 6, col: 1 }, { row: 5, col: 2 });
+    expect(game.isGameOver()).toBe(false);
+
+    game.makeMove({ row: 1, col: 6 }, { row: 2, col: 5 });
+
+    expect(game.isDraw()).toBe(true);
+    expect(game.getDrawReason()).toBe(DRAW_REASON.MOVE_LIMIT);
+    expect(game.getGameSummary().drawReason).toBe(DRAW_REASON.MOVE_LIMIT);
+  });
+
+  test('Man moves reset the king move counter', () => {
+    const board = createKingsBoard();
+    board[6][7] = PIECE.RED;
+    const game = new GameState(board, PLAYER.RED, { drawMoveLimit: 2 });
+
+    game.makeMove({ row: 7, col: 0 }, { row: 6, col: 1 });
+    game.makeMove({ row: 0, col: 7 }, { row: 1, col: 6 });
+    game.makeMove({ row: 6, col: 7 }, { row: 5, col: 6 }); // Man move
+    game.makeMove({ row: 1, col: 6 }, { row: 2, col: 5 });
+
+    expect(game.isGameOver()).toBe(false);
+    expect(game.kingMovesWithoutCapture).toBe(1);
+  });
+
+  test('Standard game defaults to a 40-move limit per side', () => {
+    const game = new GameState();
+
+    expect(game.drawMoveLimit).toBe(40);
+    expect(game.getDrawReason()).toBe(null);
+  });
+
+  test('clone and reset carry draw tracking state', () => {
+    const game = new GameState(createKingsBoard(), PLAYER.RED);
+    shuffleKings(game);
+
+    const clone = game.clone();
+    expect(clone.getRepetitionCount()).toBe(2);
+
+    game.reset();
+    expect(game.getRepetitionCount()).toBe(1);
+    expect(game.kingMovesWithoutCapture).toBe(0);
+    expect(game.getDrawReason()).toBe(null);
+  });
+});
+
 describe('GameState - Legal Moves', () => {
   test('getLegalMoves returns moves for specific piece', () => {
     const game = new GameState();
@@ -364,6 +517,169 @@ describe('GameState - Reset and Clone', () => {
   });
 });
 
+describe('GameState - Undo and Redo', () => {
+  test('canUndo is false for a new game', () => {
+    const game = new GameState();
+
+    expect(game.canUndo()).toBe(false);
+    expect(game.canRedo()).toBe(false);
+    expect(game.undo()).toBe(false);
+    expect(game.redo()).toBe(false);
+  });
+
+  test('undo restores board, player and history', () => {
+    const game = new GameState();
+    const initialBoard = game.getBoard();
+
+    game.makeMove({ row: 5, col: 0 }, { row: 4, col: 1 });
+
+    expect(game.canUndo()).toBe(true);
+    expect(game.undo()).toBe(true);
+
+    expect(game.getBoard()).toEqual(initialBoard);
+    expect(game.getCurrentPlayer()).toBe(PLAYER.RED);
+    expect(game.getMoveHistory()).toHaveLength(0);
+    expect(game.getRepetitionCount()).toBe(1);
+    expect(game.canRedo()).toBe(true);
+  });
+
+  test('getPastPositions lists the position before each move', () => {
+    const game = new GameState();
+    const initialBoard = game.getBoard();
+
+    game.makeMove({ row: 5, col: 0 }, { row: 4, col: 1 });
+    game.makeMove({ row: 2, col: 1 }, { row: 3, col: 0 });
+
+    const positions = game.getPastPositions();
+    expect(positions).toHaveLength(2);
+    expect(positions[0]).toEqual({ board: initialBoard, currentPlayer: PLAYER.RED });
+    expect(positions[1].currentPlayer).toBe(PLAYER.BLACK);
+
+    game.undo();
+    expect(game.getPastPositions()).toHaveLength(1);
+  });
+
+  test('toJSON and fromJSON round-trip a game by replaying its moves', () => {
+    const game = new GameState();
+    game.makeMove({ row: 5, col: 0 }, { row: 4, col: 1 });
+    game.makeMove({ row: 2, col: 1 }, { row: 3, col: 0 });
+
+    const data = JSON.parse(JSON.stringify(game));
+    const copy = GameState.fromJSON(data);
+
+    expect(data.moves).toHaveLength(2);
+    expect(copy.getBoard()).toEqual(game.getBoard());
+    expect(copy.getCurrentPlayer()).toBe(game.getCurrentPlayer());
+    expect(copy.getPastPositions()).toEqual(game.getPastPositions());
+  });
+
+  test('fromJSON rejects games with illegal moves', () => {
+    const data = new GameState().toJSON();
+    data.moves.push({ from: { row: 5, col: 0 }, to: { row: 3, col: 0 } });
+
+    expect(GameState.fromJSON(data)).toBeNull();
+  });
+
+  test('undo restores captured pieces, status and winner after a winning capture', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[5][4] = PIECE.RED;
+    board[4][3] = PIECE.BLACK;
+
+    const game = new GameState(board, PLAYER.RED);
+    game.makeMove({ row: 5, col: 4 }, { row: 3, col: 2 });
+    expect(game.getWinner()).toBe(PLAYER.RED);
+
+    game.undo();
+
+    expect(game.getBoard()).toEqual(board);
+    expect(game.getGameStatus()).toBe('active');
+    expect(game.getWinner()).toBe(null);
+    expect(game.getCapturedPieces()[PLAYER.BLACK]).toBe(0);
+  });
+
+  test('redo replays undone moves in order', () => {
+    const game = new GameState();
+    game.makeMove({ row: 5, col: 0 }, { row: 4, col: 1 });
+    game.makeMove({ row: 2, col: 1 }, { row: 3, col: 0 });
+    const boardAfterMoves = game.getBoard();
+
+    game.undo();
+    game.undo();
+    expect(game.redo()).toBe(true);
+    expect(game.getCurrentPlayer()).toBe(PLAYER.BLACK);
+    expect(game.canRedo()).toBe(true);
+    expect(game.redo()).toBe(true);
+
+    expect(game.getBoard()).toEqual(boardAfterMoves);
+    expect(game.getMoveHistory()).toHaveLength(2);
+    expect(game.canRedo()).toBe(false);
+  });
+
+  test('making a new move clears the redo stack', () => {
+    const game = new GameState();
+    game.makeMove({ row: 5, col: 0 }, { row: 4, col: 1 });
+    game.undo();
+
+    game.makeMove({ row: 5, col: 2 }, { row: 4, col: 3 });
+
+    expect(game.canRedo()).toBe(false);
+  });
+
+  test('undo restores a drawn game to active play', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[7][0] = PIECE.RED_KING;
+    board[0][7] = PIECE.BLACK_KING;
+
+    const game = new GameState(board, PLAYER.RED, { drawMoveLimit: 1 });
+    game.makeMove({ row: 7, col: 0 }, { row: 6, col: 1 });
+    game.makeMove({ row: 0, col: 7 }, { row: 1, col: 6 });
+    expect(game.isDraw()).toBe(true);
+
+    game.undo();
+
+    expect(game.isGameOver()).toBe(false);
+    expect(game.getDrawReason()).toBe(null);
+    expect(game.kingMovesWithoutCapture).toBe(1);
+  });
+});
+
+describe('GameState - FEN Positions', () => {
+  test('toFEN describes the starting position', () => {
+    const game = new GameState();
+
+    expect(game.toFEN()).toBe('B:W21,22,23,24,25,26,27,28,29,30,31,32:B1,2,3,4,5,6,7,8,9,10,11,12');
+  });
+
+  test('fromFEN sets up pieces, kings and side to move', () => {
+    const game = GameState.fromFEN('W:W21,22,K30:B1,2,K5');
+
+    expect(game.getCurrentPlayer()).toBe(PLAYER.BLACK);
+    expect(game.getBoard()[7][6]).toBe(PIECE.RED); // Square 1
+    expect(game.getBoard()[6][7]).toBe(PIECE.RED_KING); // Square 5
+    expect(game.getBoard()[0][5]).toBe(PIECE.BLACK_KING); // Square 30
+    expect(game.toFEN()).toBe('W:W21,22,K30:B1,2,K5');
+  });
+
+  test('fromFEN games are playable', () => {
+    // RED man on 9 must capture BLACK's man on 14
+    const game = GameState.fromFEN('B:W14,30:B9');
+
+    expect(game.getAllLegalMoves()).toHaveLength(1);
+    expect(game.makeMove({ row: 5, col: 6 }, { row: 3, col: 4 })).toBe(true);
+    expect(game.getCapturedPieces()[PLAYER.BLACK]).toBe(1);
+  });
+
+  test('fromFEN passes options through', () => {
+    const game = GameState.fromFEN('B:WK30:BK1', { drawMoveLimit: 10 });
+
+    expect(game.drawMoveLimit).toBe(10);
+  });
+
+  test('fromFEN returns null for malformed strings', () => {
+    expect(GameState.fromFEN('nonsense')).toBe(null);
+  });
+});
+
 describe('GameState - Game Summary', () => {
   test('getGameSummary returns complete game info', () => {
     const game = new GameState();
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for Notation module
+ */
+
+import { PIECE, PLAYER } from '../src/rules.js';
+import { initializeBoard } from '../src/gameState.js';
+import {
+  positionToSquare,
+  squareToPosition,
+  parseFEN,
+  toFEN,
+  getPDNColor
+} from '../src/notation.js';
+
+describe('Notation - Square Numbering', () => {
+  test('squares 1-12 are RED starting squares', () => {
+    const board = initializeBoard();
+
+    for (let square = 1; square <= 12; square++) {
+      const { row, col } = squareToPosition(square);
+      expect(board[row][col]).toBe(PIECE.RED);
+    }
+  });
+
+  test('squares 21-32 are BLACK starting squares', () => {
+    const board = initializeBoard();
+
+    for (let square = 21; square <= 32; square++) {
+      const { row, col } = squareToPosition(square);
+      expect(board[row][col]).toBe(PIECE.BLACK);
+    }
+  });
+
+  test('square numbers and positions convert both ways', () => {
+    for (let square = 1; square <= 32; square++) {
+      expect(positionToSquare(squareToPosition(square))).toBe(square);
+    }
+  });
+
+  test('the standard opening 11-15 is a legal first step', () => {
+    expect(squareToPosition(11)).toEqual({ row: 5, col: 2 });
+    expect(squareToPosition(15)).toEqual({ row: 4, col: 3 });
+  });
+
+  test('light squares and invalid numbers have no mapping', () => {
+    expect(positionToSquare({ row: 0, col: 0 })).toBe(null);
+    expect(positionToSquare({ row: 8, col: 1 })).toBe(null);
+    expect(squareToPosition(0)).toBe(null);
+    expect(squareToPosition(33)).toBe(null);
+  });
+});
+
+describe('Notation - FEN', () => {
+  test('getPDNColor maps RED to PDN Black', () => {
+    expect(getPDNColor(PLAYER.RED)).toBe('B');
+    expect(getPDNColor(PLAYER.BLACK)).toBe('W');
+  });
+
+  test('toFEN describes the starting position', () => {
+    expect(toFEN(initializeBoard(), PLAYER.RED))
+      .toBe('B:W21,22,23,24,25,26,27,28,29,30,31,32:B1,2,3,4,5,6,7,8,9,10,11,12');
+  });
+
+  test('parseFEN reads men, kings and side to move', () => {
+    const position = parseFEN('W:W21,22,K30:B1,2,K5');
+
+    expect(position.currentPlayer).toBe(PLAYER.BLACK);
+
+    const at = square => {
+      const { row, col } = squareToPosition(square);
+      return position.board[row][col];
+    };
+    expect(at(21)).toBe(PIECE.BLACK);
+    expect(at(30)).toBe(PIECE.BLACK_KING);
+    expect(at(1)).toBe(PIECE.RED);
+    expect(at(5)).toBe(PIECE.RED_KING);
+    expect(position.board.flat().filter(p => p !== PIECE.EMPTY)).toHaveLength(6);
+  });
+
+  test('parseFEN accepts square ranges', () => {
+    const position = parseFEN('B:W21-32:B1-12');
+
+    expect(position.board).toEqual(initializeBoard());
+    expect(position.currentPlayer).toBe(PLAYER.RED);
+  });
+
+  test('toFEN and parseFEN round-trip', () => {
+    const fen = 'W:W18,24,K27:B9,K12,K16';
+
+    const position = parseFEN(fen);
+
+    expect(toFEN(position.board, position.currentPlayer)).toBe(fen);
+  });
+
+  test('parseFEN rejects malformed strings', () => {
+    expect(parseFEN('X:W1:B2')).toBe(null);
+    expect(parseFEN('B:W33:B1')).toBe(null);
+    expect(parseFEN('B:Q1:B2')).toBe(null);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for the opening book
+ */
+
+import { PLAYER } from '../src/rules.js';
+import { GameState } from '../src/gameState.js';
+import { VARIANTS } from '../src/variants.js';
+import { parsePDN, findPDNMove } from '../src/pdn.js';
+import {
+  BOOK_VERSION,
+  getBookKey,
+  createOpeningBook,
+  loadOpeningBook,
+  openingBookToJSON,
+  addBookMove,
+  addGameToBook,
+  pruneOpeningBook,
+  getBookMoves,
+  getBookMove
+} from '../src/openingBook.js';
+import { buildOpeningBook } from '../tools/buildOpeningBook.js';
+
+function playMoves(game, notations) {
+  for (const notation of notations) {
+    const move = findPDNMove(game, notation);
+    game.makeMove(move.from, move.to);
+  }
+  return game;
+}
+
+describe('Opening Book - Building', () => {
+  test('addBookMove adds weight to repeated moves', () => {
+    const game = new GameState();
+    const book = createOpeningBook();
+
+    addBookMove(book, game, findPDNMove(game, '11-15'));
+    addBookMove(book, game, findPDNMove(game, '11-15'), 2);
+    addBookMove(book, game, findPDNMove(game, '9-14'));
+
+    expect(book.positions[getBookKey(game)]).toEqual([
+      { move: '11-15', weight: 3 },
+      { move: '9-14', weight: 1 }
+    ]);
+  });
+
+  test('addGameToBook adds each position of the opening', () => {
+    const game = playMoves(new GameState(), ['11-15', '23-19', '8-11', '22-17']);
+    const book = createOpeningBook();
+
+    expect(addGameToBook(book, game, { maxPlies: 3 })).toBe(3);
+    expect(Object.keys(book.positions)).toHaveLength(3);
+
+    const afterTwo = playMoves(new GameState(), ['11-15', '23-19']);
+    expect(book.positions[getBookKey(afterTwo)]).toEqual([{ move: '8-11', weight: 1 }]);
+  });
+
+  test('addGameToBook ignores other variants', () => {
+    const game = new GameState(null, PLAYER.RED, { variant: VARIANTS.giveaway });
+
+    expect(addGameToBook(createOpeningBook(), game)).toBe(0);
+  });
+
+  test('pruneOpeningBook drops rare moves and empty positions', () => {
+    const game = new GameState();
+    const book = createOpeningBook();
+    addBookMove(book, game, findPDNMove(game, '11-15'), 3);
+    addBookMove(book, game, findPDNMove(game, '9-14'));
+    const next = playMoves(game.clone(), ['11-15']);
+    addBookMove(book, next, findPDNMove(next, '23-19'));
+
+    pruneOpeningBook(book, 2);
+
+    expect(Object.keys(book.positions)).toEqual([getBookKey(game)]);
+    expect(book.positions[getBookKey(game)]).toEqual([{ move: '11-15', weight: 3 }]);
+  });
+
+  test('buildOpeningBook reads PDN collections', () => {
+    const pdn = [
+      '[Event "One"]',
+      '1. 11-15 23-19 *',
+      '[Event "Two"]',
+      '1. 11-15 22-18 *',
+      '[Event "Bad"]',
+      '1. 11-18 *'
+    ].join('\n');
+
+    const { book, games, skipped } = buildOpeningBook([pdn]);
+
+    expect(games).toBe(2);
+    expect(skipped).toBe(1);
+    expect(book.positions[getBookKey(new GameState())]).toEqual([{ move: '11-15', weight: 2 }]);
+  });
+});
+
+describe('Opening Book - JSON', () => {
+  test('books survive a JSON round trip', () => {
+    const { gameState } = parsePDN('1. 11-15 23-19 8-11 *');
+    const book = createOpeningBook();
+    addGameToBook(book, gameState);
+
+    const loaded = loadOpeningBook(JSON.stringify(openingBookToJSON(book)));
+
+    expect(loaded.positions).toEqual(book.positions);
+  });
+
+  test('openingBookToJSON lists the most played moves first', () => {
+    const game = new GameState();
+    const book = createOpeningBook();
+    addBookMove(book, game, findPDNMove(game, '9-14'));
+    addBookMove(book, game, findPDNMove(game, '11-15'), 5);
+
+    const json = openingBookToJSON(book);
+
+    expect(json.version).toBe(BOOK_VERSION);
+    expect(json.positions[getBookKey(game)][0].move).toBe('11-15');
+  });
+
+  test('loadOpeningBook rejects data that is not a book', () => {
+    expect(loadOpeningBook('not json')).toBe(null);
+    expect(loadOpeningBook({ version: 99, positions: {} })).toBe(null);
+  });
+
+  test('loadOpeningBook drops malformed entries', () => {
+    const book = loadOpeningBook({
+      version: BOOK_VERSION,
+      positions: { abc: [{ move: '11-15', weight: 2 }, { move: 4, weight: 1 }, { move: '9-14', weight: 0 }] }
+    });
+
+    expect(book.positions.abc).toEqual([{ move: '11-15', weight: 2 }]);
+  });
+});
+
+describe('Opening Book - Lookup', () => {
+  test('getBookMove picks moves in proportion to their weight', () => {
+    const game = new GameState();
+    const book = createOpeningBook();
+    addBookMove(book, game, findPDNMove(game, '11-15'), 3);
+    addBookMove(book, game, findPDNMove(game, '9-14'), 1);
+
+    const first = getBookMove(book, game, () => 0.5);
+    const second = getBookMove(book, game, () => 0.9);
+
+    const expected = token => {
+      const { from, to, path } = findPDNMove(game, token);
+      return { from, to, path };
+    };
+    expect(first).toEqual(expected('11-15'));
+    expect(second).toEqual(expected('9-14'));
+  });
+
+  test('getBookMove returns null outside the book', () => {
+    const game = new GameState();
+    const book = createOpeningBook();
+    addBookMove(book, game, findPDNMove(game, '11-15'));
+
+    expect(getBookMove(book, playMoves(game.clone(), ['9-14']))).toBe(null);
+    expect(getBookMove(null, game)).toBe(null);
+  });
+
+  test('getBookMoves skips moves that are not legal in the position', () => {
+    const game = new GameState();
+    const book = createOpeningBook();
+    book.positions[getBookKey(game)] = [{ move: '23-19', weight: 1 }, { move: '11-15', weight: 1 }];
+
+    expect(getBookMoves(book, game).map(entry => entry.move.from)).toEqual([findPDNMove(game, '11-15').from]);
+  });
+});
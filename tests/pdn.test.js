@@ -0,0 +1,260 @@
+/**
+ * Unit tests for PDN module
+ */
+
+import { PIECE, PLAYER } from '../src/rules.js';
+import { GameState } from '../src/gameState.js';
+import { getBestMove } from '../src/ai.js';
+import { squareToPosition } from '../src/notation.js';
+import { VARIANTS } from '../src/variants.js';
+import {
+  PDN_RESULT,
+  toPDN,
+  parsePDN,
+  splitPDNGames,
+  findPDNMove,
+  moveToPDN,
+  getGameResult,
+  formatPDNDate
+} from '../src/pdn.js';
+
+function playMoves(game, count) {
+  for (let i = 0; i < count && !game.isGameOver(); i++) {
+    const move = getBestMove(game, 'easy');
+    game.makeMove(move.from, move.to);
+  }
+}
+
+describe('PDN - Export', () => {
+  test('toPDN writes tags and numbered moves', () => {
+    const game = new GameState();
+    game.makeMove(squareToPosition(11), squareToPosition(15));
+    game.makeMove(squareToPosition(23), squareToPosition(19));
+    game.makeMove(squareToPosition(8), squareToPosition(11));
+
+    const pdn = toPDN(game, { tags: { Event: 'Club night', Date: '2024.05.01', White: 'Ann', Black: 'Bob' } });
+
+    expect(pdn).toContain('[Event "Club night"]');
+    expect(pdn).toContain('[Date "2024.05.01"]');
+    expect(pdn).toContain('[White "Ann"]');
+    expect(pdn).toContain('[Black "Bob"]');
+    expect(pdn).toContain('[Result "*"]');
+    expect(pdn).toContain('1. 11-15 23-19 2. 8-11 *');
+    expect(pdn).not.toContain('[FEN');
+  });
+
+  test('moveToPDN writes every landing square of a multi-jump', () => {
+    const move = {
+      from: squareToPosition(9),
+      to: squareToPosition(27),
+      isJump: true,
+      captured: [squareToPosition(14), squareToPosition(23)],
+      path: [squareToPosition(9), squareToPosition(18), squareToPosition(27)]
+    };
+
+    expect(moveToPDN(move)).toBe('9x18x27');
+  });
+
+  test('getGameResult reports the winner from the first player side', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[5][4] = PIECE.RED;
+    board[4][3] = PIECE.BLACK;
+    const game = new GameState(board, PLAYER.RED);
+
+    expect(getGameResult(game)).toBe(PDN_RESULT.UNFINISHED);
+    game.makeMove({ row: 5, col: 4 }, { row: 3, col: 2 });
+    expect(getGameResult(game)).toBe(PDN_RESULT.RED_WIN);
+  });
+
+  test('toPDN adds a FEN tag for custom starting positions', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[5][4] = PIECE.RED;
+    board[2][1] = PIECE.BLACK_KING;
+    const game = new GameState(board, PLAYER.BLACK);
+
+    const pdn = toPDN(game);
+
+    expect(pdn).toMatch(/\[FEN "W:WK\d+:B\d+"\]/);
+  });
+
+  test('toPDN marks moves with their annotations', () => {
+    const game = new GameState();
+    game.makeMove(squareToPosition(11), squareToPosition(15));
+    game.makeMove(squareToPosition(23), squareToPosition(19));
+
+    const pdn = toPDN(game, { annotations: { 1: '?!' }, comments: { 2: 'Loses time' } });
+
+    expect(pdn).toContain('1. 11-15 23-19?! {Loses time}');
+    expect(parsePDN(pdn).gameState.getMoveHistory()).toEqual(game.getMoveHistory());
+  });
+
+  test('formatPDNDate pads month and day', () => {
+    expect(formatPDNDate(new Date(2024, 0, 5))).toBe('2024.01.05');
+  });
+});
+
+describe('PDN - Import', () => {
+  test('parsePDN reads tags, comments and result', () => {
+    const pdn = [
+      '[Event "Club night"]',
+      '[White "Ann"]',
+      '[Black "Bob"]',
+      '[Result "*"]',
+      '',
+      '{Opening} 1. 11-15 {A classic} 23-19 (23-18 15x22) 2. 8-11 *'
+    ].join('\n');
+
+    const { gameState, tags, comments, result } = parsePDN(pdn);
+
+    expect(tags.Event).toBe('Club night');
+    expect(tags.White).toBe('Ann');
+    expect(comments[0]).toBe('Opening');
+    expect(comments[1]).toBe('A classic');
+    expect(result).toBe(PDN_RESULT.UNFINISHED);
+    expect(gameState.getMoveHistory()).toHaveLength(3);
+    expect(gameState.getCurrentPlayer()).toBe(PLAYER.BLACK);
+  });
+
+  test('parsePDN plays multi-jumps from a FEN setup', () => {
+    const pdn = '[FEN "B:W14,23:B9"]\n1. 9x18x27 1-0';
+
+    const { gameState, result } = parsePDN(pdn);
+
+    const { row, col } = squareToPosition(27);
+    expect(gameState.getBoard()[row][col]).toBe(PIECE.RED);
+    expect(gameState.getCapturedPieces()[PLAYER.BLACK]).toBe(2);
+    expect(gameState.getWinner()).toBe(PLAYER.RED);
+    expect(result).toBe(PDN_RESULT.RED_WIN);
+  });
+
+  test('parsePDN returns null for illegal moves', () => {
+    expect(parsePDN('1. 11-18 *')).toBe(null);
+  });
+
+  test('parsePDN rejects other game types', () => {
+    expect(parsePDN('[GameType "20"]\n1. 32-28 *')).toBe(null);
+    expect(parsePDN('[GameType "22"]\n1. 9-13 *')).toBe(null);
+  });
+
+  test('toPDN refuses variants the square numbering does not cover', () => {
+    expect(toPDN(new GameState(null, PLAYER.RED, { variant: VARIANTS.international }))).toBe(null);
+  });
+});
+
+describe('PDN - Collections', () => {
+  test('splitPDNGames separates games at their tags', () => {
+    const text = [
+      '[Event "One"]',
+      '1. 11-15 23-19 *',
+      '',
+      '[Event "Two"]',
+      '[Result "*"]',
+      '',
+      '1. 9-14 22-18 *'
+    ].join('\n');
+
+    const games = splitPDNGames(text);
+
+    expect(games).toHaveLength(2);
+    expect(parsePDN(games[0]).tags.Event).toBe('One');
+    expect(parsePDN(games[1]).gameState.getMoveHistory()).toHaveLength(2);
+  });
+
+  test('splitPDNGames keeps a single game whole', () => {
+    expect(splitPDNGames('[Event "One"]\n\n1. 11-15 *')).toEqual(['[Event "One"]\n\n1. 11-15 *']);
+  });
+
+  test('findPDNMove finds the legal move for a token', () => {
+    const game = new GameState();
+
+    const move = findPDNMove(game, '11-15');
+
+    expect(move.from).toEqual(squareToPosition(11));
+    expect(move.to).toEqual(squareToPosition(15));
+    expect(findPDNMove(game, '11-18')).toBe(null);
+  });
+
+  test('findPDNMove needs the full route when two captures join the same squares', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[6][3] = PIECE.RED;
+    board[5][2] = PIECE.BLACK;
+    board[3][2] = PIECE.BLACK;
+    board[5][4] = PIECE.BLACK;
+    board[3][4] = PIECE.BLACK;
+    board[0][7] = PIECE.BLACK;
+    const game = new GameState(board, PLAYER.RED);
+
+    expect(findPDNMove(game, '7x23')).toBe(null);
+    expect(findPDNMove(game, '7x14x23').path).toEqual([squareToPosition(7), squareToPosition(14), squareToPosition(23)]);
+    expect(findPDNMove(game, '7x16x23').path).toEqual([squareToPosition(7), squareToPosition(16), squareToPosition(23)]);
+  });
+});
+
+describe('PDN - Round Trip', () => {
+  test('a capture keeps its route when another ends on the same square', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[6][3] = PIECE.RED;
+    board[5][2] = PIECE.BLACK;
+    board[3][2] = PIECE.BLACK;
+    board[5][4] = PIECE.BLACK;
+    board[3][4] = PIECE.BLACK;
+    board[0][7] = PIECE.BLACK;
+    const game = new GameState(board, PLAYER.RED);
+    game.makeMove([squareToPosition(7), squareToPosition(14), squareToPosition(23)]);
+
+    const pdn = toPDN(game);
+    const { gameState } = parsePDN(pdn);
+
+    expect(pdn).toContain('7x14x23');
+    expect(gameState.getBoard()).toEqual(game.getBoard());
+  });
+
+  test('a played game survives export and import', () => {
+    const game = new GameState();
+    playMoves(game, 20);
+
+    const { gameState } = parsePDN(toPDN(game));
+
+    expect(gameState.getBoard()).toEqual(game.getBoard());
+    expect(gameState.getCurrentPlayer()).toBe(game.getCurrentPlayer());
+    expect(gameState.getMoveHistory()).toEqual(game.getMoveHistory());
+    expect(gameState.getCapturedPieces()).toEqual(game.getCapturedPieces());
+  });
+
+  test.each(['giveaway', 'russian', 'brazilian', 'pool'])('a %s game is read back under its own rules', id => {
+    const variant = VARIANTS[id];
+    const game = new GameState(null, PLAYER.RED, { variant });
+    playMoves(game, 20);
+
+    const pdn = toPDN(game);
+    const { gameState } = parsePDN(pdn);
+
+    expect(pdn).toContain(`[GameType "${variant.pdnGameType}"]`);
+    expect(gameState.getVariant()).toBe(variant);
+    expect(gameState.getMoveHistory()).toEqual(game.getMoveHistory());
+  });
+
+  test('a giveaway game is told apart from American checkers by its Variant tag', () => {
+    const pdn = toPDN(new GameState(null, PLAYER.RED, { variant: VARIANTS.giveaway }));
+
+    expect(pdn).toContain('[GameType "21"]');
+    expect(pdn).toContain('[Variant "Giveaway Checkers"]');
+    expect(parsePDN('[GameType "21"]\n1. 9-13 *').gameState.getVariant()).toBe(VARIANTS.american);
+  });
+
+  test('a game from a custom position survives export and import', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[7][0] = PIECE.RED_KING;
+    board[5][2] = PIECE.RED;
+    board[0][7] = PIECE.BLACK_KING;
+    board[2][5] = PIECE.BLACK;
+    const game = new GameState(board, PLAYER.BLACK);
+    playMoves(game, 6);
+
+    const { gameState } = parsePDN(toPDN(game, { comments: { 2: 'Kings manoeuvre' } }));
+
+    expect(gameState.getInitialPosition()).toEqual(game.getInitialPosition());
+    expect(gameState.getBoard()).toEqual(game.getBoard());
+    expect(gameState.getMoveHistory()).toEqual(game.getMoveHistory());
+  });
+});
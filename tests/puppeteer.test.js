@@ -110,7 +110,7 @@ describe('Checkers App - Puppeteer Tests', () => {
 
   test('all mode buttons exist', async () => {
     const buttons = await page.$$('#mode-selector button');
-    expect(buttons).toHaveLength(5);
+    expect(buttons).toHaveLength(8);
   });
 
   test('hint button exists', async () => {
@@ -260,6 +260,106 @@ describe('Checkers App - Board Rendering Tests', () => {
     expect(pieceCount).toBe(0);
   });
 
+  test('undo button takes back the last move', async () => {
+    await page.click('[data-row="5"][data-col="0"]');
+    await page.waitForSelector('.square.highlighted');
+    await page.click('[data-row="4"][data-col="1"]');
+
+    await page.click('#undo-btn');
+
+    const pieceAtOriginalPosition = await page.$('[data-row="5"][data-col="0"] .piece.red');
+    expect(pieceAtOriginalPosition).toBeTruthy();
+
+    const currentPlayer = await page.$eval('#current-player', el => el.textContent);
+    expect(currentPlayer).toBe('Red');
+
+    const redoDisabled = await page.$eval('#redo-btn', el => el.disabled);
+    expect(redoDisabled).toBe(false);
+  });
+
+  test('setup mode places pieces and starts a game from the position', async () => {
+    await page.click('#setup-btn');
+    await page.click('#setup-clear-btn');
+
+    const piecesAfterClear = await page.$$('.piece');
+    expect(piecesAfterClear).toHaveLength(0);
+
+    // Red king and a black man
+    await page.click('#setup-pieces [data-piece="2"]');
+    await page.click('[data-row="4"][data-col="3"]');
+    await page.click('#setup-pieces [data-piece="3"]');
+    await page.click('[data-row="1"][data-col="2"]');
+
+    await page.click('#setup-local-btn');
+
+    const king = await page.$('[data-row="4"][data-col="3"] .piece.red.king');
+    expect(king).toBeTruthy();
+
+    const panelHidden = await page.$eval('#setup-panel', el => el.hidden);
+    expect(panelHidden).toBe(true);
+  });
+
+  test('setup mode rejects impossible positions', async () => {
+    await page.click('#setup-btn');
+    await page.click('#setup-clear-btn');
+    await page.click('#setup-local-btn');
+
+    const errors = await page.$$('#setup-errors li');
+    expect(errors.length).toBeGreaterThan(0);
+  });
+
+  test('a double jump is entered hop by hop, choosing its route', async () => {
+    // Two double jumps from square 7 end on 23, by way of 14 or of 16
+    await page.goto(`${SERVER_URL}/?fen=B:W10,11,18,19,29:B4,7`);
+    await page.waitForSelector('.square');
+    const highlighted = () => page.$$eval('.square.highlighted', squares =>
+      squares.map(square => `${square.dataset.row},${square.dataset.col}`).sort());
+
+    await page.click('[data-row="6"][data-col="3"]');
+    expect(await highlighted()).toEqual(['2,3', '4,1', '4,5']);
+
+    // The destination alone is ambiguous: only the first landing squares stay lit
+    await page.click('[data-row="2"][data-col="3"]');
+    expect(await highlighted()).toEqual(['4,1', '4,5']);
+
+    await page.click('[data-row="4"][data-col="5"]');
+    await page.waitForSelector('[data-row="4"][data-col="5"] .piece.red');
+    expect(await page.$('[data-row="5"][data-col="4"] .piece.taken')).toBeTruthy();
+    expect(await highlighted()).toEqual(['2,3']);
+
+    await page.click('[data-row="2"][data-col="3"]');
+    await page.waitForFunction(() => document.getElementById('current-player').textContent === 'Black');
+
+    expect(await page.$('[data-row="2"][data-col="3"] .piece.red')).toBeTruthy();
+    expect(await page.$('[data-row="5"][data-col="4"] .piece')).toBeFalsy();
+    expect(await page.$('[data-row="5"][data-col="2"] .piece.black')).toBeTruthy();
+  });
+
+  test('AI opens the game when the human plays Black', async () => {
+    await page.select('#player-color', 'black');
+    await page.click('#vs-ai-easy');
+
+    // Wait for the AI's opening move to complete
+    await page.waitForFunction(
+      () => document.getElementById('current-player').textContent === 'Black',
+      { timeout: 5000 }
+    );
+
+    const redPieces = await page.$$('.piece.red');
+    expect(redPieces).toHaveLength(12);
+  });
+
+  test('AI vs AI mode shows playback controls', async () => {
+    await page.click('#ai-vs-ai-btn');
+
+    const panelHidden = await page.$eval('#ai-vs-ai-panel', el => el.hidden);
+    expect(panelHidden).toBe(false);
+
+    await page.click('#ai-pause-btn');
+    const pauseText = await page.$eval('#ai-pause-btn', el => el.textContent);
+    expect(pauseText).toBe('Resume');
+  });
+
   test('switching to different game mode starts new game', async () => {
     // Make a move in default local-2p mode
     await page.click('[data-row="5"][data-col="0"]');
@@ -281,3 +381,335 @@ describe('Checkers App - Board Rendering Tests', () => {
     expect(pieceAtRow5).toBeTruthy();
   });
 });
+
+describe('Checkers App - Drag and Drop Tests', () => {
+  let browser;
+  let page;
+
+  // Centre of a square on the page
+  async function getSquareCentre(row, col) {
+    const box = await (await page.$(`[data-row="${row}"][data-col="${col}"]`)).boundingBox();
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+  }
+
+  // Press on one square, move in steps to another and release
+  async function dragPiece(from, to) {
+    const start = await getSquareCentre(from.row, from.col);
+    const end = await getSquareCentre(to.row, to.col);
+    await page.mouse.move(start.x, start.y);
+    await page.mouse.down();
+    await page.mouse.move(end.x, end.y, { steps: 10 });
+    await page.mouse.up();
+  }
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+  });
+
+  afterAll(async () => {
+    await browser.close();
+  });
+
+  beforeEach(async () => {
+    page = await browser.newPage();
+    await page.goto(SERVER_URL);
+    await page.waitForSelector('.square');
+  });
+
+  afterEach(async () => {
+    await page.close();
+  });
+
+  test('dragged piece follows the pointer and its targets are highlighted', async () => {
+    const start = await getSquareCentre(5, 0);
+    await page.mouse.move(start.x, start.y);
+    await page.mouse.down();
+    await page.mouse.move(start.x + 30, start.y - 30, { steps: 5 });
+
+    expect(await page.$('[data-row="5"][data-col="0"] .piece.dragging')).toBeTruthy();
+    const transform = await page.$eval('[data-row="5"][data-col="0"] .piece', el => el.style.transform);
+    expect(transform).toBe('translate(30px, -30px)');
+    expect(await page.$('[data-row="4"][data-col="1"].highlighted')).toBeTruthy();
+
+    await page.mouse.up();
+  });
+
+  test('dropping a piece on a legal square moves it', async () => {
+    await dragPiece({ row: 5, col: 0 }, { row: 4, col: 1 });
+
+    expect(await page.$('[data-row="4"][data-col="1"] .piece.red')).toBeTruthy();
+    expect(await page.$('[data-row="5"][data-col="0"] .piece')).toBeFalsy();
+    const currentPlayer = await page.$eval('#current-player', el => el.textContent);
+    expect(currentPlayer).toBe('Black');
+  });
+
+  test('dropping a piece on an illegal square snaps it back', async () => {
+    await dragPiece({ row: 5, col: 0 }, { row: 3, col: 2 });
+    // Wait for the piece to finish sliding home
+    await page.waitForFunction(() => {
+      const piece = document.querySelector('[data-row="5"][data-col="0"] .piece');
+      return piece && !piece.classList.contains('returning') && !piece.classList.contains('dragging');
+    });
+
+    const piece = await page.$eval('[data-row="5"][data-col="0"] .piece', el => ({
+      dragging: el.classList.contains('dragging'),
+      transform: el.style.transform
+    }));
+    expect(piece).toEqual({ dragging: false, transform: '' });
+    expect(await page.$('[data-row="3"][data-col="2"] .piece')).toBeFalsy();
+    const currentPlayer = await page.$eval('#current-player', el => el.textContent);
+    expect(currentPlayer).toBe('Red');
+  });
+
+  test('opponent pieces cannot be dragged', async () => {
+    await dragPiece({ row: 2, col: 1 }, { row: 3, col: 0 });
+
+    expect(await page.$('[data-row="2"][data-col="1"] .piece.black')).toBeTruthy();
+    expect(await page.$('[data-row="3"][data-col="0"] .piece')).toBeFalsy();
+  });
+
+  test('click-to-move still works after a drag', async () => {
+    await dragPiece({ row: 5, col: 0 }, { row: 4, col: 1 });
+
+    await page.click('[data-row="2"][data-col="1"]');
+    await page.waitForSelector('.square.highlighted');
+    await page.click('[data-row="3"][data-col="2"]');
+
+    expect(await page.$('[data-row="3"][data-col="2"] .piece.black')).toBeTruthy();
+    const currentPlayer = await page.$eval('#current-player', el => el.textContent);
+    expect(currentPlayer).toBe('Red');
+  });
+
+  test('a capture can be dragged one hop at a time', async () => {
+    // Two double jumps from square 7 end on 23, by way of 14 or of 16
+    await page.goto(`${SERVER_URL}/?fen=B:W10,11,18,19,29:B4,7`);
+    await page.waitForSelector('.square');
+
+    await dragPiece({ row: 6, col: 3 }, { row: 4, col: 5 });
+    expect(await page.$('[data-row="4"][data-col="5"] .piece.red')).toBeTruthy();
+    expect(await page.$('[data-row="2"][data-col="3"].highlighted')).toBeTruthy();
+
+    await dragPiece({ row: 4, col: 5 }, { row: 2, col: 3 });
+    await page.waitForFunction(() => document.getElementById('current-player').textContent === 'Black');
+
+    expect(await page.$('[data-row="2"][data-col="3"] .piece.red')).toBeTruthy();
+    expect(await page.$('[data-row="5"][data-col="4"] .piece')).toBeFalsy();
+    expect(await page.$('[data-row="3"][data-col="4"] .piece')).toBeFalsy();
+    expect(await page.$('[data-row="5"][data-col="2"] .piece.black')).toBeTruthy();
+  });
+
+  test('pieces can be dragged by touch', async () => {
+    await page.setViewport({ width: 1280, height: 800, hasTouch: true });
+    const start = await getSquareCentre(5, 2);
+    const end = await getSquareCentre(4, 3);
+
+    await page.touchscreen.touchStart(start.x, start.y);
+    await page.touchscreen.touchMove((start.x + end.x) / 2, (start.y + end.y) / 2);
+    await page.touchscreen.touchMove(end.x, end.y);
+    await page.touchscreen.touchEnd();
+
+    expect(await page.$('[data-row="4"][data-col="3"] .piece.red')).toBeTruthy();
+    expect(await page.$('[data-row="5"][data-col="2"] .piece')).toBeFalsy();
+  });
+});
+
+describe('Checkers App - Accessibility Tests', () => {
+  let browser;
+  let page;
+
+  const getLabel = (row, col) => page.$eval(`[data-row="${row}"][data-col="${col}"]`, el => el.getAttribute('aria-label'));
+  const getFocused = () => page.evaluate(() => {
+    const square = document.activeElement;
+    return `${square.dataset.row},${square.dataset.col}`;
+  });
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+  });
+
+  afterAll(async () => {
+    await browser.close();
+  });
+
+  beforeEach(async () => {
+    page = await browser.newPage();
+    await page.goto(SERVER_URL);
+    await page.waitForSelector('.square');
+  });
+
+  afterEach(async () => {
+    await page.close();
+  });
+
+  test('board is a grid of labelled squares with one tab stop', async () => {
+    expect(await page.$eval('#board', el => el.getAttribute('role'))).toBe('grid');
+    expect(await page.$$('#board [role="row"]')).toHaveLength(8);
+    expect(await page.$$('#board [role="gridcell"]')).toHaveLength(64);
+    expect(await page.$$('.square[tabindex="0"]')).toHaveLength(1);
+
+    expect(await getLabel(5, 0)).toBe('square 12, red man');
+    expect(await getLabel(2, 1)).toBe('square 21, black man');
+    expect(await getLabel(4, 1)).toBe('square 16, empty');
+    expect(await getLabel(4, 0)).toBe('light square');
+  });
+
+  test('arrow keys move focus between squares', async () => {
+    await page.focus('[data-row="7"][data-col="0"]');
+    await page.keyboard.press('ArrowUp');
+    await page.keyboard.press('ArrowUp');
+    expect(await getFocused()).toBe('5,0');
+
+    await page.keyboard.press('ArrowRight');
+    expect(await getFocused()).toBe('5,1');
+    await page.keyboard.press('End');
+    expect(await getFocused()).toBe('5,7');
+    await page.keyboard.press('Home');
+    expect(await getFocused()).toBe('5,0');
+
+    // The focused square is the one left in the tab order
+    expect(await page.$$eval('.square[tabindex="0"]', squares => squares.map(el => `${el.dataset.row},${el.dataset.col}`)))
+      .toEqual(['5,0']);
+  });
+
+  test('Enter selects a piece and moves it, and the move is announced', async () => {
+    await page.focus('[data-row="5"][data-col="0"]');
+    await page.keyboard.press('Enter');
+    expect(await getLabel(5, 0)).toBe('square 12, red man, selected');
+    expect(await getLabel(4, 1)).toBe('square 16, empty, legal move');
+
+    await page.keyboard.press('ArrowUp');
+    await page.keyboard.press('ArrowRight');
+    await page.keyboard.press('Enter');
+
+    expect(await page.$('[data-row="4"][data-col="1"] .piece.red')).toBeTruthy();
+    expect(await page.$eval('#board-announcer', el => el.textContent)).toBe('Red moves 12 to 16.');
+    expect(await page.$eval('#board-announcer', el => el.getAttribute('aria-live'))).toBe('polite');
+  });
+
+  test('Space selects and Escape deselects', async () => {
+    await page.focus('[data-row="5"][data-col="2"]');
+    await page.keyboard.press('Space');
+    expect(await page.$$('.square.selected')).toHaveLength(1);
+
+    await page.keyboard.press('Escape');
+    expect(await page.$$('.square.selected')).toHaveLength(0);
+    expect(await page.$eval('[data-row="5"][data-col="2"]', el => el.getAttribute('aria-selected'))).toBe('false');
+  });
+
+  test('captures, promotions and the result are announced', async () => {
+    // A red man on 23 jumps the last black piece, on 27, and is crowned on 32
+    await page.goto(`${SERVER_URL}/?fen=B:W27:B23`);
+    await page.waitForSelector('.square');
+
+    await page.click('[data-row="2"][data-col="3"]');
+    await page.click('[data-row="0"][data-col="1"]');
+    await page.waitForFunction(() => document.getElementById('board-announcer').textContent !== '');
+
+    const announcement = await page.$eval('#board-announcer', el => el.textContent);
+    expect(announcement).toBe('Red jumps 23 to 32, capturing a piece. Red is crowned king. Game over: Red wins.');
+    expect(await getLabel(0, 1)).toBe('square 32, red king');
+  });
+
+  test('AI moves are announced', async () => {
+    await page.select('#player-color', 'red');
+    await page.click('#vs-ai-easy');
+    await page.click('[data-row="5"][data-col="2"]');
+    await page.click('[data-row="4"][data-col="3"]');
+
+    await page.waitForFunction(() => document.getElementById('current-player').textContent === 'Red');
+    const announcement = await page.$eval('#board-announcer', el => el.textContent);
+    expect(announcement).toMatch(/^Black (moves|jumps) \d+ to \d+/);
+  });
+});
+
+describe('Checkers App - Board Orientation Tests', () => {
+  let browser;
+  let page;
+
+  const getBox = async (row, col) => (await page.$(`[data-row="${row}"][data-col="${col}"]`)).boundingBox();
+
+  beforeAll(async () => {
+    browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+  });
+
+  afterAll(async () => {
+    await browser.close();
+  });
+
+  beforeEach(async () => {
+    page = await browser.newPage();
+    await page.goto(SERVER_URL);
+    await page.waitForSelector('.square');
+  });
+
+  afterEach(async () => {
+    await page.close();
+  });
+
+  test('flip button puts Black at the bottom', async () => {
+    expect((await getBox(7, 0)).y).toBeGreaterThan((await getBox(0, 7)).y);
+
+    await page.click('#flip-board-btn');
+
+    const redCorner = await getBox(7, 0);
+    const blackCorner = await getBox(0, 7);
+    expect(redCorner.y).toBeLessThan(blackCorner.y);
+    expect(redCorner.x).toBeGreaterThan(blackCorner.x);
+    expect(await page.$eval('#flip-board-btn', el => el.getAttribute('aria-pressed'))).toBe('true');
+  });
+
+  test('moves are made by click and drag on a flipped board', async () => {
+    await page.click('#flip-board-btn');
+
+    await page.click('[data-row="5"][data-col="0"]');
+    await page.click('[data-row="4"][data-col="1"]');
+    expect(await page.$('[data-row="4"][data-col="1"] .piece.red')).toBeTruthy();
+
+    const start = await getBox(2, 1);
+    const end = await getBox(3, 2);
+    await page.mouse.move(start.x + start.width / 2, start.y + start.height / 2);
+    await page.mouse.down();
+    await page.mouse.move(end.x + end.width / 2, end.y + end.height / 2, { steps: 10 });
+    await page.mouse.up();
+    expect(await page.$('[data-row="3"][data-col="2"] .piece.black')).toBeTruthy();
+  });
+
+  test('board faces the human playing Black against the AI', async () => {
+    await page.select('#player-color', 'black');
+    await page.click('#vs-ai-easy');
+    expect((await getBox(0, 7)).y).toBeGreaterThan((await getBox(7, 0)).y);
+
+    await page.select('#player-color', 'red');
+    await page.click('#vs-ai-easy');
+    expect((await getBox(7, 0)).y).toBeGreaterThan((await getBox(0, 7)).y);
+  });
+
+  test('square numbers and coordinates can be shown', async () => {
+    const getData = (row, col) => page.$eval(`[data-row="${row}"][data-col="${col}"]`, el => ({ ...el.dataset }));
+
+    await page.select('#board-labels', 'numbers');
+    expect(await getData(7, 0)).toEqual({ row: '7', col: '0', number: '4' });
+    expect(await getData(0, 7)).toEqual({ row: '0', col: '7', number: '29' });
+
+    await page.select('#board-labels', 'coordinates');
+    expect(await getData(7, 0)).toEqual({ row: '7', col: '0', rank: '1', file: 'a' });
+    expect(await getData(0, 0)).toEqual({ row: '0', col: '0', rank: '8' });
+
+    // The labels move to the edges of the flipped board
+    await page.click('#flip-board-btn');
+    expect(await getData(0, 7)).toEqual({ row: '0', col: '7', rank: '8', file: 'h' });
+    expect(await getData(7, 0)).toEqual({ row: '7', col: '0' });
+
+    await page.select('#board-labels', 'none');
+    expect(await getData(0, 7)).toEqual({ row: '0', col: '7' });
+  });
+});
@@ -13,9 +13,14 @@ import {
   generateJumps,
   generateAllMoves,
   isValidMove,
+  getMovePath,
+  isMoveOnPath,
+  findMovesOnPath,
   hasLegalMoves,
-  applyMove
+  applyMove,
+  validatePosition
 } from '../src/rules.js';
+import { GameState, initializeBoard } from '../src/gameState.js';
 
 describe('Rules Engine - Helper Functions', () => {
   test('getPieceOwner returns correct owner', () => {
@@ -68,12 +73,14 @@ describe('Rules Engine - Basic Moves', () => {
     expect(moves).toContainEqual({
       from: { row: 5, col: 3 },
       to: { row: 4, col: 2 },
-      isJump: false
+      isJump: false,
+      path: [{ row: 5, col: 3 }, { row: 4, col: 2 }]
     });
     expect(moves).toContainEqual({
       from: { row: 5, col: 3 },
       to: { row: 4, col: 4 },
-      isJump: false
+      isJump: false,
+      path: [{ row: 5, col: 3 }, { row: 4, col: 4 }]
     });
   });
 
@@ -95,12 +102,14 @@ describe('Rules Engine - Basic Moves', () => {
     expect(moves).toContainEqual({
       from: { row: 2, col: 3 },
       to: { row: 3, col: 2 },
-      isJump: false
+      isJump: false,
+      path: [{ row: 2, col: 3 }, { row: 3, col: 2 }]
     });
     expect(moves).toContainEqual({
       from: { row: 2, col: 3 },
       to: { row: 3, col: 4 },
-      isJump: false
+      isJump: false,
+      path: [{ row: 2, col: 3 }, { row: 3, col: 4 }]
     });
   });
 
@@ -159,22 +168,26 @@ describe('Rules Engine - King Moves', () => {
     expect(moves).toContainEqual({
       from: { row: 4, col: 3 },
       to: { row: 3, col: 2 },
-      isJump: false
+      isJump: false,
+      path: [{ row: 4, col: 3 }, { row: 3, col: 2 }]
     });
     expect(moves).toContainEqual({
       from: { row: 4, col: 3 },
       to: { row: 3, col: 4 },
-      isJump: false
+      isJump: false,
+      path: [{ row: 4, col: 3 }, { row: 3, col: 4 }]
     });
     expect(moves).toContainEqual({
       from: { row: 4, col: 3 },
       to: { row: 5, col: 2 },
-      isJump: false
+      isJump: false,
+      path: [{ row: 4, col: 3 }, { row: 5, col: 2 }]
     });
     expect(moves).toContainEqual({
       from: { row: 4, col: 3 },
       to: { row: 5, col: 4 },
-      isJump: false
+      isJump: false,
+      path: [{ row: 4, col: 3 }, { row: 5, col: 4 }]
     });
   });
 
@@ -219,7 +232,8 @@ describe('Rules Engine - Single Jumps', () => {
       from: { row: 5, col: 4 },
       to: { row: 3, col: 2 },
       isJump: true,
-      captured: [{ row: 4, col: 3 }]
+      captured: [{ row: 4, col: 3 }],
+      path: [{ row: 5, col: 4 }, { row: 3, col: 2 }]
     });
   });
 
@@ -242,7 +256,8 @@ describe('Rules Engine - Single Jumps', () => {
       from: { row: 2, col: 3 },
       to: { row: 4, col: 5 },
       isJump: true,
-      captured: [{ row: 3, col: 4 }]
+      captured: [{ row: 3, col: 4 }],
+      path: [{ row: 2, col: 3 }, { row: 4, col: 5 }]
     });
   });
 
@@ -326,6 +341,64 @@ describe('Rules Engine - Multi-Jump Sequences', () => {
     const jumpMoves = moves.filter(m => m.isJump);
     expect(jumpMoves.length).toBeGreaterThan(0);
   });
+
+  test('Jump moves record every landing square in their path', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[5][4] = PIECE.RED;
+    board[4][5] = PIECE.BLACK;
+    board[2][5] = PIECE.BLACK;
+
+    const [move] = generateMoves(board, { row: 5, col: 4 });
+
+    expect(move.path).toEqual([{ row: 5, col: 4 }, { row: 3, col: 6 }, { row: 1, col: 4 }]);
+    expect(getMovePath(move)).toBe(move.path);
+    expect(getMovePath({ from: move.from, to: move.to })).toEqual([move.from, move.to]);
+  });
+});
+
+describe('Rules Engine - Move Paths', () => {
+  // Two double jumps from 6,3 end on 2,3: one by way of 4,1, the other by way of 4,5
+  function createTwoRouteBoard() {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[6][3] = PIECE.RED;
+    board[5][2] = PIECE.BLACK;
+    board[3][2] = PIECE.BLACK;
+    board[5][4] = PIECE.BLACK;
+    board[3][4] = PIECE.BLACK;
+    return board;
+  }
+  const from = { row: 6, col: 3 };
+  const to = { row: 2, col: 3 };
+  const leftRoute = [from, { row: 4, col: 1 }, to];
+
+  test('Origin and destination alone match every route between them', () => {
+    const moves = findMovesOnPath(createTwoRouteBoard(), [from, to], PLAYER.RED);
+
+    expect(moves).toHaveLength(2);
+    expect(isValidMove(createTwoRouteBoard(), from, to, PLAYER.RED)).toBe(true);
+  });
+
+  test('A full path picks out one route', () => {
+    const moves = findMovesOnPath(createTwoRouteBoard(), leftRoute, PLAYER.RED);
+
+    expect(moves).toHaveLength(1);
+    expect(moves[0].captured).toEqual([{ row: 5, col: 2 }, { row: 3, col: 2 }]);
+    expect(isMoveOnPath(moves[0], leftRoute)).toBe(true);
+    expect(isMoveOnPath(moves[0], [from, { row: 4, col: 5 }, to])).toBe(false);
+  });
+
+  test('Another piece\'s capture rules out a simple move', () => {
+    const board = createTwoRouteBoard();
+    board[7][6] = PIECE.RED;
+
+    expect(findMovesOnPath(board, [{ row: 7, col: 6 }, { row: 6, col: 7 }], PLAYER.RED)).toEqual([]);
+  });
+
+  test('Paths that are not legal match nothing', () => {
+    expect(findMovesOnPath(createTwoRouteBoard(), [from, { row: 4, col: 1 }], PLAYER.RED)).toEqual([]);
+    expect(findMovesOnPath(createTwoRouteBoard(), leftRoute, PLAYER.BLACK)).toEqual([]);
+    expect(findMovesOnPath(createTwoRouteBoard(), [from, { row: 9, col: 9 }], PLAYER.RED)).toEqual([]);
+  });
 });
 
 describe('Rules Engine - Mandatory Capture', () => {
@@ -594,3 +667,63 @@ describe('Rules Engine - Apply Move', () => {
     expect(newBoard[2][3]).toBe(PIECE.EMPTY);
   });
 });
+
+describe('Rules Engine - Position Validation', () => {
+  test('validatePosition accepts the starting position', () => {
+    expect(validatePosition(initializeBoard(), PLAYER.RED)).toEqual([]);
+  });
+
+  test('validatePosition accepts a sparse endgame position', () => {
+    const game = GameState.fromFEN('W:WK30,21:B1,K5');
+
+    expect(validatePosition(game.getBoard(), game.getCurrentPlayer())).toEqual([]);
+  });
+
+  test('validatePosition rejects more than 12 pieces per side', () => {
+    const board = initializeBoard();
+    board[4][1] = PIECE.RED;
+
+    const errors = validatePosition(board, PLAYER.RED);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/Red has 13 pieces/);
+  });
+
+  test('validatePosition rejects men on their own promotion row', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[0][1] = PIECE.RED;
+    board[7][0] = PIECE.BLACK;
+
+    const errors = validatePosition(board, PLAYER.RED);
+
+    expect(errors).toHaveLength(2);
+    expect(errors.every(error => /promotion row/.test(error))).toBe(true);
+  });
+
+  test('validatePosition allows kings on the promotion row', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[0][1] = PIECE.RED_KING;
+    board[7][0] = PIECE.BLACK_KING;
+
+    expect(validatePosition(board, PLAYER.RED)).toEqual([]);
+  });
+
+  test('validatePosition rejects pieces on light squares', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[4][4] = PIECE.RED;
+    board[2][1] = PIECE.BLACK;
+
+    expect(validatePosition(board, PLAYER.RED)[0]).toMatch(/light square/);
+  });
+
+  test('validatePosition requires both sides and a legal move for the side to move', () => {
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[5][0] = PIECE.RED;
+
+    expect(validatePosition(board, PLAYER.RED)).toEqual(['Black has no pieces']);
+
+    board[4][1] = PIECE.BLACK;
+    board[3][2] = PIECE.BLACK;
+    expect(validatePosition(board, PLAYER.RED)[0]).toMatch(/no legal moves/);
+  });
+});
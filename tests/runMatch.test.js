@@ -0,0 +1,161 @@
+/**
+ * Unit tests for the match runner
+ */
+
+import { getDifficultyConfig } from '../src/ai.js';
+import { GameState } from '../src/gameState.js';
+import { PIECE, PLAYER } from '../src/rules.js';
+import { parsePDN, splitPDNGames } from '../src/pdn.js';
+import { createRandom } from '../tools/selfPlay.js';
+import { SPRT_DECISION, parseEngine, computeElo, computeSPRT, runMatch, getMatchGameResult } from '../tools/runMatch.js';
+
+function createResult(wins, draws, losses) {
+  return { wins, draws, losses, score: wins + draws / 2 };
+}
+
+describe('Match Runner - Engines', () => {
+  test('parseEngine reads a difficulty level', () => {
+    expect(parseEngine('hard')).toEqual(getDifficultyConfig('hard'));
+  });
+
+  test('parseEngine reads settings over a difficulty', () => {
+    expect(parseEngine('easy,depth=5,evaluation=aggressive,tt=off,quiescence=off')).toEqual({
+      maxDepth: 5,
+      timeMs: getDifficultyConfig('easy').timeMs,
+      evaluation: 'aggressive',
+      transpositionTable: false,
+      quiescence: false
+    });
+  });
+
+  test('parseEngine keeps evaluation files for loading', () => {
+    expect(parseEngine('depth=4,evaluation=data/tunedEvaluation.json')).toEqual({
+      maxDepth: 4,
+      evaluation: 'data/tunedEvaluation.json'
+    });
+  });
+
+  test('parseEngine reads a strength level', () => {
+    expect(parseEngine('strength=7')).toEqual({ strength: 7 });
+    expect(parseEngine('strength=7,evaluation=positional')).toEqual({ strength: 7, evaluation: 'positional' });
+    expect(parseEngine('strength=0')).toBeNull();
+    expect(parseEngine('strength=21')).toBeNull();
+  });
+
+  test('parseEngine limits an engine given no depth or time', () => {
+    expect(parseEngine('evaluation=defensive')).toEqual({ ...getDifficultyConfig('medium'), evaluation: 'defensive' });
+  });
+
+  test('parseEngine rejects what it does not understand', () => {
+    expect(parseEngine('expert')).toBeNull();
+    expect(parseEngine('depth=0')).toBeNull();
+    expect(parseEngine('depth=deep')).toBeNull();
+    expect(parseEngine('evaluation=reckless')).toBeNull();
+    expect(parseEngine('tt=maybe')).toBeNull();
+    expect(parseEngine('speed=3')).toBeNull();
+  });
+});
+
+describe('Match Runner - Statistics', () => {
+  test('An even score is no Elo difference', () => {
+    const { elo, margin } = computeElo(createResult(30, 40, 30));
+
+    expect(elo).toBeCloseTo(0);
+    expect(margin).toBeGreaterThan(0);
+  });
+
+  test('A 75% score is about 191 Elo', () => {
+    expect(computeElo(createResult(50, 50, 0)).elo).toBeCloseTo(190.85, 1);
+    expect(computeElo(createResult(0, 50, 50)).elo).toBeCloseTo(-190.85, 1);
+  });
+
+  test('The margin narrows as games are added', () => {
+    const few = computeElo(createResult(12, 10, 8));
+    const many = computeElo(createResult(120, 100, 80));
+
+    expect(many.elo).toBeCloseTo(few.elo);
+    expect(many.margin).toBeLessThan(few.margin);
+  });
+
+  test('A clean sweep has no finite Elo', () => {
+    expect(computeElo(createResult(10, 0, 0))).toEqual({ elo: Infinity, margin: Infinity });
+  });
+
+  test('SPRT bounds follow the error rates', () => {
+    const { lower, upper } = computeSPRT(createResult(1, 1, 1), { elo0: 0, elo1: 10 });
+
+    expect(lower).toBeCloseTo(Math.log(0.05 / 0.95));
+    expect(upper).toBeCloseTo(Math.log(0.95 / 0.05));
+  });
+
+  test('SPRT accepts H1 for a clearly stronger engine', () => {
+    expect(computeSPRT(createResult(400, 300, 300), { elo0: 0, elo1: 20 }).decision).toBe(SPRT_DECISION.ACCEPT_H1);
+  });
+
+  test('SPRT accepts H0 for an engine that is no stronger', () => {
+    expect(computeSPRT(createResult(300, 300, 400), { elo0: 0, elo1: 20 }).decision).toBe(SPRT_DECISION.ACCEPT_H0);
+  });
+
+  test('SPRT continues while the result is unclear', () => {
+    const test = computeSPRT(createResult(11, 20, 10), { elo0: 0, elo1: 20 });
+
+    expect(test.decision).toBe(SPRT_DECISION.CONTINUE);
+    expect(test.llr).toBeGreaterThan(test.lower);
+    expect(test.llr).toBeLessThan(test.upper);
+    expect(computeSPRT(createResult(0, 10, 0), { elo0: 0, elo1: 20 }).llr).toBe(0);
+  });
+});
+
+describe('Match Runner - Matches', () => {
+  test('runMatch writes every game to PDN with the engines named', () => {
+    const { result, elo, sprt, pdn } = runMatch({ maxDepth: 2 }, { maxDepth: 1 }, {
+      games: 2,
+      random: createRandom(9),
+      names: { a: 'deep', b: 'shallow' }
+    });
+
+    expect(result.wins + result.draws + result.losses).toBe(2);
+    expect(elo).toEqual(computeElo(result));
+    expect(sprt).toBeNull();
+    expect(pdn).toHaveLength(2);
+
+    const [first, second] = pdn.map(parsePDN);
+    expect(first.tags.Black).toBe('deep');
+    expect(first.tags.White).toBe('shallow');
+    expect(second.tags.Black).toBe('shallow');
+    expect(second.tags.Round).toBe('2');
+    expect(first.tags.Opening).toBe(second.tags.Opening);
+    expect(splitPDNGames(pdn.join('\n'))).toHaveLength(2);
+  });
+
+  test('runMatch replays a match between strength levels from the same seed', () => {
+    const play = () => runMatch({ strength: 3 }, { strength: 5 }, { games: 2, random: createRandom(11) }).pdn;
+
+    expect(play()).toEqual(play());
+  });
+
+  test('A game cut off at the ply limit is recorded as a draw', () => {
+    expect(getMatchGameResult(new GameState())).toBe('1/2-1/2');
+
+    const board = Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+    board[5][4] = PIECE.RED;
+    board[4][3] = PIECE.BLACK;
+    const won = new GameState(board, PLAYER.RED);
+    won.makeMove({ row: 5, col: 4 }, { row: 3, col: 2 });
+    expect(getMatchGameResult(won)).toBe('1-0');
+  });
+
+  test('runMatch stops when the SPRT is decided', () => {
+    const games = [];
+    const { sprt, pdn } = runMatch({ maxDepth: 1 }, { maxDepth: 1 }, {
+      games: 20,
+      random: createRandom(9),
+      sprt: { elo0: 0, elo1: 1000, alpha: 0.45, beta: 0.45 },
+      onGame: played => games.push(played)
+    });
+
+    expect(sprt.decision).not.toBe(SPRT_DECISION.CONTINUE);
+    expect(pdn.length).toBeLessThan(20);
+    expect(games).toHaveLength(pdn.length);
+  });
+});
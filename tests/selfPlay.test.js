@@ -0,0 +1,134 @@
+/**
+ * Unit tests for the self-play tools
+ */
+
+import { PLAYER } from '../src/rules.js';
+import { GameState } from '../src/gameState.js';
+import { applyBallot } from '../src/ballots.js';
+import {
+  MAX_GAME_PLIES,
+  RANDOM_OPENING_PLIES,
+  createRandom,
+  drawRandomOpening,
+  getRedScore,
+  playGame,
+  playMatch
+} from '../tools/selfPlay.js';
+
+describe('Self-play - Random numbers', () => {
+  test('createRandom repeats its sequence for the same seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const values = Array.from({ length: 5 }, () => first());
+
+    expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+    for (const value of values) {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('createRandom differs between seeds', () => {
+    expect(createRandom(1)()).not.toBe(createRandom(2)());
+  });
+});
+
+describe('Self-play - Games', () => {
+  test('getRedScore scores finished and unfinished games', () => {
+    const unfinished = new GameState();
+    expect(getRedScore(unfinished)).toBe(0.5);
+
+    const won = GameState.fromFEN('B:W18:B14');
+    const move = won.getAllLegalMoves()[0];
+    won.makeMove(move.from, move.to);
+    expect(won.getWinner()).toBe(PLAYER.RED);
+    expect(getRedScore(won)).toBe(1);
+  });
+
+  test('playGame plays a ballot out to a result', () => {
+    const positions = [];
+    const { gameState, score } = playGame({
+      red: { maxDepth: 1 },
+      black: { maxDepth: 1 },
+      ballot: '11-15 23-19 8-11',
+      onPosition: game => positions.push(game.getMoveHistory().length)
+    });
+
+    expect(positions[0]).toBe(3);
+    expect(gameState.getMoveHistory().length).toBeLessThanOrEqual(MAX_GAME_PLIES);
+    expect([0, 0.5, 1]).toContain(score);
+    expect(score).toBe(getRedScore(gameState));
+  });
+
+  test('playGame repeats a game with the same seed', () => {
+    const play = () => playGame({
+      red: { maxDepth: 1 },
+      black: { maxDepth: 1 },
+      randomPlies: 10,
+      randomRate: 0.5,
+      random: createRandom(7)
+    }).gameState.getMoveHistory().length;
+
+    expect(play()).toBe(play());
+  });
+
+  test('playGame rejects a ballot that cannot be played', () => {
+    expect(() => playGame({ red: { maxDepth: 1 }, black: { maxDepth: 1 }, ballot: '11-15 11-15' })).toThrow();
+  });
+
+  test('playMatch alternates colours and totals the results', () => {
+    const games = [];
+    const result = playMatch({ maxDepth: 1 }, { maxDepth: 1 }, {
+      games: 2,
+      random: createRandom(3),
+      onGame: game => games.push(game)
+    });
+
+    expect(games.map(game => game.candidateIsRed)).toEqual([true, false]);
+    expect(games[1].result).toEqual(result);
+    expect(result.wins + result.draws + result.losses).toBe(2);
+    expect(result.score).toBe(games.reduce((total, game) => total + game.score, 0));
+    // Both games start from the same ballot
+    const [first, second] = games.map(game => game.gameState.getMoveHistory().slice(0, 3).map(({ from, to }) => ({ from, to })));
+    expect(second).toEqual(first);
+  });
+});
+
+describe('Self-play - Openings', () => {
+  test('drawRandomOpening plays legal moves from the start', () => {
+    const opening = drawRandomOpening(createRandom(11));
+    const game = new GameState();
+
+    expect(opening.split(' ')).toHaveLength(RANDOM_OPENING_PLIES);
+    expect(applyBallot(game, opening)).toBe(true);
+    expect(drawRandomOpening(createRandom(11))).toBe(opening);
+  });
+
+  test('playMatch can start from random openings', () => {
+    const openings = [];
+    playMatch({ maxDepth: 1 }, { maxDepth: 1 }, {
+      games: 2,
+      openings: 'random',
+      random: createRandom(5),
+      onGame: game => openings.push(game.opening)
+    });
+
+    expect(openings[0].split(' ')).toHaveLength(RANDOM_OPENING_PLIES);
+    expect(openings[1]).toBe(openings[0]);
+  });
+
+  test('playMatch stops once shouldStop says so, after a pair of games', () => {
+    const seen = [];
+    const result = playMatch({ maxDepth: 1 }, { maxDepth: 1 }, {
+      games: 10,
+      random: createRandom(5),
+      shouldStop: current => {
+        seen.push(current.wins + current.draws + current.losses);
+        return true;
+      }
+    });
+
+    expect(seen).toEqual([2]);
+    expect(result.wins + result.draws + result.losses).toBe(2);
+  });
+});
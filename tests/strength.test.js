@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the strength levels
+ */
+
+import {
+  MIN_STRENGTH,
+  MAX_STRENGTH,
+  getStrengthConfig,
+  getStrengthElo,
+  chooseHumanMove
+} from '../src/strength.js';
+
+function createMove(score, captured = null) {
+  return {
+    from: { row: 5, col: score },
+    to: { row: 4, col: score },
+    isJump: captured !== null,
+    captured: captured ? Array(captured).fill({ row: 4, col: 1 }) : [],
+    score
+  };
+}
+
+// Returns the values given, then repeats the last
+function sequence(...values) {
+  let index = 0;
+  return () => values[Math.min(index++, values.length - 1)];
+}
+
+describe('Strength - Levels', () => {
+  test('Every level has its settings', () => {
+    for (let level = MIN_STRENGTH; level <= MAX_STRENGTH; level++) {
+      const config = getStrengthConfig(level);
+
+      expect(config.level).toBe(level);
+      expect(config.depth).toBeGreaterThanOrEqual(1);
+      expect(config.topK).toBeGreaterThanOrEqual(1);
+    }
+  });
+
+  test('Levels out of range are clamped and rounded', () => {
+    expect(getStrengthConfig(0).level).toBe(MIN_STRENGTH);
+    expect(getStrengthConfig(99).level).toBe(MAX_STRENGTH);
+    expect(getStrengthConfig(7.6).level).toBe(8);
+    expect(getStrengthConfig('12').level).toBe(12);
+    expect(getStrengthConfig('strong').level).toBe(MIN_STRENGTH);
+  });
+
+  test('Stronger levels are rated higher, search deeper and make fewer mistakes', () => {
+    for (let level = MIN_STRENGTH + 1; level <= MAX_STRENGTH; level++) {
+      const weaker = getStrengthConfig(level - 1);
+      const stronger = getStrengthConfig(level);
+
+      expect(getStrengthElo(level)).toBeGreaterThan(getStrengthElo(level - 1));
+      expect(stronger.depth).toBeGreaterThanOrEqual(weaker.depth);
+      expect(stronger.temperature).toBeLessThanOrEqual(weaker.temperature);
+      expect(stronger.missCapture).toBeLessThanOrEqual(weaker.missCapture);
+      expect(stronger.topK).toBeLessThanOrEqual(weaker.topK);
+    }
+  });
+
+  test('The strongest level plays the best move only', () => {
+    const config = getStrengthConfig(MAX_STRENGTH);
+
+    expect(config.topK).toBe(1);
+    expect(config.temperature).toBe(0);
+    expect(config.missCapture).toBe(0);
+    expect(config.quiescence).toBe(true);
+  });
+});
+
+describe('Strength - Choosing moves', () => {
+  const config = { topK: 3, temperature: 10, missCapture: 0 };
+
+  test('Only the top moves are considered', () => {
+    const moves = [createMove(30), createMove(20), createMove(10), createMove(0)];
+
+    expect(chooseHumanMove(moves, config, () => 0)).toBe(moves[0]);
+    expect(chooseHumanMove(moves, config, () => 0.999999)).toBe(moves[2]);
+  });
+
+  test('Better moves are more likely', () => {
+    const moves = [createMove(30), createMove(20), createMove(10)];
+    // Weights e^0, e^-1, e^-2 share out [0, 1)
+    const total = 1 + Math.exp(-1) + Math.exp(-2);
+
+    expect(chooseHumanMove(moves, config, () => 0.99 / total)).toBe(moves[0]);
+    expect(chooseHumanMove(moves, config, () => 1.01 / total)).toBe(moves[1]);
+  });
+
+  test('A zero temperature always plays the best move', () => {
+    const moves = [createMove(30), createMove(29)];
+
+    expect(chooseHumanMove(moves, { ...config, temperature: 0 }, () => 0.99)).toBe(moves[0]);
+  });
+
+  test('Lost positions do not overflow the weights', () => {
+    const moves = [createMove(-10000), createMove(10000)].sort((a, b) => b.score - a.score);
+
+    expect(chooseHumanMove(moves, config, () => 0.5)).toBe(moves[0]);
+  });
+
+  test('Long captures are sometimes missed', () => {
+    const moves = [createMove(30, 2), createMove(10, 1)];
+
+    expect(chooseHumanMove(moves, { ...config, missCapture: 0.5 }, sequence(0.4, 0))).toBe(moves[1]);
+    expect(chooseHumanMove(moves, { ...config, missCapture: 0.5 }, sequence(0.6, 0))).toBe(moves[0]);
+  });
+
+  test('Quiet moves are never dropped as missed captures', () => {
+    const moves = [createMove(30), createMove(10, 1)];
+
+    expect(chooseHumanMove(moves, { ...config, missCapture: 1 }, () => 0)).toBe(moves[0]);
+  });
+
+  test('No moves gives no move', () => {
+    expect(chooseHumanMove([], config)).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for the transposition table
+ */
+
+import { TranspositionTable, TT_FLAG, DEFAULT_TABLE_SIZE } from '../src/transpositionTable.js';
+
+describe('Transposition Table - Storage', () => {
+  test('Stored entries can be probed', () => {
+    const table = new TranspositionTable();
+    table.store(12345, 4, 2.5, TT_FLAG.LOWER, 3);
+
+    expect(table.probe(12345)).toEqual({ depth: 4, score: 2.5, flag: TT_FLAG.LOWER, bestMove: 3 });
+  });
+
+  test('Unknown positions miss', () => {
+    const table = new TranspositionTable();
+
+    expect(table.probe(12345)).toBeNull();
+  });
+
+  test('Size is bounded and rounded down to a power of two', () => {
+    expect(new TranspositionTable().size).toBe(DEFAULT_TABLE_SIZE);
+    expect(new TranspositionTable(1000).size).toBe(512);
+  });
+
+  test('Positions sharing a slot are told apart by their hash', () => {
+    const table = new TranspositionTable(16);
+    table.store(5, 2, 1, TT_FLAG.EXACT);
+
+    expect(table.probe(5 + 16)).toBeNull();
+  });
+
+  test('Deeper results are kept when another position shares the slot', () => {
+    const table = new TranspositionTable(16);
+    table.store(5, 6, 1, TT_FLAG.EXACT);
+    table.store(21, 2, 7, TT_FLAG.EXACT);
+
+    expect(table.probe(5).score).toBe(1);
+    expect(table.probe(21)).toBeNull();
+
+    table.store(21, 8, 7, TT_FLAG.EXACT);
+    expect(table.probe(21).score).toBe(7);
+  });
+
+  test('The same position is always overwritten', () => {
+    const table = new TranspositionTable();
+    table.store(99, 6, 1, TT_FLAG.EXACT);
+    table.store(99, 2, -3, TT_FLAG.UPPER);
+
+    expect(table.probe(99)).toMatchObject({ depth: 2, score: -3, flag: TT_FLAG.UPPER });
+  });
+});
+
+describe('Transposition Table - Statistics', () => {
+  test('Hit rate counts successful probes', () => {
+    const table = new TranspositionTable();
+    table.store(1, 1, 0, TT_FLAG.EXACT);
+
+    table.probe(1);
+    table.probe(2);
+
+    expect(table.getHitRate()).toBe(0.5);
+  });
+
+  test('clear removes entries and statistics', () => {
+    const table = new TranspositionTable();
+    table.store(1, 1, 0, TT_FLAG.EXACT);
+    table.probe(1);
+
+    table.clear();
+
+    expect(table.getHitRate()).toBe(0);
+    expect(table.probe(1)).toBeNull();
+  });
+});
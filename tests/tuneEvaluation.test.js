@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the evaluation tuner
+ */
+
+import { PIECE, PLAYER } from '../src/rules.js';
+import { initializeBoard } from '../src/gameState.js';
+import { DEFAULT_EVALUATION, EVALUATION_PROFILES, evaluateBoard } from '../src/evaluation.js';
+import { createRandom } from '../tools/selfPlay.js';
+import {
+  WEIGHT_NAMES,
+  extractFeatures,
+  collectSamples,
+  computeError,
+  fitScale,
+  tuneWeights
+} from '../tools/tuneEvaluation.js';
+
+function createEmptyBoard() {
+  return Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+}
+
+function dot(features, weights) {
+  return WEIGHT_NAMES.reduce((total, name, i) => total + features[i] * weights[name], 0);
+}
+
+// RED's extra man wins, BLACK's extra king wins
+function createSamples() {
+  const features = weights => Float64Array.from(WEIGHT_NAMES, name => weights[name] || 0);
+  return [
+    { features: features({ pieceValue: 1 }), result: 1 },
+    { features: features({ pieceValue: 1, advancementBonus: 2 }), result: 1 },
+    { features: features({ kingValue: -1 }), result: 0 },
+    { features: features({ kingValue: -1, mobility: 1 }), result: 0 },
+    { features: features({}), result: 0.5 }
+  ];
+}
+
+describe('Tuner - Features', () => {
+  test('Features weighted by a profile give its evaluation', () => {
+    const board = createEmptyBoard();
+    board[7][2] = PIECE.RED;
+    board[7][6] = PIECE.RED;
+    board[4][3] = PIECE.RED_KING;
+    board[1][0] = PIECE.BLACK;
+    board[2][5] = PIECE.BLACK_KING;
+    const features = extractFeatures(board);
+
+    for (const profile of Object.values(EVALUATION_PROFILES)) {
+      expect(dot(features, profile)).toBeCloseTo(evaluateBoard(board, PLAYER.RED, undefined, profile));
+    }
+  });
+
+  test('The starting position has no material difference', () => {
+    const features = extractFeatures(initializeBoard());
+
+    expect(features[WEIGHT_NAMES.indexOf('pieceValue')]).toBe(0);
+    expect(dot(features, DEFAULT_EVALUATION)).toBeCloseTo(0);
+  });
+});
+
+describe('Tuner - Fitting', () => {
+  test('computeError is lowest when predictions match the results', () => {
+    const samples = createSamples();
+    const good = computeError(samples, DEFAULT_EVALUATION, 1);
+    const reversed = computeError(samples, { ...DEFAULT_EVALUATION, pieceValue: -10, kingValue: -30 }, 1);
+
+    expect(good).toBeLessThan(reversed);
+    expect(computeError(samples, DEFAULT_EVALUATION, 0)).toBeCloseTo(0.2);
+    expect(computeError([], DEFAULT_EVALUATION, 1)).toBe(0);
+  });
+
+  test('fitScale finds a scale no worse than its neighbours', () => {
+    const samples = createSamples();
+    samples.push({ features: samples[0].features, result: 0 });
+    const scale = fitScale(samples, DEFAULT_EVALUATION);
+
+    expect(scale).toBeGreaterThan(0);
+    expect(computeError(samples, DEFAULT_EVALUATION, scale))
+      .toBeLessThanOrEqual(computeError(samples, DEFAULT_EVALUATION, scale * 2));
+    expect(computeError(samples, DEFAULT_EVALUATION, scale))
+      .toBeLessThanOrEqual(computeError(samples, DEFAULT_EVALUATION, scale / 2));
+  });
+
+  test('tuneWeights lowers the error and keeps the value of a man', () => {
+    const samples = createSamples();
+    const initial = { ...DEFAULT_EVALUATION, kingValue: 0, advancementBonus: -2 };
+    const passes = [];
+    const tuned = tuneWeights(samples, initial, { scale: 0.1, onPass: pass => passes.push(pass) });
+
+    expect(computeError(samples, tuned, 0.1)).toBeLessThan(computeError(samples, initial, 0.1));
+    expect(tuned.pieceValue).toBe(DEFAULT_EVALUATION.pieceValue);
+    expect(tuned.kingValue).toBeGreaterThan(0);
+    expect(passes.length).toBeGreaterThan(0);
+    expect(passes[passes.length - 1].error).toBeCloseTo(computeError(samples, tuned, 0.1));
+  });
+
+  test('Regularization keeps weights nearer where they started', () => {
+    const samples = createSamples();
+    const initial = { ...DEFAULT_EVALUATION, kingValue: 0 };
+    const free = tuneWeights(samples, initial, { scale: 0.1 });
+    const held = tuneWeights(samples, initial, { scale: 0.1, regularization: 0.01 });
+
+    expect(held.kingValue).toBeGreaterThan(0);
+    expect(held.kingValue).toBeLessThan(free.kingValue);
+  });
+});
+
+describe('Tuner - Samples', () => {
+  test('collectSamples records quiet positions with the game result', () => {
+    const games = [];
+    const samples = collectSamples({ games: 1, depth: 1, random: createRandom(5), onGame: game => games.push(game) });
+
+    expect(games).toEqual([1]);
+    expect(samples.length).toBeGreaterThan(0);
+    const result = samples[0].result;
+    for (const sample of samples) {
+      expect(sample.features).toHaveLength(WEIGHT_NAMES.length);
+      expect(sample.result).toBe(result);
+    }
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Unit tests for rule variants
+ */
+
+import {
+  PIECE,
+  PLAYER,
+  generateMoves,
+  generateAllMoves,
+  getPromotionRow,
+  applyMove
+} from '../src/rules.js';
+import { GameState, initializeBoard } from '../src/gameState.js';
+import { VARIANTS, DEFAULT_VARIANT, getVariant } from '../src/variants.js';
+
+function createEmptyBoard(size) {
+  return Array(size).fill(null).map(() => Array(size).fill(PIECE.EMPTY));
+}
+
+describe('Variants - Definitions', () => {
+  test('American checkers is the default variant', () => {
+    expect(DEFAULT_VARIANT).toBe(VARIANTS.american);
+    expect(getVariant('unknown')).toBe(VARIANTS.american);
+  });
+
+  test('getVariant looks up variants by id', () => {
+    expect(getVariant('international')).toBe(VARIANTS.international);
+    expect(getVariant('Russian')).toBe(VARIANTS.russian);
+  });
+
+  test('getPromotionRow follows the board size', () => {
+    expect(getPromotionRow(PLAYER.RED)).toBe(0);
+    expect(getPromotionRow(PLAYER.BLACK)).toBe(7);
+    expect(getPromotionRow(PLAYER.BLACK, VARIANTS.international)).toBe(9);
+  });
+});
+
+describe('Variants - International Board', () => {
+  test('initializeBoard creates a 10x10 board with 20 pieces per side', () => {
+    const board = initializeBoard(VARIANTS.international);
+    const pieces = board.flat();
+
+    expect(board).toHaveLength(10);
+    expect(board[0]).toHaveLength(10);
+    expect(pieces.filter(p => p === PIECE.RED)).toHaveLength(20);
+    expect(pieces.filter(p => p === PIECE.BLACK)).toHaveLength(20);
+  });
+
+  test('GameState plays on the variant board', () => {
+    const game = new GameState(null, PLAYER.RED, { variant: VARIANTS.international });
+
+    expect(game.getBoard()).toHaveLength(10);
+    expect(game.getVariant()).toBe(VARIANTS.international);
+    expect(game.drawMoveLimit).toBe(25);
+
+    // RED man at (6,1) moves into the empty middle rows
+    expect(game.makeMove({ row: 6, col: 1 }, { row: 5, col: 0 })).toBe(true);
+    expect(game.clone().getVariant()).toBe(VARIANTS.international);
+  });
+});
+
+describe('Variants - Flying Kings', () => {
+  test('Flying king moves along whole diagonals', () => {
+    const board = createEmptyBoard(10);
+    board[5][4] = PIECE.RED_KING;
+
+    const moves = generateMoves(board, { row: 5, col: 4 }, VARIANTS.international);
+
+    expect(moves).toHaveLength(17);
+    expect(moves.some(m => m.to.row === 0 && m.to.col === 9)).toBe(true);
+  });
+
+  test('Flying king captures at a distance and may land on any square beyond', () => {
+    const board = createEmptyBoard(10);
+    board[9][0] = PIECE.RED_KING;
+    board[6][3] = PIECE.BLACK;
+
+    const moves = generateMoves(board, { row: 9, col: 0 }, VARIANTS.international);
+
+    expect(moves).toHaveLength(6);
+    expect(moves.every(m => m.isJump && m.captured.length === 1)).toBe(true);
+
+    const newBoard = applyMove(board, moves[moves.length - 1], VARIANTS.international);
+    expect(newBoard[6][3]).toBe(PIECE.EMPTY);
+    expect(newBoard[0][9]).toBe(PIECE.RED_KING);
+  });
+
+  test('Flying king cannot jump two pieces in a row', () => {
+    const board = createEmptyBoard(10);
+    board[9][0] = PIECE.RED_KING;
+    board[6][3] = PIECE.BLACK;
+    board[5][4] = PIECE.BLACK;
+
+    const moves = generateMoves(board, { row: 9, col: 0 }, VARIANTS.international);
+
+    expect(moves.some(m => m.isJump)).toBe(false);
+  });
+
+  test.each(['russian', 'pool'])('%s flying king must stop where the capture continues', (id) => {
+    const board = createEmptyBoard(8);
+    board[7][0] = PIECE.RED_KING;
+    board[5][2] = PIECE.BLACK;
+    board[3][2] = PIECE.BLACK;
+    board[0][1] = PIECE.BLACK_KING;
+
+    const moves = generateMoves(board, { row: 7, col: 0 }, VARIANTS[id]);
+
+    // Only (4,3) lets the king go on to take (3,2); it may not stop further along
+    expect(moves.length).toBeGreaterThan(0);
+    expect(moves.every(m => m.captured.length === 2)).toBe(true);
+    expect(moves.every(m => m.path[1].row === 4 && m.path[1].col === 3)).toBe(true);
+  });
+
+  test('American kings stay short-range', () => {
+    const board = createEmptyBoard(8);
+    board[5][4] = PIECE.RED_KING;
+
+    expect(generateMoves(board, { row: 5, col: 4 })).toHaveLength(4);
+  });
+});
+
+describe('Variants - Backward Captures by Men', () => {
+  test('Men capture backwards where the variant allows it', () => {
+    const board = createEmptyBoard(8);
+    board[4][3] = PIECE.RED;
+    board[5][4] = PIECE.BLACK;
+
+    const russianMoves = generateMoves(board, { row: 4, col: 3 }, VARIANTS.russian);
+    const americanMoves = generateMoves(board, { row: 4, col: 3 });
+
+    expect(russianMoves).toHaveLength(1);
+    expect(russianMoves[0].to).toEqual({ row: 6, col: 5 });
+    expect(americanMoves.some(m => m.isJump)).toBe(false);
+  });
+});
+
+describe('Variants - Majority Capture', () => {
+  // RED can take one piece with (5,0) or two pieces with (7,4)
+  function createMajorityBoard() {
+    const board = createEmptyBoard(8);
+    board[5][0] = PIECE.RED;
+    board[4][1] = PIECE.BLACK;
+    board[7][4] = PIECE.RED;
+    board[6][5] = PIECE.BLACK;
+    board[4][5] = PIECE.BLACK;
+    return board;
+  }
+
+  test('Brazilian rules only allow the longest capture', () => {
+    const board = createMajorityBoard();
+
+    const moves = generateAllMoves(board, PLAYER.RED, VARIANTS.brazilian);
+
+    expect(moves).toHaveLength(1);
+    expect(moves[0].captured).toHaveLength(2);
+    expect(generateMoves(board, { row: 5, col: 0 }, VARIANTS.brazilian)).toHaveLength(0);
+  });
+
+  test('Pool rules allow a free choice among captures', () => {
+    const board = createMajorityBoard();
+
+    const moves = generateAllMoves(board, PLAYER.RED, VARIANTS.pool);
+
+    expect(moves).toHaveLength(2);
+  });
+
+  test('GameState rejects a shorter capture under majority rules', () => {
+    const game = new GameState(createMajorityBoard(), PLAYER.RED, { variant: VARIANTS.brazilian });
+
+    expect(game.makeMove({ row: 5, col: 0 }, { row: 3, col: 2 })).toBe(false);
+    expect(game.makeMove({ row: 7, col: 4 }, { row: 3, col: 4 })).toBe(true);
+    expect(game.getCapturedPieces()[PLAYER.BLACK]).toBe(2);
+  });
+});
+
+describe('Variants - Promotion During Capture', () => {
+  // RED man reaches the king row by capturing, then could continue as a king
+  function createPromotionBoard() {
+    const board = createEmptyBoard(8);
+    board[2][1] = PIECE.RED;
+    board[1][2] = PIECE.BLACK;
+    board[2][5] = PIECE.BLACK;
+    return board;
+  }
+
+  test('Russian men crowned mid-capture continue as kings', () => {
+    const board = createPromotionBoard();
+
+    const moves = generateMoves(board, { row: 2, col: 1 }, VARIANTS.russian);
+
+    expect(moves).toHaveLength(2);
+    expect(moves.every(m => m.captured.length === 2 && m.crowned)).toBe(true);
+
+    const newBoard = applyMove(board, moves[0], VARIANTS.russian);
+    expect(newBoard[moves[0].to.row][moves[0].to.col]).toBe(PIECE.RED_KING);
+  });
+
+  test('Pool men stop on the king row when they cannot continue as men', () => {
+    const board = createPromotionBoard();
+
+    const moves = generateMoves(board, { row: 2, col: 1 }, VARIANTS.pool);
+
+    expect(moves).toHaveLength(1);
+    expect(moves[0].to).toEqual({ row: 0, col: 3 });
+    expect(moves[0].crowned).toBeUndefined();
+    expect(applyMove(board, moves[0], VARIANTS.pool)[0][3]).toBe(PIECE.RED_KING);
+  });
+});
+
+describe('Variants - Giveaway', () => {
+  test('Player who loses all pieces wins', () => {
+    const board = createEmptyBoard(8);
+    board[5][4] = PIECE.RED;
+    board[4][3] = PIECE.BLACK;
+
+    const game = new GameState(board, PLAYER.RED, { variant: VARIANTS.giveaway });
+    game.makeMove({ row: 5, col: 4 }, { row: 3, col: 2 });
+
+    expect(game.isGameOver()).toBe(true);
+    expect(game.getWinner()).toBe(PLAYER.BLACK);
+  });
+
+  test('Player left without moves wins', () => {
+    const board = createEmptyBoard(8);
+    board[1][0] = PIECE.BLACK;
+    board[3][0] = PIECE.RED;
+    board[3][2] = PIECE.RED;
+
+    const game = new GameState(board, PLAYER.RED, { variant: VARIANTS.giveaway });
+    // Blocking (2,1) leaves BLACK's only man stuck (its landing square is covered)
+    game.makeMove({ row: 3, col: 0 }, { row: 2, col: 1 });
+
+    expect(game.isGameOver()).toBe(true);
+    expect(game.getWinner()).toBe(PLAYER.BLACK);
+  });
+
+  test('Captures stay mandatory', () => {
+    const board = createEmptyBoard(8);
+    board[5][4] = PIECE.RED;
+    board[4][3] = PIECE.BLACK;
+    board[5][0] = PIECE.RED;
+
+    const moves = generateAllMoves(board, PLAYER.RED, VARIANTS.giveaway);
+
+    expect(moves).toHaveLength(1);
+    expect(moves[0].isJump).toBe(true);
+  });
+});
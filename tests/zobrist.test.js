@@ -0,0 +1,66 @@
+/**
+ * Unit tests for Zobrist hashing
+ */
+
+import { PIECE, PLAYER, generateAllMoves, applyMove } from '../src/rules.js';
+import { initializeBoard } from '../src/gameState.js';
+import { computeHash, updateHash } from '../src/zobrist.js';
+
+function createEmptyBoard() {
+  return Array(8).fill(null).map(() => Array(8).fill(PIECE.EMPTY));
+}
+
+describe('Zobrist - Hashing', () => {
+  test('Equal positions hash equally', () => {
+    expect(computeHash(initializeBoard(), PLAYER.RED)).toBe(computeHash(initializeBoard(), PLAYER.RED));
+  });
+
+  test('Hash depends on the side to move', () => {
+    const board = initializeBoard();
+
+    expect(computeHash(board, PLAYER.RED)).not.toBe(computeHash(board, PLAYER.BLACK));
+  });
+
+  test('Hash depends on piece type', () => {
+    const board = createEmptyBoard();
+    board[5][2] = PIECE.RED;
+    const kingBoard = createEmptyBoard();
+    kingBoard[5][2] = PIECE.RED_KING;
+
+    expect(computeHash(board, PLAYER.RED)).not.toBe(computeHash(kingBoard, PLAYER.RED));
+  });
+
+  test('Hashes are unsigned 32-bit integers', () => {
+    const hash = computeHash(initializeBoard(), PLAYER.BLACK);
+
+    expect(Number.isInteger(hash)).toBe(true);
+    expect(hash).toBeGreaterThanOrEqual(0);
+    expect(hash).toBeLessThan(2 ** 32);
+  });
+});
+
+describe('Zobrist - Incremental Updates', () => {
+  test('updateHash matches a full recomputation for simple moves', () => {
+    const board = initializeBoard();
+    const hash = computeHash(board, PLAYER.RED);
+
+    for (const move of generateAllMoves(board, PLAYER.RED)) {
+      const newBoard = applyMove(board, move);
+      expect(updateHash(hash, board, newBoard, move)).toBe(computeHash(newBoard, PLAYER.BLACK));
+    }
+  });
+
+  test('updateHash handles captures and crowning', () => {
+    const board = createEmptyBoard();
+    board[2][1] = PIECE.RED;
+    board[1][2] = PIECE.BLACK;
+    board[6][5] = PIECE.BLACK;
+
+    const [move] = generateAllMoves(board, PLAYER.RED);
+    const newBoard = applyMove(board, move);
+
+    expect(newBoard[0][3]).toBe(PIECE.RED_KING);
+    expect(updateHash(computeHash(board, PLAYER.RED), board, newBoard, move))
+      .toBe(computeHash(newBoard, PLAYER.BLACK));
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Build an endgame database by retrograde analysis
+ *
+ * Usage:
+ *   node tools/buildEndgameDatabase.js [--pieces N] [--out FILE] [--if-missing]
+ *
+ * Solves every position with up to --pieces pieces (default 4) and writes
+ * the database to --out (default public/endgame.bin). With --if-missing
+ * an existing file is kept; npm start builds the app's database this way
+ * before serving it. Each material is
+ * solved backwards from its finished games: positions whose result is
+ * known settle the positions that can move into them, one ply at a time,
+ * so every result comes with its distance to the end of the game.
+ * Positions never settled are draws.
+ *
+ * Four pieces take about half a minute and 7 MB. Five pieces need about
+ * 190 MB, and six, at a byte per position, are out of reach.
+ */
+
+import { existsSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { PIECE, PLAYER, isKing, getPromotionRow, generateAllMoves, applyMove } from '../src/rules.js';
+import { VARIANTS } from '../src/variants.js';
+import {
+  ENDGAME_RESULT,
+  ENDGAME_DATABASE_VARIANT,
+  MAX_DISTANCE,
+  createEndgameDatabase,
+  endgameDatabaseToBinary,
+  getMaterialKey,
+  getPositionIndex,
+  getTableSize,
+  decodePosition,
+  listMaterials,
+  mirrorMaterial,
+  probeEndgameDatabase
+} from '../src/endgameDatabase.js';
+
+const USAGE = 'Usage: node tools/buildEndgameDatabase.js [--pieces N] [--out FILE] [--if-missing]';
+
+const variant = VARIANTS[ENDGAME_DATABASE_VARIANT];
+
+const KING_STEPS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+// BLACK men move down the board, so they came from the row above
+const BLACK_MAN_STEPS = [[-1, -1], [-1, 1]];
+
+/**
+ * Read the command line into options
+ */
+function parseArguments(args) {
+  const options = { pieces: 4, out: 'public/endgame.bin', ifMissing: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--pieces') {
+      options.pieces = parseInt(args[++i], 10);
+    } else if (args[i] === '--out') {
+      options.out = args[++i];
+    } else if (args[i] === '--if-missing') {
+      options.ifMissing = true;
+    } else {
+      return null;
+    }
+  }
+
+  return options.pieces >= 2 ? options : null;
+}
+
+/**
+ * Check if a move changes the material, leaving the table it starts in
+ */
+function changesMaterial(board, move) {
+  return move.isJump || (!isKing(board[move.from.row][move.from.col]) && move.to.row === getPromotionRow(PLAYER.RED, variant));
+}
+
+/**
+ * Get the result of a position reached by a capture or promotion, with BLACK to move
+ */
+function getSolvedOutcome(database, board) {
+  const outcome = probeEndgameDatabase(database, board, PLAYER.BLACK);
+  if (outcome) {
+    return outcome;
+  }
+  if (!getPositionIndex(board, PLAYER.BLACK)) {
+    // BLACK has no pieces left
+    return { result: ENDGAME_RESULT.LOSS, distance: 0 };
+  }
+  throw new Error('Material reached before it was solved');
+}
+
+/**
+ * Call visit with every position that reaches a position by a move that
+ * keeps the material
+ *
+ * In the stored position RED is to move, so BLACK made the last move;
+ * taking it back gives a BLACK-to-move position, which is stored turned round.
+ */
+function forEachPredecessor(tables, position, visit) {
+  const table = tables.find(t => position >= t.offset && position < t.offset + t.size);
+  const board = decodePosition(table.material, position - table.offset);
+
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const piece = board[row][col];
+      if (piece !== PIECE.BLACK && piece !== PIECE.BLACK_KING) continue;
+
+      for (const [rowStep, colStep] of piece === PIECE.BLACK_KING ? KING_STEPS : BLACK_MAN_STEPS) {
+        const fromRow = row + rowStep;
+        const fromCol = col + colStep;
+        if (fromRow < 0 || fromRow >= 8 || fromCol < 0 || fromCol >= 8 || board[fromRow][fromCol] !== PIECE.EMPTY) {
+          continue;
+        }
+
+        board[fromRow][fromCol] = piece;
+        board[row][col] = PIECE.EMPTY;
+        const predecessor = getPositionIndex(board, PLAYER.BLACK);
+        visit(tables.find(t => t.key === predecessor.key).offset + predecessor.index);
+        board[row][col] = piece;
+        board[fromRow][fromCol] = PIECE.EMPTY;
+      }
+    }
+  }
+}
+
+/**
+ * Solve the tables of one or two materials
+ * A material's quiet moves lead to its mirror image, so the two are solved
+ * together; captures and promotions lead to materials already solved.
+ */
+function solveMaterials(database, materials) {
+  let total = 0;
+  const tables = materials.map(material => {
+    const table = { material, key: getMaterialKey(material), offset: total, size: getTableSize(material) };
+    total += table.size;
+    return table;
+  });
+
+  // Positions are numbered across the tables; settled holds distance + 1 as stored
+  const settled = new Uint8Array(total);
+  const openMoves = new Uint8Array(total);
+  const slowestLoss = new Uint8Array(total);
+  const mustCapture = new Uint8Array(total);
+  const queue = [];
+
+  const schedule = (distance, position) => {
+    if (distance > MAX_DISTANCE) {
+      throw new Error(`Distance ${distance} does not fit in the database`);
+    }
+    (queue[distance] || (queue[distance] = [])).push(position);
+  };
+
+  // Score each position's moves into solved materials; the rest stay open
+  for (const table of tables) {
+    for (let index = 0; index < table.size; index++) {
+      const board = decodePosition(table.material, index);
+      if (!board) continue;
+
+      const position = table.offset + index;
+      const moves = generateAllMoves(board, PLAYER.RED, variant);
+      if (moves.length === 0) {
+        schedule(0, position);
+        continue;
+      }
+
+      let quickestWin = Infinity;
+      let open = 0;
+      for (const move of moves) {
+        if (!changesMaterial(board, move)) {
+          open++;
+          continue;
+        }
+
+        const outcome = getSolvedOutcome(database, applyMove(board, move, variant));
+        if (outcome.result === ENDGAME_RESULT.WIN) {
+          slowestLoss[position] = Math.max(slowestLoss[position], outcome.distance + 1);
+        } else {
+          open++;
+          if (outcome.result === ENDGAME_RESULT.LOSS) {
+            quickestWin = Math.min(quickestWin, outcome.distance + 1);
+          }
+        }
+      }
+
+      mustCapture[position] = moves[0].isJump ? 1 : 0;
+      openMoves[position] = open;
+      if (quickestWin < Infinity) {
+        schedule(quickestWin, position);
+      } else if (open === 0) {
+        schedule(slowestLoss[position], position);
+      }
+    }
+  }
+
+  // Settle positions nearest the end of the game first. A position that can
+  // move into a loss is won; one whose every move leads to a win is lost.
+  for (let distance = 0; distance < queue.length; distance++) {
+    for (const position of queue[distance] || []) {
+      if (settled[position]) continue;
+      settled[position] = distance + 1;
+
+      forEachPredecessor(tables, position, predecessor => {
+        // A quiet move is not legal where a capture is available
+        if (settled[predecessor] || mustCapture[predecessor]) return;
+
+        if (distance % 2 === 0) {
+          schedule(distance + 1, predecessor);
+        } else {
+          slowestLoss[predecessor] = Math.max(slowestLoss[predecessor], distance + 1);
+          if (--openMoves[predecessor] === 0) {
+            schedule(slowestLoss[predecessor], predecessor);
+          }
+        }
+      });
+    }
+    queue[distance] = null;
+  }
+
+  for (const table of tables) {
+    database.tables[table.key] = settled.slice(table.offset, table.offset + table.size);
+  }
+}
+
+/**
+ * Solve every position with up to maxPieces pieces
+ *
+ * @param {number} maxPieces - Most pieces on the board
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onProgress - Called with the table names after each material is solved
+ * @returns {Object} - Database as read by probeEndgameDatabase
+ */
+export function buildEndgameDatabase(maxPieces, options = {}) {
+  const { onProgress = null } = options;
+  const database = createEndgameDatabase(maxPieces);
+
+  for (const material of listMaterials(maxPieces)) {
+    if (database.tables[getMaterialKey(material)]) continue;
+
+    const mirror = mirrorMaterial(material);
+    const materials = getMaterialKey(mirror) === getMaterialKey(material) ? [material] : [material, mirror];
+    solveMaterials(database, materials);
+    onProgress?.(materials.map(getMaterialKey));
+  }
+
+  return database;
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (options.ifMissing && existsSync(options.out)) {
+    console.error(`${options.out} already exists`);
+    return;
+  }
+
+  const startTime = Date.now();
+  const database = buildEndgameDatabase(options.pieces, {
+    onProgress: keys => console.error(`Solved ${keys.join(', ')}`)
+  });
+  const bytes = endgameDatabaseToBinary(database);
+
+  await writeFile(options.out, bytes);
+  console.error(`Wrote ${bytes.length} bytes to ${options.out} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+// Run only when called from the command line, so tests can import buildEndgameDatabase
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,101 @@
+/**
+ * Build an opening book from PDN game collections
+ *
+ * Usage:
+ *   node tools/buildOpeningBook.js [--plies N] [--min-weight N] [--out FILE] games.pdn [more.pdn ...]
+ *
+ * The first --plies moves of every game (default 16) are added to the book,
+ * each occurrence adding 1 to the move's weight, so the AI favours the
+ * moves played most often. Moves with less than --min-weight (default 1)
+ * are dropped. The book is written to --out, or printed if no file is given.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { parsePDN, splitPDNGames } from '../src/pdn.js';
+import {
+  createOpeningBook,
+  addGameToBook,
+  pruneOpeningBook,
+  openingBookToJSON,
+  DEFAULT_BOOK_PLIES
+} from '../src/openingBook.js';
+
+const USAGE = 'Usage: node tools/buildOpeningBook.js [--plies N] [--min-weight N] [--out FILE] games.pdn [...]';
+
+/**
+ * Read the command line into options and input files
+ */
+function parseArguments(args) {
+  const options = { plies: DEFAULT_BOOK_PLIES, minWeight: 1, out: null, files: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--plies') {
+      options.plies = parseInt(args[++i], 10);
+    } else if (arg === '--min-weight') {
+      options.minWeight = parseInt(args[++i], 10);
+    } else if (arg === '--out') {
+      options.out = args[++i];
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.files.length === 0 || !(options.plies > 0) || !(options.minWeight > 0)) {
+    return null;
+  }
+  return options;
+}
+
+/**
+ * Build a book from the text of PDN collections
+ * @returns {Object} - { book, games, skipped }
+ */
+export function buildOpeningBook(pdnTexts, options = {}) {
+  const { plies = DEFAULT_BOOK_PLIES, minWeight = 1 } = options;
+  const book = createOpeningBook();
+  let games = 0;
+  let skipped = 0;
+
+  for (const text of pdnTexts) {
+    for (const gameText of splitPDNGames(text)) {
+      const parsed = parsePDN(gameText);
+      if (parsed && addGameToBook(book, parsed.gameState, { maxPlies: plies }) > 0) {
+        games++;
+      } else {
+        skipped++;
+      }
+    }
+  }
+
+  return { book: pruneOpeningBook(book, minWeight), games, skipped };
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const texts = await Promise.all(options.files.map(file => readFile(file, 'utf8')));
+  const { book, games, skipped } = buildOpeningBook(texts, options);
+  const json = `${JSON.stringify(openingBookToJSON(book), null, 2)}\n`;
+
+  if (options.out) {
+    await writeFile(options.out, json);
+    console.error(`Wrote ${Object.keys(book.positions).length} positions from ${games} games to ${options.out}`);
+  } else {
+    process.stdout.write(json);
+  }
+
+  if (skipped > 0) {
+    console.error(`Skipped ${skipped} unreadable games`);
+  }
+}
+
+// Run only when called from the command line, so tests can import buildOpeningBook
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
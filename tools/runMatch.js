@@ -0,0 +1,367 @@
+/**
+ * Play a match between two engine configurations
+ *
+ * Usage:
+ *   node tools/runMatch.js [--games N] [--openings ballot|random] [--seed N]
+ *                          [--sprt ELO0,ELO1] [--alpha X] [--beta X] [--out FILE] ENGINE_A ENGINE_B
+ *
+ * An engine is a difficulty level and/or comma-separated settings:
+ *
+ *   depth=N        Deepest search
+ *   time=MS        Time per move in milliseconds
+ *   evaluation=X   Evaluation profile name, or a JSON file of weights
+ *   quiescence=off Stop at the depth limit even with captures pending
+ *   tt=off         Search without a transposition table
+ *   strength=N     Play like a human of strength level N (1-20, see src/strength.js)
+ *
+ * e.g. "hard", "medium,evaluation=aggressive", "strength=8" or
+ * "depth=6,evaluation=data/tunedEvaluation.json".
+ *
+ * ENGINE_A plays --games games (default 100) against ENGINE_B, swapping
+ * colours after each game so that both play each opening from both sides.
+ * The result is reported from ENGINE_A's side as wins, draws and losses and
+ * an Elo difference with its 95% error margin. With --sprt the match also
+ * runs a sequential probability ratio test of ELO1 against ELO0 (error
+ * rates --alpha and --beta, default 0.05) and stops as soon as it is
+ * decided. Every game is written to --out (default match.pdn).
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { MIN_STRENGTH, MAX_STRENGTH, getDifficultyConfig } from '../src/ai.js';
+import { EVALUATION_PROFILES } from '../src/evaluation.js';
+import { PDN_RESULT, toPDN, getGameResult } from '../src/pdn.js';
+import { createRandom, playMatch } from './selfPlay.js';
+
+const USAGE = 'Usage: node tools/runMatch.js [--games N] [--openings ballot|random] [--seed N] ' +
+  '[--sprt ELO0,ELO1] [--alpha X] [--beta X] [--out FILE] ENGINE_A ENGINE_B';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Two-sided 95% confidence
+const CONFIDENCE_Z = 1.96;
+
+/**
+ * Outcome of a sequential probability ratio test
+ */
+export const SPRT_DECISION = {
+  ACCEPT_H0: 'H0',
+  ACCEPT_H1: 'H1',
+  CONTINUE: 'continue'
+};
+
+/**
+ * Read the command line into options
+ */
+function parseArguments(args) {
+  const options = {
+    games: 100,
+    openings: 'ballot',
+    seed: Date.now(),
+    sprt: null,
+    alpha: 0.05,
+    beta: 0.05,
+    out: 'match.pdn',
+    engines: []
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--games') {
+      options.games = parseInt(args[++i], 10);
+    } else if (arg === '--openings') {
+      options.openings = args[++i];
+    } else if (arg === '--seed') {
+      options.seed = parseInt(args[++i], 10);
+    } else if (arg === '--sprt') {
+      const bounds = String(args[++i]).split(',').map(Number);
+      options.sprt = bounds.length === 2 && bounds.every(Number.isFinite) && bounds[0] < bounds[1] ? bounds : [];
+    } else if (arg === '--alpha') {
+      options.alpha = parseFloat(args[++i]);
+    } else if (arg === '--beta') {
+      options.beta = parseFloat(args[++i]);
+    } else if (arg === '--out') {
+      options.out = args[++i];
+    } else {
+      options.engines.push(arg);
+    }
+  }
+
+  const inRange = x => x > 0 && x < 0.5;
+  const valid = options.engines.length === 2 && options.games > 0 && Number.isFinite(options.seed) &&
+    ['ballot', 'random'].includes(options.openings) && options.sprt?.length !== 0 &&
+    inRange(options.alpha) && inRange(options.beta);
+  return valid ? options : null;
+}
+
+/**
+ * Read an engine description into search options for getBestMove
+ * An evaluation naming a file is left for the caller to load
+ *
+ * @param {string} spec - e.g. "hard" or "depth=6,evaluation=aggressive"
+ * @returns {Object|null} - Search options, or null if the description is not understood
+ */
+export function parseEngine(spec) {
+  const settings = {};
+
+  for (const part of spec.split(',').map(text => text.trim()).filter(Boolean)) {
+    const [key, value, ...rest] = part.split('=');
+    if (rest.length > 0) {
+      return null;
+    }
+
+    if (value === undefined) {
+      if (!DIFFICULTIES.includes(key.toLowerCase())) {
+        return null;
+      }
+      Object.assign(settings, getDifficultyConfig(key));
+    } else if (key === 'depth' || key === 'time') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number <= 0) {
+        return null;
+      }
+      settings[key === 'depth' ? 'maxDepth' : 'timeMs'] = number;
+    } else if (key === 'strength') {
+      const level = Number(value);
+      if (!Number.isInteger(level) || level < MIN_STRENGTH || level > MAX_STRENGTH) {
+        return null;
+      }
+      settings.strength = level;
+    } else if (key === 'evaluation') {
+      if (!EVALUATION_PROFILES[value.toLowerCase()] && !value.endsWith('.json')) {
+        return null;
+      }
+      settings.evaluation = value;
+    } else if (key === 'quiescence' || key === 'tt') {
+      if (value !== 'on' && value !== 'off') {
+        return null;
+      }
+      if (value === 'off') {
+        settings[key === 'tt' ? 'transpositionTable' : 'quiescence'] = false;
+      }
+    } else {
+      return null;
+    }
+  }
+
+  // An engine with no limits at all would never move (strength levels set their own)
+  if (!('maxDepth' in settings) && !('timeMs' in settings) && !('strength' in settings)) {
+    Object.assign(settings, getDifficultyConfig('medium'));
+  }
+  return settings;
+}
+
+/**
+ * Get the mean and variance of a score per game
+ */
+function getScoreStatistics(result) {
+  const games = result.wins + result.draws + result.losses;
+  const mean = result.score / games;
+  const variance = (result.wins * (1 - mean) ** 2 + result.draws * (0.5 - mean) ** 2 +
+    result.losses * mean ** 2) / games;
+  return { games, mean, variance };
+}
+
+/**
+ * Get the Elo difference that gives an expected score
+ */
+function scoreToElo(score) {
+  if (score <= 0) return -Infinity;
+  if (score >= 1) return Infinity;
+  return -400 * Math.log10(1 / score - 1);
+}
+
+/**
+ * Get the expected score at an Elo difference
+ */
+function eloToScore(elo) {
+  return 1 / (1 + 10 ** (-elo / 400));
+}
+
+/**
+ * Estimate the Elo difference a match result shows
+ *
+ * @param {Object} result - { wins, draws, losses, score } from playMatch
+ * @returns {Object} - { elo, margin } where the difference lies within elo ± margin
+ *   with 95% confidence (infinite while one side has scored nothing)
+ */
+export function computeElo(result) {
+  const { games, mean, variance } = getScoreStatistics(result);
+  if (games === 0) {
+    return { elo: 0, margin: Infinity };
+  }
+
+  const elo = scoreToElo(mean);
+  if (!Number.isFinite(elo)) {
+    return { elo, margin: Infinity };
+  }
+
+  const deviation = CONFIDENCE_Z * Math.sqrt(variance / games);
+  const low = scoreToElo(mean - deviation);
+  const high = scoreToElo(mean + deviation);
+
+  return { elo, margin: (high - low) / 2 };
+}
+
+/**
+ * Run a sequential probability ratio test on a match result
+ * The log-likelihood ratio of H1 (the difference is elo1) against H0
+ * (it is elo0) uses the normal approximation to the score per game
+ *
+ * @param {Object} result - { wins, draws, losses, score } from playMatch
+ * @param {Object} options - { elo0, elo1, alpha, beta } where alpha is the chance
+ *   of accepting H1 when H0 holds and beta the chance of the reverse
+ * @returns {Object} - { llr, lower, upper, decision }
+ */
+export function computeSPRT(result, options) {
+  const { elo0, elo1, alpha = 0.05, beta = 0.05 } = options;
+  const lower = Math.log(beta / (1 - alpha));
+  const upper = Math.log((1 - beta) / alpha);
+  const { games, mean, variance } = getScoreStatistics(result);
+
+  // Without any spread in the results there is nothing to weigh yet
+  let llr = 0;
+  if (games > 0 && variance > 0) {
+    const score0 = eloToScore(elo0);
+    const score1 = eloToScore(elo1);
+    llr = games * (score1 - score0) * (2 * mean - score0 - score1) / (2 * variance);
+  }
+
+  let decision = SPRT_DECISION.CONTINUE;
+  if (llr >= upper) decision = SPRT_DECISION.ACCEPT_H1;
+  else if (llr <= lower) decision = SPRT_DECISION.ACCEPT_H0;
+
+  return { llr, lower, upper, decision };
+}
+
+/**
+ * Get the PDN result token for a match game
+ * A game cut off at the ply limit is scored as a draw, so it is recorded as one
+ */
+export function getMatchGameResult(gameState) {
+  return gameState.isGameOver() ? getGameResult(gameState) : PDN_RESULT.DRAW;
+}
+
+/**
+ * Play a match and record its games
+ *
+ * @param {Object} engineA - Search options for the engine being tested
+ * @param {Object} engineB - Search options to compare it with
+ * @param {Object} options - Match settings
+ * @param {number} options.games - Most games to play
+ * @param {string} options.openings - 'ballot' or 'random'
+ * @param {Function} options.random - Source of random numbers in [0, 1), for the openings
+ *   and for engines playing at a strength level
+ * @param {Object} options.sprt - { elo0, elo1, alpha, beta } to stop once the test is decided (none if omitted)
+ * @param {Object} options.names - { a, b } names for the PDN tags
+ * @param {Function} options.onGame - Called with the result so far after each game
+ * @returns {Object} - { result, elo, sprt, pdn } where sprt is null without a test
+ *   and pdn holds one PDN text per game
+ */
+export function runMatch(engineA, engineB, options = {}) {
+  const { games = 100, openings = 'ballot', random = Math.random, sprt = null, names = {}, onGame = null } = options;
+  const { a: nameA = 'Engine A', b: nameB = 'Engine B' } = names;
+  const pdn = [];
+
+  // Strength levels choose among their best moves, so they draw on the seeded random source too
+  const withRandom = engine => (engine.strength != null ? { ...engine, random } : engine);
+
+  const result = playMatch(withRandom(engineA), withRandom(engineB), {
+    games,
+    openings,
+    random,
+    onGame: ({ gameState, candidateIsRed, opening, result: played }) => {
+      // PDN names the side that moves first (RED here) Black
+      pdn.push(toPDN(gameState, {
+        tags: {
+          Event: `${nameA} vs ${nameB}`,
+          Round: String(pdn.length + 1),
+          Black: candidateIsRed ? nameA : nameB,
+          White: candidateIsRed ? nameB : nameA,
+          Opening: opening,
+          Result: getMatchGameResult(gameState)
+        }
+      }));
+      onGame?.(played);
+    },
+    shouldStop: sprt ? current => computeSPRT(current, sprt).decision !== SPRT_DECISION.CONTINUE : null
+  });
+
+  return {
+    result,
+    elo: computeElo(result),
+    sprt: sprt ? computeSPRT(result, sprt) : null,
+    pdn
+  };
+}
+
+/**
+ * Load an evaluation named by a JSON file
+ */
+async function loadEvaluation(settings) {
+  if (typeof settings.evaluation === 'string' && settings.evaluation.endsWith('.json')) {
+    settings.evaluation = JSON.parse(await readFile(settings.evaluation, 'utf8'));
+  }
+  return settings;
+}
+
+function formatNumber(value) {
+  return Number.isFinite(value) ? value.toFixed(1) : '∞';
+}
+
+function formatElo({ elo, margin }) {
+  const sign = elo > 0 ? '+' : elo < 0 ? '-' : '';
+  return `${sign}${formatNumber(Math.abs(elo))} ± ${formatNumber(margin)}`;
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const engines = options?.engines.map(parseEngine);
+  if (!options || engines.includes(null)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const [engineA, engineB] = await Promise.all(engines.map(loadEvaluation));
+  const [nameA, nameB] = options.engines;
+  const sprt = options.sprt && {
+    elo0: options.sprt[0],
+    elo1: options.sprt[1],
+    alpha: options.alpha,
+    beta: options.beta
+  };
+
+  console.log(`${nameA} vs ${nameB}: up to ${options.games} games, ${options.openings} openings (seed ${options.seed})`);
+  const { result, elo, sprt: test, pdn } = runMatch(engineA, engineB, {
+    games: options.games,
+    openings: options.openings,
+    random: createRandom(options.seed),
+    sprt,
+    names: { a: nameA, b: nameB },
+    onGame: played => {
+      const count = played.wins + played.draws + played.losses;
+      console.error(`  ${count}: +${played.wins} =${played.draws} -${played.losses}`);
+    }
+  });
+
+  const games = result.wins + result.draws + result.losses;
+  console.log(`Games: ${games}`);
+  console.log(`${nameA}: +${result.wins} =${result.draws} -${result.losses} (${(100 * result.score / games).toFixed(1)}%)`);
+  console.log(`Elo difference: ${formatElo(elo)} (95%)`);
+  if (test) {
+    const outcome = {
+      [SPRT_DECISION.ACCEPT_H1]: `H1 accepted (${nameA} gains ${sprt.elo1} Elo)`,
+      [SPRT_DECISION.ACCEPT_H0]: `H0 accepted (${nameA} gains no more than ${sprt.elo0} Elo)`,
+      [SPRT_DECISION.CONTINUE]: 'undecided'
+    }[test.decision];
+    console.log(`SPRT [${sprt.elo0}, ${sprt.elo1}]: LLR ${test.llr.toFixed(2)} (${test.lower.toFixed(2)}, ${test.upper.toFixed(2)}), ${outcome}`);
+  }
+
+  await writeFile(options.out, pdn.join('\n'));
+  console.log(`Wrote ${pdn.length} games to ${options.out}`);
+}
+
+// Run only when called from the command line, so tests can import the match runner
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
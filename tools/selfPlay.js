@@ -0,0 +1,166 @@
+/**
+ * Self-play - Engine games for the command-line tools
+ *
+ * Games start from a three-move ballot or a few random moves so that a
+ * match covers many openings, and can play a few random moves early on
+ * so that repeated games between the same settings do not all follow the
+ * same line.
+ */
+
+import { GameState } from '../src/gameState.js';
+import { getBestMove } from '../src/ai.js';
+import { PLAYER } from '../src/rules.js';
+import { applyBallot, drawBallot } from '../src/ballots.js';
+import { moveToPDN } from '../src/pdn.js';
+
+/**
+ * Plies after which an unfinished game is scored as a draw
+ */
+export const MAX_GAME_PLIES = 300;
+
+/**
+ * Plies in a random opening
+ */
+export const RANDOM_OPENING_PLIES = 6;
+
+/**
+ * Create a seeded source of random numbers in [0, 1), so runs can be repeated
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0 || 1;
+  return () => {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Play random moves from the starting position
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @param {number} plies - Moves to play
+ * @returns {string} - The moves in PDN notation, to be played like a ballot
+ */
+export function drawRandomOpening(random = Math.random, plies = RANDOM_OPENING_PLIES) {
+  const gameState = new GameState();
+  const moves = [];
+
+  while (moves.length < plies && !gameState.isGameOver()) {
+    const legalMoves = gameState.getAllLegalMoves();
+    const move = legalMoves[Math.floor(random() * legalMoves.length)];
+    moves.push(moveToPDN(move));
+    gameState.makeMove(move);
+  }
+
+  return moves.join(' ');
+}
+
+/**
+ * Score a finished game for RED: 1 for a win, 0.5 for a draw, 0 for a loss
+ */
+export function getRedScore(gameState) {
+  const winner = gameState.isGameOver() ? gameState.getWinner() : null;
+  if (winner === PLAYER.RED) return 1;
+  if (winner === PLAYER.BLACK) return 0;
+  return 0.5;
+}
+
+/**
+ * Play one engine game
+ *
+ * @param {Object} options - Game settings
+ * @param {Object} options.red - Search options for RED, as for getBestMove
+ * @param {Object} options.black - Search options for BLACK
+ * @param {string} options.ballot - Opening moves in PDN notation (none if omitted)
+ * @param {number} options.randomPlies - Plies after the ballot that may be played at random
+ * @param {number} options.randomRate - Chance of each of those plies being random
+ * @param {Function} options.random - Source of random numbers in [0, 1)
+ * @param {Function} options.onPosition - Called with each position before its move is played
+ * @returns {Object} - { gameState, score } where score is RED's result
+ */
+export function playGame(options) {
+  const {
+    red,
+    black,
+    ballot = null,
+    randomPlies = 0,
+    randomRate = 0,
+    random = Math.random,
+    onPosition = null
+  } = options;
+  const gameState = new GameState();
+
+  if (ballot && !applyBallot(gameState, ballot)) {
+    throw new Error(`Ballot cannot be played: ${ballot}`);
+  }
+
+  const firstPly = gameState.getMoveHistory().length;
+  while (!gameState.isGameOver() && gameState.getMoveHistory().length < MAX_GAME_PLIES) {
+    onPosition?.(gameState);
+
+    const ply = gameState.getMoveHistory().length - firstPly;
+    let move;
+    if (ply < randomPlies && random() < randomRate) {
+      const moves = gameState.getAllLegalMoves();
+      move = moves[Math.floor(random() * moves.length)];
+    } else {
+      const settings = gameState.getCurrentPlayer() === PLAYER.RED ? red : black;
+      move = getBestMove(gameState, { ...settings, useBook: false });
+    }
+
+    gameState.makeMove(move);
+  }
+
+  return { gameState, score: getRedScore(gameState) };
+}
+
+/**
+ * Play a match between two engine settings
+ * Each opening is played twice, once with each side as RED
+ *
+ * @param {Object} candidate - Search options for the side being tested
+ * @param {Object} baseline - Search options to compare it with
+ * @param {Object} options - Match settings
+ * @param {number} options.games - Games to play (default 100)
+ * @param {string} options.openings - 'ballot' for three-move ballots (default) or 'random' for random moves
+ * @param {Function} options.random - Source of random numbers in [0, 1)
+ * @param {Function} options.onGame - Called with { gameState, score, candidateIsRed, opening, result }
+ *   after each game (score is the candidate's, result the match so far)
+ * @param {Function} options.shouldStop - Called with the result so far after each pair
+ *   of games; the match ends early if it returns true
+ * @returns {Object} - { wins, draws, losses, score } from the candidate's point of view
+ */
+export function playMatch(candidate, baseline, options = {}) {
+  const { games = 100, openings = 'ballot', random = Math.random, onGame = null, shouldStop = null } = options;
+  const result = { wins: 0, draws: 0, losses: 0, score: 0 };
+  let opening = null;
+
+  for (let game = 0; game < games; game++) {
+    const candidateIsRed = game % 2 === 0;
+    if (candidateIsRed) {
+      opening = openings === 'random' ? drawRandomOpening(random) : drawBallot(random);
+    }
+
+    const { gameState, score: redScore } = playGame({
+      red: candidateIsRed ? candidate : baseline,
+      black: candidateIsRed ? baseline : candidate,
+      ballot: opening
+    });
+    const score = candidateIsRed ? redScore : 1 - redScore;
+
+    if (score === 1) result.wins++;
+    else if (score === 0) result.losses++;
+    else result.draws++;
+    result.score += score;
+
+    onGame?.({ gameState, score, candidateIsRed, opening, result: { ...result } });
+
+    if (!candidateIsRed && shouldStop?.(result)) {
+      break;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,294 @@
+/**
+ * Tune the evaluation weights from self-play games (Texel's method)
+ *
+ * Usage:
+ *   node tools/tuneEvaluation.js [--games N] [--depth N] [--match-games N] [--seed N]
+ *                                [--regularization X] [--out FILE]
+ *
+ * Plays --games self-play games (default 2000) at --depth (default 2) and
+ * records every quiet position with the result of its game. A position's
+ * expected result is a logistic curve of its evaluation, and the weights
+ * are nudged one at a time, in shrinking steps, for as long as that brings
+ * the expected results closer to the real ones. The man's value is left
+ * alone as the unit the other weights are measured in.
+ *
+ * Terms that seldom come up (a trapped king, a man in the dog-hole) fit
+ * the few games they appear in all too well, so every weight pays
+ * --regularization (default 0.00001) times the square of its distance
+ * from where it started.
+ *
+ * The tuned weights then play a match of --match-games games (default 200)
+ * against the defaults, and are written to --out (default
+ * data/tunedEvaluation.json) as a profile getBestMove accepts as its evaluation.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { PLAYER } from '../src/rules.js';
+import { DEFAULT_VARIANT } from '../src/variants.js';
+import { DEFAULT_EVALUATION, evaluateBoard } from '../src/evaluation.js';
+import { createRandom, playGame, playMatch } from './selfPlay.js';
+import { drawBallot } from '../src/ballots.js';
+
+const USAGE = 'Usage: node tools/tuneEvaluation.js [--games N] [--depth N] [--match-games N] [--seed N] [--regularization X] [--out FILE]';
+
+/**
+ * Weights in the order of a position's features
+ */
+export const WEIGHT_NAMES = Object.keys(DEFAULT_EVALUATION);
+
+/**
+ * Weights the tuner may change; the man's value fixes the scale
+ */
+const TUNED_WEIGHTS = WEIGHT_NAMES.filter(name => name !== 'pieceValue');
+
+// Early plies may be random so that games between the same settings differ
+const RANDOM_PLIES = 10;
+const RANDOM_RATE = 0.1;
+
+const INITIAL_STEP = 1;
+const FINAL_STEP = 0.125;
+const MAX_PASSES = 50;
+const DEFAULT_REGULARIZATION = 0.00001;
+
+/**
+ * Read the command line into options
+ */
+function parseArguments(args) {
+  const options = {
+    games: 2000,
+    depth: 2,
+    matchGames: 200,
+    seed: Date.now(),
+    regularization: DEFAULT_REGULARIZATION,
+    out: 'data/tunedEvaluation.json'
+  };
+  const numbers = { '--games': 'games', '--depth': 'depth', '--match-games': 'matchGames', '--seed': 'seed' };
+
+  for (let i = 0; i < args.length; i++) {
+    if (numbers[args[i]]) {
+      options[numbers[args[i]]] = parseInt(args[++i], 10);
+    } else if (args[i] === '--regularization') {
+      options.regularization = parseFloat(args[++i]);
+    } else if (args[i] === '--out') {
+      options.out = args[++i];
+    } else {
+      return null;
+    }
+  }
+
+  const valid = options.games > 0 && options.depth > 0 && options.matchGames >= 0 && Number.isFinite(options.seed) &&
+    options.regularization >= 0;
+  return valid ? options : null;
+}
+
+/**
+ * Get what each weight contributes to a position's evaluation, from RED's side
+ * The evaluation is the sum of each weight times its feature
+ * @returns {Float64Array} - One feature per weight, in WEIGHT_NAMES order
+ */
+export function extractFeatures(board, variant = DEFAULT_VARIANT) {
+  const features = new Float64Array(WEIGHT_NAMES.length);
+  const unit = Object.fromEntries(WEIGHT_NAMES.map(name => [name, 0]));
+
+  WEIGHT_NAMES.forEach((name, i) => {
+    features[i] = evaluateBoard(board, PLAYER.RED, variant, { ...unit, [name]: 1 });
+  });
+  return features;
+}
+
+/**
+ * Play self-play games and record their quiet positions
+ * Positions with a capture to make are left out: their evaluation is about
+ * to change, whatever the weights
+ *
+ * @param {Object} options - { games, depth, evaluation, random, onGame }
+ * @returns {Array} - [{ features, result }] where result is RED's score in the game
+ */
+export function collectSamples(options) {
+  const { games, depth, evaluation = DEFAULT_EVALUATION, random = Math.random, onGame = null } = options;
+  // Shallow searches gain little from a transposition table
+  const settings = { maxDepth: depth, evaluation, transpositionTable: false };
+  const samples = [];
+
+  for (let game = 0; game < games; game++) {
+    const positions = [];
+    const { score } = playGame({
+      red: settings,
+      black: settings,
+      ballot: drawBallot(random),
+      randomPlies: RANDOM_PLIES,
+      randomRate: RANDOM_RATE,
+      random,
+      onPosition: gameState => {
+        if (!gameState.getAllLegalMoves()[0].isJump) {
+          positions.push(extractFeatures(gameState.getBoard(), gameState.getVariant()));
+        }
+      }
+    });
+
+    for (const features of positions) {
+      samples.push({ features, result: score });
+    }
+    onGame?.(game + 1);
+  }
+
+  return samples;
+}
+
+/**
+ * Get weights as an array in feature order
+ */
+function toWeightArray(weights) {
+  return Float64Array.from(WEIGHT_NAMES, name => weights[name]);
+}
+
+/**
+ * Mean squared difference between the results and those the evaluation predicts
+ *
+ * @param {Array} samples - From collectSamples
+ * @param {Object} weights - Evaluation weights
+ * @param {number} scale - Steepness of the logistic curve
+ */
+export function computeError(samples, weights, scale) {
+  const w = weights instanceof Float64Array ? weights : toWeightArray(weights);
+  let total = 0;
+
+  for (const { features, result } of samples) {
+    let evaluation = 0;
+    for (let i = 0; i < w.length; i++) {
+      evaluation += w[i] * features[i];
+    }
+    const expected = 1 / (1 + Math.exp(-scale * evaluation));
+    total += (result - expected) ** 2;
+  }
+
+  return samples.length === 0 ? 0 : total / samples.length;
+}
+
+/**
+ * Find the logistic scale that best fits the results for a set of weights
+ */
+export function fitScale(samples, weights) {
+  const w = toWeightArray(weights);
+  let low = 0;
+  let high = 1;
+
+  // The error is unimodal in the scale, so narrow the range by thirds
+  for (let i = 0; i < 60; i++) {
+    const a = low + (high - low) / 3;
+    const b = high - (high - low) / 3;
+    if (computeError(samples, w, a) < computeError(samples, w, b)) {
+      high = b;
+    } else {
+      low = a;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Tune weights by local search: try each weight a step up and down, keep
+ * any change that lowers the error, and halve the step once none does
+ *
+ * @param {Array} samples - From collectSamples
+ * @param {Object} initial - Weights to start from
+ * @param {Object} options - { scale, regularization, onPass } where regularization
+ *   (default 0) is charged per squared unit a weight moves from its initial value,
+ *   and onPass is called with { step, error } after each pass
+ * @returns {Object} - Tuned weights
+ */
+export function tuneWeights(samples, initial, options = {}) {
+  const { scale = fitScale(samples, initial), onPass = null, regularization = 0 } = options;
+  const weights = toWeightArray({ ...DEFAULT_EVALUATION, ...initial });
+  const start = Float64Array.from(weights);
+  const penalty = () => regularization * weights.reduce((total, w, i) => total + (w - start[i]) ** 2, 0);
+  let bestError = computeError(samples, weights, scale) + penalty();
+
+  for (let step = INITIAL_STEP; step >= FINAL_STEP; step /= 2) {
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      let improved = false;
+
+      for (const name of TUNED_WEIGHTS) {
+        const i = WEIGHT_NAMES.indexOf(name);
+        const original = weights[i];
+
+        for (const delta of [step, -step]) {
+          weights[i] = original + delta;
+          const error = computeError(samples, weights, scale) + penalty();
+          if (error < bestError) {
+            bestError = error;
+            improved = true;
+            break;
+          }
+          weights[i] = original;
+        }
+      }
+
+      onPass?.({ step, error: bestError });
+      if (!improved) break;
+    }
+  }
+
+  return Object.fromEntries(WEIGHT_NAMES.map((name, i) => [name, weights[i]]));
+}
+
+function formatPercent(score, games) {
+  return `${(100 * score / games).toFixed(1)}%`;
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const random = createRandom(options.seed);
+  console.log(`Playing ${options.games} self-play games at depth ${options.depth} (seed ${options.seed})`);
+
+  const samples = collectSamples({
+    games: options.games,
+    depth: options.depth,
+    random,
+    onGame: game => {
+      if (game % 100 === 0) console.error(`  ${game} games`);
+    }
+  });
+  console.log(`Recorded ${samples.length} quiet positions`);
+
+  const scale = fitScale(samples, DEFAULT_EVALUATION);
+  const errorBefore = computeError(samples, DEFAULT_EVALUATION, scale);
+  const tuned = tuneWeights(samples, DEFAULT_EVALUATION, {
+    scale,
+    regularization: options.regularization,
+    onPass: ({ step, error }) => console.error(`  step ${step}: error ${error.toFixed(6)}`)
+  });
+  const errorAfter = computeError(samples, tuned, scale);
+
+  console.log(`Error ${errorBefore.toFixed(6)} -> ${errorAfter.toFixed(6)} (scale ${scale.toFixed(4)})`);
+  console.log('Weight             Before   After');
+  for (const name of WEIGHT_NAMES) {
+    console.log(`${name.padEnd(18)} ${String(DEFAULT_EVALUATION[name]).padStart(6)}  ${tuned[name].toFixed(3).padStart(6)}`);
+  }
+
+  if (options.matchGames > 0) {
+    console.log(`Playing ${options.matchGames} match games, tuned against default weights`);
+    const match = playMatch(
+      { maxDepth: options.depth, evaluation: tuned, transpositionTable: false },
+      { maxDepth: options.depth, evaluation: DEFAULT_EVALUATION, transpositionTable: false },
+      { games: options.matchGames, random }
+    );
+    console.log(`Tuned: +${match.wins} =${match.draws} -${match.losses} (${formatPercent(match.score, options.matchGames)})`);
+    console.log(`Default: +${match.losses} =${match.draws} -${match.wins} (${formatPercent(options.matchGames - match.score, options.matchGames)})`);
+  }
+
+  await writeFile(options.out, `${JSON.stringify(tuned, null, 2)}\n`);
+  console.log(`Wrote the tuned profile to ${options.out}`);
+}
+
+// Run only when called from the command line, so tests can import the tuner
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}